@@ -0,0 +1,134 @@
+#!/usr/bin/env node
+/**
+ * FELIX Command Line
+ * - Fills a room layout with one or more rosters and writes each chart as JSON, CSV, SVG or PDF.
+ * - Uses the same engine as the app, so charts match what a teacher would get in the browser.
+ * - JSON output is a layout file the app can import (Export → Share / Import Layout).
+ *
+ *   felix <layout.json> <roster.csv> [more rosters...] [--out dir] [--format json,csv,svg]
+ */
+import { readFile, writeFile, mkdir } from 'node:fs/promises';
+import { basename, extname, join } from 'node:path';
+import { parseArgs } from 'node:util';
+import { parseDelimited, guessMapping, buildRoster } from '../src/lib/roster.js';
+import { createLayoutDocument, parseLayoutFile } from '../src/lib/layoutFile.js';
+import { seatRoster, solveChart, sortAlpha, chartToCsv, chartToSvg, chartToPdf } from '../src/lib/engine.js';
+import { PAGE_SIZES, buildChartScene, pdfUnsupportedText } from '../src/lib/chartExport.js';
+import { fileSlug } from '../src/lib/download.js';
+
+const FORMATS = ['json', 'csv', 'svg', 'pdf'];
+const ARRANGEMENTS = ['solve', 'alpha', 'roster'];
+
+const USAGE = `Usage: felix <layout.json> <roster.csv> [more rosters...] [options]
+
+Fills the room in <layout.json> (a layout file saved from the app) with each
+roster and writes one chart per roster. Rosters are CSV/TSV with a header row; columns
+are matched the same way as the app's roster import.
+
+Options:
+  -o, --out <dir>          Output directory (default: current directory)
+  -f, --format <list>      Comma-separated: ${FORMATS.join(', ')} (default: json,csv,svg)
+  -a, --arrange <mode>     solve  offline solver, accommodations up front (default)
+                           alpha  A–Z by preferred name, front-to-back
+                           roster roster order, front-to-back
+  -s, --seed <text>        Solver seed; the same seed gives the same chart (default: felix)
+      --class <name>       Class name (default: the layout's class name)
+      --page <size>        ${Object.keys(PAGE_SIZES).join(', ')} (default: letter)
+      --portrait           Portrait pages for SVG/PDF
+      --back               Draw SVG/PDF as seen from the back of the room
+  -h, --help               Show this help`;
+
+const fail = (message) => {
+  console.error(`felix: ${message}`);
+  process.exit(1);
+};
+
+const { values: options, positionals } = (() => {
+  try {
+    return parseArgs({
+      allowPositionals: true,
+      options: {
+        out: { type: 'string', short: 'o', default: '.' },
+        format: { type: 'string', short: 'f', default: 'json,csv,svg' },
+        arrange: { type: 'string', short: 'a', default: 'solve' },
+        seed: { type: 'string', short: 's', default: 'felix' },
+        class: { type: 'string' },
+        page: { type: 'string', default: 'letter' },
+        portrait: { type: 'boolean', default: false },
+        back: { type: 'boolean', default: false },
+        help: { type: 'boolean', short: 'h', default: false },
+      },
+    });
+  } catch (err) {
+    return fail(`${err.message}\n\n${USAGE}`);
+  }
+})();
+
+if (options.help || positionals.length < 2) {
+  console.log(USAGE);
+  process.exit(options.help ? 0 : 1);
+}
+
+const formats = options.format.split(',').map(f => f.trim().toLowerCase()).filter(Boolean);
+const unknownFormat = formats.find(f => !FORMATS.includes(f));
+if (unknownFormat) fail(`unknown format "${unknownFormat}" (use ${FORMATS.join(', ')})`);
+if (!ARRANGEMENTS.includes(options.arrange)) fail(`unknown arrangement "${options.arrange}" (use ${ARRANGEMENTS.join(', ')})`);
+if (!PAGE_SIZES[options.page]) fail(`unknown page size "${options.page}" (use ${Object.keys(PAGE_SIZES).join(', ')})`);
+
+const readText = async (path) => {
+  try {
+    return await readFile(path, 'utf8');
+  } catch (err) {
+    return fail(`cannot read ${path}: ${err.code === 'ENOENT' ? 'no such file' : err.message}`);
+  }
+};
+
+const [layoutPath, ...rosterPaths] = positionals;
+const parsed = parseLayoutFile(await readText(layoutPath));
+if (!parsed.layout) fail(`${layoutPath}: ${parsed.errors.join(' ')}`);
+parsed.warnings.forEach(warning => console.warn(`${layoutPath}: ${warning}`));
+
+// Only the room is reused; each roster brings its own students.
+const room = { ...parsed.layout, seats: {}, students: {} };
+const exportOptions = { pageSize: options.page, orientation: options.portrait ? 'portrait' : 'landscape', flipped: options.back };
+await mkdir(options.out, { recursive: true });
+
+let failures = 0;
+for (const rosterPath of rosterPaths) {
+  const period = basename(rosterPath, extname(rosterPath));
+  const rows = parseDelimited(await readText(rosterPath));
+  const mapping = rows.length ? guessMapping(rows[0]) : {};
+  if (!rows.length || (mapping.fullName < 0 && mapping.firstName < 0 && mapping.lastName < 0)) {
+    console.error(`${rosterPath}: no name column found; skipped.`);
+    failures++;
+    continue;
+  }
+  const entries = buildRoster(rows, mapping);
+  entries.filter(e => e.errors.length).forEach(e => console.warn(`${rosterPath}:${e.line}: ${e.errors.join('; ')} — row skipped`));
+
+  const details = { ...room.details, className: options.class || room.details.className || 'Class Layout', period, date: new Date().toLocaleDateString() };
+  let chart = seatRoster({ ...room, details }, entries, 'replace');
+  let report = { violations: [], unseated: [] };
+  if (options.arrange === 'solve') ({ chart, ...report } = solveChart(chart, { seed: `${options.seed}:${period}` }));
+  else if (options.arrange === 'alpha') chart = sortAlpha(chart);
+
+  const stem = join(options.out, `Felix-${fileSlug(details.className)}-${fileSlug(period, 'Period')}`);
+  const outputs = {
+    json: () => JSON.stringify(createLayoutDocument(chart), null, 2),
+    csv: () => chartToCsv(chart),
+    svg: () => chartToSvg(chart, exportOptions),
+    pdf: () => chartToPdf(chart, exportOptions),
+  };
+  for (const format of formats) await writeFile(`${stem}.${format}`, outputs[format]());
+
+  const seated = Object.keys(chart.seats).length;
+  const unassigned = Object.keys(chart.students).length - seated;
+  console.log(`${rosterPath}: ${seated} seated${unassigned ? `, ${unassigned} without a desk` : ''} → ${formats.map(f => `${stem}.${f}`).join(', ')}`);
+  report.violations.forEach(v => console.warn(`  ${v.hard ? 'rule not met' : 'preference not met'}: ${v.message}`));
+  if (formats.includes('pdf')) {
+    const unsupported = pdfUnsupportedText(buildChartScene(chart, exportOptions));
+    if (unsupported.length) console.warn(`  PDF shows "?" for letters in: ${unsupported.join(', ')} — use the SVG to keep them`);
+  }
+}
+
+process.exit(failures ? 1 : 0);
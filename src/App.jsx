@@ -1,4 +1,4 @@
-import React, { useState, useEffect, useRef } from 'react';
+import React, { useState, useEffect, useRef, useMemo } from 'react';
 import { 
   Printer, RotateCcw, LayoutGrid, Monitor, List, 
   Shuffle, ArrowDownAZ, X, Settings, BrainCircuit,
@@ -6,8 +6,47 @@ import {
   Users, Map as MapIcon, ChevronRight, ChevronLeft, Sparkles,
   ArrowRightCircle, AlertCircle, PanelLeftOpen, PanelRightOpen,
   Loader2, Wand2, Info, Copyright, ExternalLink, ChevronDown,
-  FileText, Image as ImageIcon, Download, ArrowLeft, ShieldCheck
+  FileText, Image as ImageIcon, Download, ArrowLeft, ShieldCheck,
+  Pencil, FileSpreadsheet, CalendarDays, ClipboardList, ClipboardCheck, Share2, Hand, WifiOff
 } from 'lucide-react';
+import ClassSwitcher from './components/ClassSwitcher.jsx';
+import SolverPanel from './components/SolverPanel.jsx';
+import SeatInput from './components/SeatInput.jsx';
+import StudentEditor from './components/StudentEditor.jsx';
+import RosterImport from './components/RosterImport.jsx';
+import HistoryControls from './components/HistoryControls.jsx';
+import GemReview from './components/GemReview.jsx';
+import ProviderSettings from './components/ProviderSettings.jsx';
+import SyncPreview from './components/SyncPreview.jsx';
+import RoomPalette, { FixtureIcon } from './components/RoomPalette.jsx';
+import RotationPlanner from './components/RotationPlanner.jsx';
+import SubstitutePacket from './components/SubstitutePacket.jsx';
+import ExportDialog from './components/ExportDialog.jsx';
+import AttendanceBar, { StatusBadge } from './components/AttendanceBar.jsx';
+import GroupBuilder from './components/GroupBuilder.jsx';
+import ParticipationBar, { TallyBadges } from './components/ParticipationBar.jsx';
+import ParticipationReport from './components/ParticipationReport.jsx';
+import LayoutShare from './components/LayoutShare.jsx';
+import LayoutTools, { GridSizeInput } from './components/LayoutTools.jsx';
+import UpdatePrompt from './components/UpdatePrompt.jsx';
+import useDialog from './components/useDialog.js';
+import { loadWorkspace, saveWorkspace, createClassRecord, duplicateClassRecord, loadAiSettings, saveAiSettings } from './lib/storage.js';
+import { requestSeating, isOfflineFor, OFFLINE_MESSAGE } from './lib/providers.js';
+import { registerServiceWorker, applyUpdate } from './lib/pwa.js';
+import { loadAds } from './lib/ads.js';
+import { pseudonymize, restoreIdentities } from './lib/pseudonymize.js';
+import { solveSeating, sortCoords, parseCoord } from './lib/solver.js';
+import { mergeRoster } from './lib/roster.js';
+import { FIXTURE_TYPES, LAYOUT_TEMPLATES, NEAR_DISTANCE, generateTemplate } from './lib/room.js';
+import { createRotation, planNextRotation, rotationFixtures } from './lib/rotations.js';
+import { ATTENDANCE_STATUSES, dateKey, nextStatus, setStatus } from './lib/attendance.js';
+import { PARTICIPATION_KINDS, addEvent, removeLastEvent, tallyEvents, pickStudent, seatZone } from './lib/participation.js';
+import { buildGroups, groupColor, groupIndexByDesk } from './lib/groups.js';
+import { decodeRoomFragment } from './lib/layoutFile.js';
+import * as engine from './lib/engine.js';
+import { createHistory, pushEntry, undoEntry, redoEntry } from './lib/history.js';
+import { parseGemText, validateGemResponse, buildProposal, applyProposal } from './lib/gemReview.js';
+import { createStudent, displayName, isPriority, findStudentByName, unassignedIds, seatIndex, moveStudentToSeat } from './lib/students.js';
 
 /**
  * FELIX v8.2 (Master Production Edition)
@@ -19,9 +58,7 @@ import {
  */
 
 export default function App() {
-  // Key is provided by the execution environment at runtime
-  const apiKey = ""; 
-  const gridRef = useRef(null);
+  const seatGridRef = useRef(null);
 
   // --- UI Visibility State ---
   const [activeMenu, setActiveMenu] = useState(null); 
@@ -29,39 +66,130 @@ export default function App() {
   const [isPrivacyModalOpen, setIsPrivacyModalOpen] = useState(false);
   const [isExportOpen, setIsExportOpen] = useState(false);
   const [isPrinting, setIsPrinting] = useState(false);
+  const [isVectorExportOpen, setIsVectorExportOpen] = useState(false);
+  const [isShareOpen, setIsShareOpen] = useState(false);
+  const [sharedRoom, setSharedRoom] = useState(null);
+  const [isOnline, setIsOnline] = useState(() => navigator.onLine);
+  const [appNotice, setAppNotice] = useState(null);
+  const [announcement, setAnnouncement] = useState('');
+  const configPanel = useDialog(() => setActiveMenu(null), activeMenu === 'config');
+  const gemPanel = useDialog(() => setActiveMenu(null), activeMenu === 'gem');
+  const privacyDialog = useDialog(() => setIsPrivacyModalOpen(false), isPrivacyModalOpen);
+  const helpDialog = useDialog(() => setIsHelpModalOpen(false), isHelpModalOpen);
+  const [printOptions, setPrintOptions] = useState({ packet: false, flipped: false });
+  const [editingStudentId, setEditingStudentId] = useState(null);
+  const [isImportOpen, setIsImportOpen] = useState(false);
+  const [gemProposal, setGemProposal] = useState(null);
+
+  // --- Seat Moving State (drag-and-drop + keyboard) ---
+  const [dragOverKey, setDragOverKey] = useState(null);
+  const [cursor, setCursor] = useState(null);
+  const [heldStudentId, setHeldStudentId] = useState(null);
+
+  // --- Saved Classes (restored from local storage) ---
+  const [boot] = useState(loadWorkspace);
+  const bootClass = boot.classes.find(c => c.id === boot.activeClassId);
+  const [classes, setClasses] = useState(boot.classes);
+  const [activeClassId, setActiveClassId] = useState(boot.activeClassId);
+  const [storageNotice, setStorageNotice] = useState(boot.notice);
+  const [canSave, setCanSave] = useState(boot.canSave);
+  const [saveError, setSaveError] = useState(null);
 
   // --- Room Configuration State ---
-  const [gridSize, setGridSize] = useState({ rows: 7, cols: 9 });
-  const [desks, setDesks] = useState(new Set(['1-2', '1-3', '1-5', '1-6', '3-2', '3-3', '3-5', '3-6']));
-  const [seats, setSeats] = useState({});
-  const [studentMetadata, setStudentMetadata] = useState({});
+  const [gridSize, setGridSize] = useState(bootClass.gridSize);
+  const [desks, setDesks] = useState(() => new Set(bootClass.desks));
+  const [fixtures, setFixtures] = useState(bootClass.fixtures);
+  const [roomTool, setRoomTool] = useState(null);
+  const [displacedIds, setDisplacedIds] = useState([]);
+  const [seats, setSeats] = useState(bootClass.seats);
+  const [students, setStudents] = useState(bootClass.students);
   
   // --- Workspace Logic State ---
   const [rosterInput, setRosterInput] = useState('');
   const [isGenerating, setIsGenerating] = useState(false);
+  const [aiSettings, setAiSettings] = useState(loadAiSettings);
+  const syncAbortRef = useRef(null);
   const [error, setError] = useState(null);
-  const [details, setDetails] = useState({
-    className: 'Class Layout',
-    period: 'Section 001',
-    date: new Date().toLocaleDateString(),
-  });
+  const [details, setDetails] = useState(bootClass.details);
+  const [subNotes, setSubNotes] = useState(bootClass.subNotes);
 
-  // --- Ad & Script Effects ---
+  // --- Offline Solver State ---
+  const [rules, setRules] = useState(bootClass.rules);
+  const [solverSeed, setSolverSeed] = useState(bootClass.solverSeed);
+  const [solverReport, setSolverReport] = useState(null);
+
+  // --- Rotation Planner State ---
+  const [rotations, setRotations] = useState(bootClass.rotations);
+  const [isRotationsOpen, setIsRotationsOpen] = useState(false);
+
+  // --- Attendance State (per class, keyed by local date) ---
+  const [attendance, setAttendance] = useState(bootClass.attendance);
+  const [attendanceDay, setAttendanceDay] = useState(dateKey);
+  const [isTakingAttendance, setIsTakingAttendance] = useState(false);
+
+  // --- Participation (persisted per class) ---
+  const [participation, setParticipation] = useState(bootClass.participation);
+  const [participationDay, setParticipationDay] = useState(dateKey);
+  const [isParticipating, setIsParticipating] = useState(false);
+  const [tallyKind, setTallyKind] = useState('participation');
+  const [pickedId, setPickedId] = useState(null);
+  const [isParticipationReportOpen, setIsParticipationReportOpen] = useState(false);
+
+  // --- Cooperative Group State ---
+  const [groupSets, setGroupSets] = useState(bootClass.groupSets);
+  const [activeGroupSetId, setActiveGroupSetId] = useState(bootClass.activeGroupSetId);
+  const [isGroupsOpen, setIsGroupsOpen] = useState(false);
+
+  // --- Undo/Redo History (per class, not persisted) ---
+  const [history, setHistory] = useState(createHistory);
+  const historyKeysRef = useRef(null);
+
+  // The active class is edited through the live state above; this folds it back into the list.
+  const classList = useMemo(() => classes.map(c => c.id === activeClassId
+    ? { ...c, gridSize, desks: Array.from(desks), fixtures, seats, students, details, rules, solverSeed, rotations, subNotes, attendance, participation, groupSets, activeGroupSetId }
+    : c
+  ), [classes, activeClassId, gridSize, desks, fixtures, seats, students, details, rules, solverSeed, rotations, subNotes, attendance, participation, groupSets, activeGroupSetId]);
+
+  // --- Persistence ---
+  // Paused only while unreadable saved data could not be backed up (see loadWorkspace).
   useEffect(() => {
-    // 1. html2canvas for exports
-    const script = document.createElement('script');
-    script.src = "https://cdnjs.cloudflare.com/ajax/libs/html2canvas/1.4.1/html2canvas.min.js";
-    script.async = true;
-    document.body.appendChild(script);
+    if (!canSave) return;
+    setSaveError(saveWorkspace({ activeClassId, classes: classList }));
+  }, [activeClassId, classList, canSave]);
 
-    // 2. AdSense Initialization
-    try {
-      (window.adsbygoogle = window.adsbygoogle || []).push({});
-    } catch (e) {
-      console.log("AdSense initialization pending or blocked.");
-    }
+  useEffect(() => {
+    saveAiSettings(aiSettings);
+  }, [aiSettings]);
 
-    // 3. Global Print Styles
+  // --- Offline App ---
+  useEffect(() => {
+    const update = () => setIsOnline(navigator.onLine);
+    window.addEventListener('online', update);
+    window.addEventListener('offline', update);
+    const unregister = registerServiceWorker({
+      onReady: () => setAppNotice({ status: 'ready' }),
+      onUpdate: (worker) => setAppNotice({ status: 'update', worker }),
+    });
+    return () => {
+      window.removeEventListener('online', update);
+      window.removeEventListener('offline', update);
+      unregister();
+    };
+  }, []);
+
+  // --- Shared Room Links (#room=...) ---
+  useEffect(() => {
+    const readHash = () => decodeRoomFragment(window.location.hash).then(result => { if (result) setSharedRoom(result); });
+    readHash();
+    window.addEventListener('hashchange', readHash);
+    return () => window.removeEventListener('hashchange', readHash);
+  }, []);
+
+  // --- Ad & Script Effects ---
+  useEffect(() => loadAds(), []);
+
+  useEffect(() => {
+    // Global Print Styles
     const style = document.createElement('style');
     style.innerHTML = `
       @media print {
@@ -79,14 +207,199 @@ export default function App() {
     window.addEventListener('afterprint', handleAfterPrint);
 
     return () => { 
-      if (document.body.contains(script)) document.body.removeChild(script); 
       if (document.head.contains(style)) document.head.removeChild(style);
       window.removeEventListener('afterprint', handleAfterPrint);
     };
   }, []);
 
+  // --- Class Management ---
+  const loadClass = (record) => {
+    setActiveClassId(record.id);
+    setGridSize(record.gridSize);
+    setDesks(new Set(record.desks));
+    setFixtures(record.fixtures);
+    setRoomTool(null);
+    setDisplacedIds([]);
+    setIsTakingAttendance(false);
+    setIsParticipating(false);
+    setPickedId(null);
+    setSeats(record.seats);
+    setStudents(record.students);
+    setDetails(record.details);
+    setSubNotes(record.subNotes);
+    setAttendance(record.attendance);
+    setParticipation(record.participation);
+    setGroupSets(record.groupSets);
+    setActiveGroupSetId(record.activeGroupSetId);
+    setRules(record.rules);
+    setSolverSeed(record.solverSeed);
+    setSolverReport(null);
+    setRotations(record.rotations);
+    setRosterInput('');
+    setError(null);
+    setEditingStudentId(null);
+    setHeldStudentId(null);
+    setCursor(null);
+    setHistory(createHistory());
+    setGemProposal(null);
+  };
+
+  const openClass = (id) => {
+    if (id === activeClassId) return;
+    setClasses(classList);
+    loadClass(classList.find(c => c.id === id));
+  };
+
+  const createClass = () => {
+    const record = createClassRecord({ details: { className: `Class ${classList.length + 1}` } });
+    setClasses([...classList, record]);
+    loadClass(record);
+  };
+
+  const duplicateClass = (id) => {
+    const record = duplicateClassRecord(classList.find(c => c.id === id));
+    setClasses([...classList, record]);
+    loadClass(record);
+  };
+
+  // --- Layout Sharing ---
+  const importLayout = (layout) => {
+    const record = createClassRecord({ ...layout, details: { ...layout.details } });
+    setClasses([...classList, record]);
+    loadClass(record);
+    setIsShareOpen(false);
+  };
+
+  const dismissSharedRoom = () => {
+    setSharedRoom(null);
+    window.history.replaceState(null, '', `${window.location.pathname}${window.location.search}`);
+  };
+
+  // Students on desks the shared room does not have go back to Unassigned, after a confirm.
+  const applySharedRoom = (asNewClass) => {
+    const { gridSize: size, desks: roomDesks, fixtures: roomFixtures } = sharedRoom.room;
+    if (asNewClass) {
+      const record = createClassRecord({ gridSize: size, desks: roomDesks, fixtures: roomFixtures, details: { className: `Shared Room ${classList.length + 1}` } });
+      setClasses([...classList, record]);
+      loadClass(record);
+    } else {
+      const nextSeats = Object.fromEntries(Object.entries(seats).filter(([coord]) => roomDesks.includes(coord)));
+      if (!commitRoomChange('Apply shared room', { gridSize: size, desks: roomDesks, fixtures: roomFixtures, seats: nextSeats })) return;
+    }
+    dismissSharedRoom();
+  };
+
+  const renameClass = (id, patch) => {
+    if (id === activeClassId) setDetails(prev => ({ ...prev, ...patch }));
+    setClasses(prev => prev.map(c => c.id === id ? { ...c, details: { ...c.details, ...patch } } : c));
+  };
+
+  const deleteClass = (id) => {
+    const remaining = classList.filter(c => c.id !== id);
+    if (remaining.length === 0) return;
+    setClasses(remaining);
+    if (id === activeClassId) loadClass(remaining[0]);
+  };
+
+  // --- History ---
+  // Group sets travel with the seats they were built from, so undoing a build drops the set too;
+  // rules are included because layout changes move or delete pins.
+  const snapshotChart = () => ({ gridSize, desks: Array.from(desks), fixtures, seats, students, rules, groupSets, activeGroupSetId });
+
+  const restoreChart = (snapshot) => {
+    setGridSize(snapshot.gridSize);
+    setDesks(new Set(snapshot.desks));
+    setFixtures(snapshot.fixtures);
+    setSeats(snapshot.seats);
+    setStudents(snapshot.students);
+    setRules(snapshot.rules);
+    setGroupSets(snapshot.groupSets);
+    setActiveGroupSetId(snapshot.activeGroupSetId);
+  };
+
+  // Call before a mutation so the entry holds the state to return to.
+  const recordHistory = (label, coalesceKey) => setHistory(prev => pushEntry(prev, label, snapshotChart(), coalesceKey));
+
+  const undo = (steps = 1) => {
+    const result = undoEntry(history, snapshotChart(), steps);
+    if (!result) return;
+    announce(steps > 1 ? `Undid ${steps} changes` : `Undid ${history.past[history.past.length - 1].label}`);
+    setHistory(result.history);
+    restoreChart(result.snapshot);
+  };
+
+  const redo = () => {
+    const result = redoEntry(history, snapshotChart());
+    if (!result) return;
+    announce(`Redid ${history.future[history.future.length - 1].label}`);
+    setHistory(result.history);
+    restoreChart(result.snapshot);
+  };
+
+  useEffect(() => {
+    historyKeysRef.current = { undo, redo };
+  });
+
+  // Ctrl/Cmd+Z undoes, Shift+Z (or Ctrl+Y) redoes; text fields keep their native undo.
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (!(e.ctrlKey || e.metaKey) || ['INPUT', 'TEXTAREA', 'SELECT'].includes(e.target.tagName)) return;
+      const key = e.key.toLowerCase();
+      if (key === 'z' && !e.shiftKey) { e.preventDefault(); historyKeysRef.current?.undo(); }
+      else if ((key === 'z' && e.shiftKey) || key === 'y') { e.preventDefault(); historyKeysRef.current?.redo(); }
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, []);
+
+  // --- Room Changes ---
+  // Every change that can remove desks goes through here. Pins and group desks follow `map`
+  // (old coord -> new coord, identity by default) and are dropped when their desk is gone;
+  // anyone who loses a seat goes to the tray, flagged, after the teacher confirms.
+  // Returns the displaced student IDs, or null when the teacher cancels.
+  const commitRoomChange = (label, chart, map = (coord) => coord) => {
+    const deskSet = new Set(chart.desks);
+    const mapDesk = (coord) => {
+      const next = map(coord);
+      return next && deskSet.has(next) ? next : null;
+    };
+    const seatedAfter = new Set(Object.values(chart.seats));
+    const displaced = Object.values(seats).filter(id => students[id] && !seatedAfter.has(id));
+    const lostPins = rules.filter(rule => rule.type === 'pin' && !mapDesk(rule.seat));
+    const trimmedSets = groupSets.filter(set => set.groups.some(group => group.desks.some(coord => !mapDesk(coord)))).length;
+    if (displaced.length || lostPins.length || trimmedSets) {
+      const lines = [];
+      if (displaced.length) lines.push(`${displaced.length} student(s) will lose their desk and wait in Unassigned Students:\n${displaced.map(id => `  • ${displayName(students[id])}`).join('\n')}`);
+      if (lostPins.length) lines.push(`${lostPins.length} pin rule(s) on removed desks will be deleted.`);
+      if (trimmedSets) lines.push(`${trimmedSets} group set(s) will lose desks that no longer exist.`);
+      if (!window.confirm(`${label}?\n\n${lines.join('\n\n')}`)) return null;
+    }
+    recordHistory(label);
+    setGridSize(chart.gridSize);
+    setDesks(deskSet);
+    setFixtures(chart.fixtures);
+    setSeats(chart.seats);
+    setRules(prev => prev.filter(rule => !lostPins.includes(rule)).map(rule => (rule.type === 'pin' ? { ...rule, seat: mapDesk(rule.seat) } : rule)));
+    setGroupSets(prev => prev.map(set => ({ ...set, groups: set.groups.map(group => ({ ...group, desks: group.desks.map(mapDesk).filter(Boolean) })) })));
+    setDisplacedIds(prev => [...new Set([...prev, ...displaced])]);
+    return displaced;
+  };
+
+  // --- Layout Transforms ---
+  // Desks, objects, seats, pins and group desks all move together.
+  const applyLayoutTransform = (label, transform) => {
+    const { chart } = engine.applyTransform(chartData, transform);
+    const displaced = commitRoomChange(label, chart, transform.map);
+    if (!displaced) return;
+    setCursor(null);
+    announce(`${label} done${displaced.length ? `, ${displaced.length} student(s) moved to Unassigned Students` : ''}. Grid is now ${chart.gridSize.rows} rows by ${chart.gridSize.cols} columns.`);
+  };
+
+  const resizeGrid = (patch) => applyLayoutTransform('Resize grid', engine.resizeLayout(gridSize, patch));
+
   // --- Export Handlers ---
-  const enterPrintPreview = () => { 
+  const enterPrintPreview = (options = {}) => { 
+    setPrintOptions({ packet: false, flipped: false, ...options });
     setIsExportOpen(false); 
     setActiveMenu(null); 
     setIsPrinting(true); 
@@ -103,149 +416,469 @@ export default function App() {
     }, 200);
   };
 
-  const handleExportImage = async () => {
+  const openVectorExport = () => {
     setIsExportOpen(false);
-    if (!window.html2canvas) {
-      setError("Loading high-res engine...");
-      return;
-    }
-    
-    setError(null);
-    try {
-      const canvas = await window.html2canvas(gridRef.current, { 
-        backgroundColor: '#ffffff', 
-        scale: 2, 
-        useCORS: true,
-        onclone: (clonedDoc) => {
-          const inputs = clonedDoc.querySelectorAll('input[type="text"]');
-          inputs.forEach(input => {
-            const parent = input.parentElement;
-            const textNode = clonedDoc.createElement('div');
-            textNode.innerText = input.value;
-            textNode.style.cssText = input.style.cssText;
-            textNode.className = input.className;
-            input.style.display = 'none';
-            parent.appendChild(textNode);
-          });
-        }
-      });
-      const link = document.createElement('a');
-      link.download = `Felix-${details.className.replace(/\s+/g, '-')}.png`;
-      link.href = canvas.toDataURL('image/png');
-      link.click();
-    } catch (err) {
-      setError("PNG Export failed. Use Print/PDF instead.");
-    }
+    setActiveMenu(null);
+    setIsVectorExportOpen(true);
   };
 
-  // --- Gemini API Logic ---
-  const generateSeatingWithGemini = async () => {
+  // --- AI Provider Logic ---
+  const syncRequest = useMemo(() => pseudonymize({
+    students, seats, desks: Array.from(desks), fixtures, gridSize, rosterText: rosterInput,
+  }), [students, seats, desks, fixtures, gridSize, rosterInput]);
+
+  const generateSeating = async () => {
     if (!rosterInput.trim()) { setError("Roster is empty."); return; }
+    if (isOfflineFor(aiSettings)) { setError(OFFLINE_MESSAGE); return; }
+    const controller = new AbortController();
+    syncAbortRef.current = controller;
     setIsGenerating(true);
     setError(null);
 
-    const currentState = {
-      gridSize,
-      activeDesks: Array.from(desks),
-      currentSeating: seats,
-      metadata: studentMetadata
-    };
-
-    const systemPrompt = `
-      You are 'Felix', a state-aware seating assistant.
-      RULES:
-      1. MERGE: Keep existing names in 'currentSeating' unless specifically asked to move them.
-      2. COMPLIANCE: Students with IEP, 504, or ELL must be in Row 0 or 1.
-      3. EXPAND: Create new coordinate keys in the grid if capacity exceeded.
-      4. RETURN ONLY JSON. 
-      JSON SCHEMA: { "assignments": { "row-col": "Name" }, "metadata": { "row-col": { "isPriority": true, "type": "IEP|504|ELL" } } }
-    `;
-
-    const fetchWithRetry = async (retries = 0) => {
-      try {
-        const response = await fetch(`https://generativelanguage.googleapis.com/v1beta/models/gemini-2.5-flash-preview-09-2025:generateContent?key=${apiKey}`, {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({
-            contents: [{ parts: [{ text: `Current State: ${JSON.stringify(currentState)} \nNew Roster: ${rosterInput}` }] }],
-            systemInstruction: { parts: [{ text: systemPrompt }] },
-            generationConfig: { responseMimeType: "application/json" }
-          })
-        });
-
-        if (!response.ok) throw new Error(`API: ${response.status}`);
-        const result = await response.json();
-        const text = result.candidates?.[0]?.content?.parts?.[0]?.text;
-        
-        if (text) {
-          handleApplyGemJSON(text);
-          setActiveMenu(null); 
-        }
-      } catch (err) {
-        if (retries < 5) {
-          const delay = Math.pow(2, retries) * 1000;
-          setTimeout(() => fetchWithRetry(retries + 1), delay);
-        } else {
-          setError("Brain sync failed. Please check your connection and try again.");
-          setIsGenerating(false);
-        }
-      }
-    };
-    fetchWithRetry();
+    // Exactly what the preview panel shows: tokens only, real names stay in syncRequest.identities.
+    const { payload, identities } = syncRequest;
+    try {
+      const text = await requestSeating({ settings: aiSettings, payload, signal: controller.signal });
+      if (handleApplyGemJSON(text, identities)) setActiveMenu(null);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      syncAbortRef.current = null;
+      setIsGenerating(false);
+    }
   };
 
-  const handleApplyGemJSON = (sourceText) => {
+  const cancelGeneration = () => syncAbortRef.current?.abort();
+
+  // Output is validated and turned into a proposal; nothing changes until the teacher reviews it.
+  const handleApplyGemJSON = (sourceText, identities) => {
+    let data;
     try {
-      const cleanJson = sourceText.replace(/```json|```/g, '').trim();
-      const data = JSON.parse(cleanJson);
-      const newDesks = new Set(desks);
-      Object.keys(data.assignments || {}).forEach(coord => newDesks.add(coord));
-      const mergedSeats = { ...seats, ...(data.assignments || {}) };
-      setDesks(newDesks);
-      setSeats(mergedSeats);
-      setStudentMetadata(prev => ({ ...prev, ...(data.metadata || {}) }));
-      setIsGenerating(false);
-    } catch (e) {
+      data = parseGemText(sourceText);
+    } catch {
       setError("AI format error.");
-      setIsGenerating(false);
+      return false;
     }
+    const restored = restoreIdentities(data, identities);
+    const problems = [...restored.errors, ...validateGemResponse(restored.data, gridSize, fixtures, Object.values(identities).map(identity => identity.name))];
+    if (problems.length > 0) {
+      setError(`AI output rejected: ${problems.slice(0, 3).join(' ')}${problems.length > 3 ? ` (+${problems.length - 3} more)` : ''}`);
+      return false;
+    }
+    setGemProposal(buildProposal({ students, seats, desks: Array.from(desks) }, restored.data));
+    return true;
+  };
+
+  const applyGemProposal = (acceptedIds) => {
+    const result = applyProposal({ students, seats, desks: Array.from(desks) }, gemProposal, acceptedIds);
+    recordHistory('Gem sync');
+    setDesks(result.desks);
+    setStudents(result.students);
+    setSeats(result.seats);
+    setGemProposal(null);
   };
 
   // --- Manipulators ---
+  const unseatStudent = (id) => {
+    setSeats(prev => Object.fromEntries(Object.entries(prev).filter(([, sid]) => sid !== id)));
+  };
+
   const handleManualEdit = (key, value) => {
-    setSeats(prev => ({...prev, [key]: value}));
+    const name = value.trim();
+    const current = students[seats[key]];
+
+    // Clearing a desk unseats the student; their record stays in the registry.
+    if (!name) {
+      if (current) {
+        recordHistory('Clear desk');
+        unseatStudent(current.id);
+      }
+      return;
+    }
+    if (current && name === displayName(current)) return;
+
+    // Retyping an unseated student's name brings their record (and accommodations) back.
+    const returning = findStudentByName(students, name, unassignedIds(students, seats));
+    // A student seated elsewhere moves here (swapping desks) instead of being duplicated.
+    const seated = !returning && findStudentByName(students, name);
+    if (seated) {
+      if (seated.id === current?.id) return;
+      const from = Object.keys(seats).find(coord => seats[coord] === seated.id);
+      placeStudent(seated.id, key);
+      announce(`${displayName(seated)} moved here from ${placeName(from)}${current ? `, swapped with ${displayName(current)}` : ''}`);
+      return;
+    }
+
+    recordHistory('Edit name');
+    if (returning) {
+      setSeats(prev => ({ ...prev, [key]: returning.id }));
+      return;
+    }
+
+    if (current) {
+      const field = current.preferredName ? 'preferredName' : 'name';
+      setStudents(prev => ({ ...prev, [current.id]: { ...current, [field]: name } }));
+      return;
+    }
+
+    const student = createStudent({ name });
+    setStudents(prev => ({ ...prev, [student.id]: student }));
+    setSeats(prev => ({ ...prev, [key]: student.id }));
+  };
+
+  const importRoster = (entries, mode) => {
+    const merged = mergeRoster({ students, seats, desks: Array.from(desks) }, entries, mode);
+    recordHistory(mode === 'replace' ? 'Replace roster' : 'Import roster');
+    setStudents(merged.students);
+    setSeats(merged.seats);
+    setActiveMenu(null);
+  };
+
+  const saveStudent = (student) => {
+    recordHistory('Edit student');
+    setStudents(prev => ({ ...prev, [student.id]: student }));
+  };
+
+  const unseatFromEditor = (id) => {
+    recordHistory('Unseat student');
+    unseatStudent(id);
+  };
+
+  // Rules that mention a removed student are kept, so undo can bring both back;
+  // the solver reports them as unsatisfiable in the meantime.
+  const deleteStudent = (id) => {
+    recordHistory('Remove student');
+    unseatStudent(id);
+    setStudents(prev => Object.fromEntries(Object.entries(prev).filter(([sid]) => sid !== id)));
   };
 
   const toggleDesk = (r, c) => {
-    const key = `${r}-${c}`;
-    const newDesks = new Set(desks);
-    if (newDesks.has(key)) {
-      newDesks.delete(key);
-      const newSeats = { ...seats }; 
-      delete newSeats[key]; 
-      setSeats(newSeats);
+    const next = engine.toggleDesk(chartData, engine.toCoord(r, c));
+    recordHistory(next.desks.length < desks.size ? 'Remove desk' : 'Add desk');
+    setDesks(new Set(next.desks));
+    setSeats(next.seats);
+  };
+
+  // --- Room Objects & Templates ---
+  // Returns true when the room changed.
+  const placeFixture = (key) => {
+    const current = fixtures[key];
+    const next = { ...fixtures };
+    if (roomTool === 'erase' || current === roomTool) {
+      if (!current) return false;
+      recordHistory(`Remove ${FIXTURE_TYPES[current].label.toLowerCase()}`);
+      delete next[key];
+    } else if (desks.has(key)) {
+      // Objects take the whole cell: the desk there goes, and its student returns to Unassigned.
+      next[key] = roomTool;
+      const chart = engine.toggleDesk(chartData, key);
+      return !!commitRoomChange(`Place ${FIXTURE_TYPES[roomTool].label.toLowerCase()}`, { ...chart, fixtures: next });
     } else {
-      newDesks.add(key);
+      recordHistory(`Place ${FIXTURE_TYPES[roomTool].label.toLowerCase()}`);
+      next[key] = roomTool;
+    }
+    setFixtures(next);
+    return true;
+  };
+
+  const applyTemplate = (templateId) => {
+    const nextDesks = sortCoords(generateTemplate(templateId, gridSize, fixtures));
+    // Keep everyone's front-to-back, left-to-right order; overflow goes to Unassigned.
+    const seatedInOrder = sortCoords(Object.keys(seats)).map(coord => seats[coord]).filter(id => students[id]);
+    const nextSeats = {};
+    seatedInOrder.slice(0, nextDesks.length).forEach((id, i) => { nextSeats[nextDesks[i]] = id; });
+    if (commitRoomChange(`Template: ${LAYOUT_TEMPLATES[templateId].label}`, { gridSize, desks: nextDesks, fixtures, seats: nextSeats })) setActiveMenu(null);
+  };
+
+  const chooseRoomTool = (tool) => {
+    setRoomTool(tool);
+    setIsTakingAttendance(false);
+    setActiveMenu(null);
+  };
+
+  // --- Attendance ---
+  // Marks are records, not layout edits, so they stay out of undo history.
+  const toggleAttendanceMode = () => {
+    setIsTakingAttendance(!isTakingAttendance);
+    setIsParticipating(false);
+    setAttendanceDay(dateKey());
+    setRoomTool(null);
+    setHeldStudentId(null);
+    setActiveMenu(null);
+  };
+
+  const cycleAttendance = (studentId) => {
+    const status = nextStatus(attendance[attendanceDay]?.[studentId]);
+    announce(`${displayName(students[studentId])}: ${ATTENDANCE_STATUSES[status]?.label || 'unmarked'}`);
+    setAttendance(prev => setStatus(prev, attendanceDay, studentId, nextStatus(prev[attendanceDay]?.[studentId])));
+  };
+
+  const markRestPresent = () => {
+    setAttendance(prev => Object.keys(students).reduce(
+      (next, id) => next[attendanceDay]?.[id] ? next : setStatus(next, attendanceDay, id, 'present'),
+      prev
+    ));
+  };
+
+  // --- Participation ---
+  // Like attendance marks, calls and tallies are records and stay out of undo history.
+  const toggleParticipationMode = () => {
+    setIsParticipating(!isParticipating);
+    setIsTakingAttendance(false);
+    setParticipationDay(dateKey());
+    setPickedId(null);
+    setRoomTool(null);
+    setHeldStudentId(null);
+    setActiveMenu(null);
+  };
+
+  const dayTallies = useMemo(() => tallyEvents(participation[participationDay]), [participation, participationDay]);
+
+  // Only students at a desk who are not marked absent can be called on.
+  const pickable = Object.values(seats).filter(id => students[id] && attendance[participationDay]?.[id] !== 'absent');
+
+  const recordParticipation = (studentId, kind) => {
+    const seat = Object.keys(seats).find(coord => seats[coord] === studentId);
+    setParticipation(prev => addEvent(prev, participationDay, { id: studentId, kind, at: new Date().toISOString(), seat: seat || null, zone: seat ? seatZone(seat, desks) : null }));
+  };
+
+  const adjustTally = (studentId, remove) => {
+    announce(`${displayName(students[studentId])}: ${PARTICIPATION_KINDS[tallyKind].label.toLowerCase()} ${remove ? 'removed' : 'added'}`);
+    if (remove) setParticipation(prev => removeLastEvent(prev, participationDay, studentId, tallyKind));
+    else recordParticipation(studentId, tallyKind);
+  };
+
+  const callOn = (id) => {
+    setPickedId(id);
+    announce(id ? `Picked ${displayName(students[id])}` : 'No one left to pick');
+    if (id) recordParticipation(id, 'call');
+  };
+
+  const pickNext = () => callOn(pickStudent(pickable, participation));
+
+  // Skipping takes the call back so the skipped student keeps their place in line.
+  const skipPicked = () => {
+    if (!pickedId) return;
+    const restored = removeLastEvent(participation, participationDay, pickedId, 'call');
+    setParticipation(prev => removeLastEvent(prev, participationDay, pickedId, 'call'));
+    callOn(pickStudent(pickable.filter(id => id !== pickedId), restored));
+  };
+
+  // --- Seat Moving ---
+  const placeStudent = (studentId, coord) => {
+    if (!students[studentId] || !desks.has(coord) || seats[coord] === studentId) return;
+    recordHistory('Move student');
+    setSeats(prev => moveStudentToSeat(prev, studentId, coord));
+  };
+
+  const handleSeatDrop = (e, coord) => {
+    e.preventDefault();
+    setDragOverKey(null);
+    placeStudent(e.dataTransfer.getData('text/plain'), coord);
+  };
+
+  const handleTrayDrop = (e) => {
+    e.preventDefault();
+    const id = e.dataTransfer.getData('text/plain');
+    if (!students[id] || !Object.values(seats).includes(id)) return;
+    recordHistory('Unseat student');
+    unseatStudent(id);
+  };
+
+  // --- Screen Reader Support ---
+  // Saying the same thing twice still gets read: a trailing no-break space makes it a change.
+  const announce = (message) => setAnnouncement(prev => (prev === message ? `${message}\u00a0` : message));
+
+  const placeName = (key) => {
+    const { r, c } = parseCoord(key);
+    return `Row ${r}${r === 0 ? ' (front)' : ''}, column ${c}`;
+  };
+
+  /** What a screen reader hears for a grid cell: position, then whoever or whatever is there. */
+  const describeSeat = (key) => {
+    const student = students[seats[key]];
+    if (fixtures[key]) return `${placeName(key)}: ${FIXTURE_TYPES[fixtures[key]].label}`;
+    if (!desks.has(key)) return `${placeName(key)}: no desk`;
+    if (!student) return `${placeName(key)}: empty desk`;
+    const parts = [displayName(student)];
+    if (student.tags.length) parts.push(`accommodations ${student.tags.join(', ')}`);
+    if (groupOfDesk[key] !== undefined) parts.push(`group ${groupOfDesk[key] + 1}${roleOf[student.id] ? ` ${roleOf[student.id]}` : ''}`);
+    if (isTakingAttendance) parts.push(ATTENDANCE_STATUSES[attendance[attendanceDay]?.[student.id]]?.label || 'unmarked');
+    if (isParticipating) {
+      const tally = dayTallies[student.id] || { call: 0, participation: 0, behavior: 0 };
+      parts.push(`called on ${tally.call}, participation ${tally.participation}, behavior notes ${tally.behavior}`);
+      if (student.id === pickedId) parts.push('picked');
+    }
+    if (student.id === heldStudentId) parts.push('being moved');
+    return `${placeName(key)}: ${parts.join(', ')}`;
+  };
+
+  // Arrows (plus Home/End) move the cursor, Enter/Space picks up or drops, Escape cancels,
+  // E edits the record, F2 renames, D adds or removes a desk, Delete unseats.
+  const handleGridKeyDown = (e) => {
+    if (e.target.tagName === 'INPUT') return;
+    const arrows = { ArrowUp: [-1, 0], ArrowDown: [1, 0], ArrowLeft: [0, -1], ArrowRight: [0, 1] };
+    const { r, c } = cursor ? parseCoord(cursor) : { r: 0, c: 0 };
+    const student = cursor && students[seats[cursor]];
+    const recording = isTakingAttendance || isParticipating;
+    if (arrows[e.key]) {
+      e.preventDefault();
+      const [dr, dc] = cursor ? arrows[e.key] : [0, 0];
+      const nr = Math.min(gridSize.rows - 1, Math.max(0, r + dr));
+      const nc = Math.min(gridSize.cols - 1, Math.max(0, c + dc));
+      setCursor(`${nr}-${nc}`);
+    } else if (e.key === 'Home' || e.key === 'End') {
+      e.preventDefault();
+      const last = e.key === 'End';
+      setCursor(`${e.ctrlKey ? (last ? gridSize.rows - 1 : 0) : r}-${last ? gridSize.cols - 1 : 0}`);
+    } else if ((e.key === 'Enter' || e.key === ' ') && cursor) {
+      e.preventDefault();
+      if (isTakingAttendance) {
+        if (student) cycleAttendance(student.id);
+      } else if (isParticipating) {
+        if (student) adjustTally(student.id, e.shiftKey);
+      } else if (heldStudentId) {
+        if (!desks.has(cursor)) { announce('No desk here. Choose a desk to drop on.'); return; }
+        placeStudent(heldStudentId, cursor);
+        setHeldStudentId(null);
+        announce(`${displayName(students[heldStudentId])} moved to ${placeName(cursor)}${student && student.id !== heldStudentId ? `, swapped with ${displayName(student)}` : ''}`);
+      } else if (roomTool) {
+        if (placeFixture(cursor)) announce(`${roomTool === 'erase' || fixtures[cursor] === roomTool ? 'Cleared' : `Placed ${FIXTURE_TYPES[roomTool].label.toLowerCase()} at`} ${placeName(cursor)}`);
+      } else if (student) {
+        setHeldStudentId(student.id);
+        announce(`Picked up ${displayName(student)}. Use the arrows to choose a desk, Enter to drop, Escape to cancel.`);
+      }
+    } else if (e.key === 'Escape') {
+      if (heldStudentId) announce('Move cancelled');
+      setHeldStudentId(null);
+    } else if ((e.key === 'e' || e.key === 'E') && student) {
+      setEditingStudentId(student.id);
+    } else if (e.key === 'F2' && cursor && desks.has(cursor) && !recording) {
+      e.preventDefault();
+      document.getElementById(`seat-${cursor}`)?.querySelector('input')?.focus();
+    } else if ((e.key === 'd' || e.key === 'D') && cursor && !recording && !roomTool) {
+      if (fixtures[cursor]) announce(`${FIXTURE_TYPES[fixtures[cursor]].label} here. Erase it in Room Layout first.`);
+      else if (student) announce(`${displayName(student)} is seated here. Press Delete to unseat them first.`);
+      else {
+        announce(`Desk ${desks.has(cursor) ? 'removed from' : 'added at'} ${placeName(cursor)}`);
+        toggleDesk(r, c);
+      }
+    } else if ((e.key === 'Delete' || e.key === 'Backspace') && student && !recording) {
+      e.preventDefault();
+      unseatFromEditor(student.id);
+      announce(`${displayName(student)} moved to Unassigned Students`);
     }
-    setDesks(newDesks);
+  };
+
+
+  const pickUpFromTray = (id) => {
+    setHeldStudentId(id);
+    setCursor(sortCoords(desks).find(coord => !seats[coord]) || sortCoords(desks)[0] || '0-0');
+    seatGridRef.current?.focus();
+    announce(`Picked up ${displayName(students[id])}. Use the arrows to choose a desk, Enter to drop, Escape to cancel.`);
   };
 
   const sortAlpha = () => {
-    const names = Object.values(seats).filter(n => n).sort((a, b) => a.localeCompare(b));
-    const coords = Array.from(desks);
-    const newSeats = {};
-    names.forEach((n, i) => { if (coords[i]) newSeats[coords[i]] = n; });
-    setSeats(newSeats);
+    recordHistory('Sort A–Z');
+    setSeats(engine.sortAlpha(chartData).seats);
   };
 
   const shuffleSeats = () => {
-    const names = Object.values(seats).filter(n => n).sort(() => Math.random() - 0.5);
-    const coords = Array.from(desks).sort(() => Math.random() - 0.5);
-    const newSeats = {};
-    names.forEach((n, i) => { if (coords[i]) newSeats[coords[i]] = n; });
-    setSeats(newSeats);
+    recordHistory('Shuffle');
+    setSeats(engine.shuffleSeats(chartData).seats);
+  };
+
+  // --- Rotation Planner ---
+  const publishRotation = (label) => {
+    const rotation = createRotation({ seats, desks: Array.from(desks), fixtures, gridSize, label: label || `Rotation ${rotations.length + 1}` });
+    setRotations(prev => [...prev, rotation]);
+    return rotation;
+  };
+
+  const restoreRotation = (id) => {
+    const rotation = rotations.find(r => r.id === id);
+    if (!rotation) return;
+    const restored = {
+      gridSize: rotation.gridSize,
+      desks: rotation.desks,
+      fixtures: rotationFixtures(rotation, fixtures),
+      seats: Object.fromEntries(Object.entries(rotation.seats).filter(([, sid]) => students[sid])),
+    };
+    if (commitRoomChange(`Restore ${rotation.label}`, restored)) setIsRotationsOpen(false);
+  };
+
+  const deleteRotation = (id) => setRotations(prev => prev.filter(r => r.id !== id));
+
+  const generateNextRotation = (lookback) => {
+    const result = planNextRotation({ students: solverStudents, desks: Array.from(desks), rules, fixtures, rotations, lookback, seed: solverSeed });
+    recordHistory('Next rotation');
+    setSeats(result.assignments);
+    return result;
+  };
+
+  // --- Cooperative Groups ---
+  const activeGroupSet = groupSets.find(set => set.id === activeGroupSetId) || null;
+  const groupOfDesk = useMemo(() => groupIndexByDesk(activeGroupSet), [activeGroupSet]);
+  const roleOf = useMemo(() => Object.assign({}, ...(activeGroupSet?.groups || []).map(g => g.roles)), [activeGroupSet]);
+
+  // One snapshot of the chart for the export and share dialogs.
+  const chartData = useMemo(() => ({
+    gridSize, desks: Array.from(desks), fixtures, seats, students, details, groups: activeGroupSet,
+  }), [gridSize, desks, fixtures, seats, students, details, activeGroupSet]);
+
+  const buildGroupSet = (options) => {
+    const result = buildGroups({ students: solverStudents, desks: Array.from(desks), rules, groupSets, seed: solverSeed, ...options });
+    recordHistory('Build groups');
+    setSeats(result.assignments);
+    setGroupSets(prev => [...prev, result.set]);
+    setActiveGroupSetId(result.set.id);
+    return result;
+  };
+
+  const deleteGroupSet = (id) => {
+    recordHistory('Delete group set');
+    setGroupSets(prev => prev.filter(set => set.id !== id));
+    if (id === activeGroupSetId) setActiveGroupSetId(null);
+  };
+
+  // --- Offline Solver ---
+  // Seated students come first so any overflow falls on those already unassigned.
+  const solverStudents = useMemo(() => {
+    const seated = Object.values(seats).filter(id => students[id]);
+    return [...seated, ...unassignedIds(students, seats)]
+      .map(id => ({ id, name: displayName(students[id]), tags: students[id].tags, attributes: students[id].attributes || {} }));
+  }, [seats, students]);
+
+  const changeRules = (next) => {
+    recordHistory('Edit rules', 'rules');
+    setRules(next);
+  };
+
+  const runOfflineSolver = () => {
+    if (solverStudents.length === 0) { setError("Roster is empty."); return; }
+    setError(null);
+    const result = solveSeating({ students: solverStudents, desks: Array.from(desks), rules, fixtures, seed: solverSeed });
+    recordHistory('Offline solve');
+    setSeats(result.assignments);
+    setSolverReport(result);
   };
 
+  const unassigned = unassignedIds(students, seats);
+  // Only flag students who are still waiting; reseating someone clears their flag.
+  const displaced = displacedIds.filter(id => unassigned.includes(id));
+
+  // A flipped print shows the room as seen from the back: rows and columns both reversed.
+  const flipChart = isPrinting && printOptions.flipped;
+  const rowOrder = Array.from({ length: gridSize.rows }, (_, i) => (flipChart ? gridSize.rows - 1 - i : i));
+  const colOrder = Array.from({ length: gridSize.cols }, (_, i) => (flipChart ? gridSize.cols - 1 - i : i));
+  const frontMarker = (
+    <div className={`w-full max-w-2xl h-14 bg-slate-900 border-2 border-slate-800 mx-auto rounded-2xl flex items-center justify-center gap-4 shrink-0 shadow-lg ${flipChart ? 'mt-4 mb-10' : 'mb-20'}`}>
+      <Monitor className="text-white opacity-80" size={24} />
+      <span className="text-white font-black text-[11px] uppercase tracking-[0.6em]">Front of Classroom</span>
+    </div>
+  );
+  const seatOf = seatIndex(seats);
+
   return (
     <div className={`h-screen bg-slate-100 text-slate-900 font-sans overflow-hidden flex flex-col relative ${isPrinting ? 'bg-white' : ''}`}>
       
@@ -259,6 +892,13 @@ export default function App() {
               <p className="text-[10px] font-bold text-slate-400 uppercase tracking-widest leading-none">Chart Export Mode</p>
               <p className="text-[9px] text-slate-500 italic mt-0.5 whitespace-nowrap">If print dialog fails to open, press Cmd/Ctrl + P</p>
             </div>
+            <span className="h-6 w-px bg-white/20"></span>
+            <label className="flex items-center gap-2 text-xs font-bold cursor-pointer">
+              <input type="checkbox" checked={printOptions.flipped} onChange={e => setPrintOptions({ ...printOptions, flipped: e.target.checked })} /> View from back of room
+            </label>
+            <label className="flex items-center gap-2 text-xs font-bold cursor-pointer">
+              <input type="checkbox" checked={printOptions.packet} onChange={e => setPrintOptions({ ...printOptions, packet: e.target.checked })} /> Substitute packet
+            </label>
           </div>
           <button onClick={executePrint} className="flex items-center gap-2 px-6 py-2.5 bg-blue-600 hover:bg-blue-500 rounded-lg text-sm font-black shadow-lg">Confirm & Print</button>
         </div>
@@ -277,15 +917,33 @@ export default function App() {
         </div>
 
         <div className="flex items-center gap-2">
-          <button onClick={() => setActiveMenu(activeMenu === 'config' ? null : 'config')} className={`flex items-center gap-2 px-4 py-2 text-xs font-bold rounded-xl transition-all ${activeMenu === 'config' ? 'bg-blue-800 text-white' : 'bg-white/10 text-white hover:bg-white/20'}`}><Settings size={16} /> Room Layout</button>
-          <button onClick={() => setActiveMenu(activeMenu === 'gem' ? null : 'gem')} className={`flex items-center gap-2 px-4 py-2 text-xs font-bold rounded-xl transition-all ${activeMenu === 'gem' ? 'bg-indigo-700 text-white' : 'bg-white/10 text-white hover:bg-white/20'}`}><BrainCircuit size={16} /> Gem Engine</button>
+          <ClassSwitcher
+            classes={classList}
+            activeClassId={activeClassId}
+            onOpen={openClass}
+            onCreate={createClass}
+            onRename={renameClass}
+            onDuplicate={duplicateClass}
+            onDelete={deleteClass}
+          />
+          <div className="w-px h-6 bg-white/20 mx-2"></div>
+          <HistoryControls past={history.past} future={history.future} onUndo={undo} onRedo={redo} />
+          <div className="w-px h-6 bg-white/20 mx-2"></div>
+          <button onClick={() => setActiveMenu(activeMenu === 'config' ? null : 'config')} aria-expanded={activeMenu === 'config'} className={`flex items-center gap-2 px-4 py-2 text-xs font-bold rounded-xl transition-all ${activeMenu === 'config' ? 'bg-blue-800 text-white' : 'bg-white/10 text-white hover:bg-white/20'}`}><Settings size={16} /> Room Layout</button>
+          <button onClick={() => { setActiveMenu(null); setIsRotationsOpen(true); }} className="flex items-center gap-2 px-4 py-2 text-xs font-bold rounded-xl transition-all bg-white/10 text-white hover:bg-white/20"><CalendarDays size={16} /> Rotations</button>
+          <button onClick={() => { setActiveMenu(null); setIsGroupsOpen(true); }} className="flex items-center gap-2 px-4 py-2 text-xs font-bold rounded-xl transition-all bg-white/10 text-white hover:bg-white/20"><Users size={16} /> Groups</button>
+          <button onClick={toggleAttendanceMode} className={`flex items-center gap-2 px-4 py-2 text-xs font-bold rounded-xl transition-all ${isTakingAttendance ? 'bg-green-600 text-white' : 'bg-white/10 text-white hover:bg-white/20'}`}><ClipboardCheck size={16} /> Attendance</button>
+          <button onClick={toggleParticipationMode} className={`flex items-center gap-2 px-4 py-2 text-xs font-bold rounded-xl transition-all ${isParticipating ? 'bg-fuchsia-600 text-white' : 'bg-white/10 text-white hover:bg-white/20'}`}><Hand size={16} /> Participation</button>
+          <button onClick={() => setActiveMenu(activeMenu === 'gem' ? null : 'gem')} aria-expanded={activeMenu === 'gem'} className={`flex items-center gap-2 px-4 py-2 text-xs font-bold rounded-xl transition-all ${activeMenu === 'gem' ? 'bg-indigo-700 text-white' : 'bg-white/10 text-white hover:bg-white/20'}`}><BrainCircuit size={16} /> Gem Engine{!isOnline && <WifiOff size={14} className="text-amber-300" aria-label="Offline" />}</button>
           <div className="w-px h-6 bg-white/20 mx-2"></div>
           <div className="relative">
             <button onClick={() => setIsExportOpen(!isExportOpen)} className="flex items-center gap-2 px-5 py-2 text-sm font-bold text-blue-600 bg-white rounded-xl hover:bg-blue-50 transition-all shadow-lg"><Download size={16} /> Export <ChevronDown size={14} /></button>
             {isExportOpen && (
               <div className="absolute right-0 mt-2 w-56 bg-white rounded-2xl shadow-2xl border border-slate-100 overflow-hidden z-[110]">
-                <button onClick={enterPrintPreview} className="w-full flex items-center gap-3 px-4 py-3 text-sm font-bold text-slate-700 hover:bg-slate-50"><Printer size={16} className="text-blue-500" /> Print / PDF</button>
-                <button onClick={handleExportImage} className="w-full flex items-center gap-3 px-4 py-3 text-sm font-bold text-slate-700 hover:bg-slate-50 border-t"><ImageIcon size={16} className="text-green-500" /> Download PNG</button>
+                <button onClick={() => enterPrintPreview()} className="w-full flex items-center gap-3 px-4 py-3 text-sm font-bold text-slate-700 hover:bg-slate-50"><Printer size={16} className="text-blue-500" /> Print / PDF</button>
+                <button onClick={() => enterPrintPreview({ packet: true })} className="w-full flex items-center gap-3 px-4 py-3 text-sm font-bold text-slate-700 hover:bg-slate-50 border-t"><ClipboardList size={16} className="text-amber-500" /> Substitute Packet</button>
+                <button onClick={openVectorExport} className="w-full flex items-center gap-3 px-4 py-3 text-sm font-bold text-slate-700 hover:bg-slate-50 border-t"><ImageIcon size={16} className="text-green-500" /> Download PDF / SVG</button>
+                <button onClick={() => { setIsExportOpen(false); setActiveMenu(null); setIsShareOpen(true); }} className="w-full flex items-center gap-3 px-4 py-3 text-sm font-bold text-slate-700 hover:bg-slate-50 border-t"><Share2 size={16} className="text-indigo-500" /> Share / Import Layout</button>
               </div>
             )}
           </div>
@@ -297,47 +955,67 @@ export default function App() {
         {activeMenu && <div className="fixed inset-0 bg-slate-900/20 backdrop-blur-[2px]" onClick={() => setActiveMenu(null)}></div>}
         
         {/* ROOM CONFIG MODAL */}
-        <div className={`absolute left-1/2 -translate-x-1/2 top-0 w-full max-w-2xl bg-white shadow-2xl rounded-b-3xl border transition-all duration-300 transform ${activeMenu === 'config' ? 'translate-y-0 opacity-100' : '-translate-y-full opacity-0 invisible'}`}>
+        <div {...configPanel} aria-label="Room layout" className={`outline-none absolute left-1/2 -translate-x-1/2 top-0 w-full max-w-2xl max-h-[85vh] overflow-y-auto bg-white shadow-2xl rounded-b-3xl border transition-all duration-300 transform ${activeMenu === 'config' ? 'translate-y-0 opacity-100' : '-translate-y-full opacity-0 invisible'}`}>
           <div className="p-8 grid grid-cols-2 gap-8">
             <div className="space-y-6">
               <h3 className="text-[10px] font-black text-slate-400 uppercase tracking-widest">Grid Dimensions</h3>
               <div className="grid grid-cols-2 gap-4">
-                <div className="space-y-1">
-                  <label className="text-[10px] font-bold text-slate-500">ROWS</label>
-                  <input type="number" value={gridSize.rows} onChange={e => setGridSize({...gridSize, rows: parseInt(e.target.value) || 1})} className="w-full bg-slate-50 border rounded-lg p-2 text-sm font-bold" />
-                </div>
-                <div className="space-y-1">
-                  <label className="text-[10px] font-bold text-slate-500">COLS</label>
-                  <input type="number" value={gridSize.cols} onChange={e => setGridSize({...gridSize, cols: parseInt(e.target.value) || 1})} className="w-full bg-slate-50 border rounded-lg p-2 text-sm font-bold" />
-                </div>
+                <GridSizeInput label="ROWS" value={gridSize.rows} onCommit={rows => resizeGrid({ rows })} />
+                <GridSizeInput label="COLS" value={gridSize.cols} onCommit={cols => resizeGrid({ cols })} />
               </div>
             </div>
             <div className="space-y-6 border-l pl-8">
               <h3 className="text-[10px] font-black text-slate-400 uppercase tracking-widest">Class Info</h3>
               <input placeholder="Course Name" value={details.className} onChange={e => setDetails({...details, className: e.target.value})} className="w-full text-sm font-bold border-b pb-1 focus:border-blue-500 outline-none" />
+              <input placeholder="Period / Section" value={details.period} onChange={e => setDetails({...details, period: e.target.value})} className="w-full text-sm font-bold border-b pb-1 focus:border-blue-500 outline-none" />
               <button onClick={() => setActiveMenu(null)} className="w-full py-3 bg-slate-900 text-white rounded-xl text-xs font-bold shadow-md hover:bg-slate-800">Update Workspace</button>
             </div>
           </div>
+          <div className="px-8 pb-6 pt-6 border-t">
+            <LayoutTools gridSize={gridSize} onApply={applyLayoutTransform} />
+          </div>
+          <div className="px-8 pb-8 pt-6 border-t">
+            <RoomPalette tool={roomTool} onToolChange={chooseRoomTool} onTemplate={applyTemplate} />
+          </div>
         </div>
 
         {/* GEM ENGINE MODAL */}
-        <div className={`absolute left-1/2 -translate-x-1/2 top-0 w-full max-w-4xl bg-white shadow-2xl rounded-b-3xl border transition-all duration-300 transform ${activeMenu === 'gem' ? 'translate-y-0 opacity-100' : '-translate-y-full opacity-0 invisible'}`}>
+        <div {...gemPanel} aria-label="Gem Engine" className={`outline-none absolute left-1/2 -translate-x-1/2 top-0 w-full max-w-4xl bg-white shadow-2xl rounded-b-3xl border transition-all duration-300 transform ${activeMenu === 'gem' ? 'translate-y-0 opacity-100' : '-translate-y-full opacity-0 invisible'}`}>
           <div className="p-8 flex gap-8">
             <div className="flex-1 space-y-4">
               <div className="flex justify-between items-center">
                 <h3 className="text-[10px] font-black text-indigo-500 uppercase tracking-widest">Intelligence Sync</h3>
-                <HelpCircle size={18} className="text-slate-300 cursor-pointer hover:text-indigo-500" onClick={() => setIsHelpModalOpen(true)} />
+                <button onClick={() => setIsHelpModalOpen(true)} aria-label="Help" className="text-slate-300 hover:text-indigo-500 rounded-full"><HelpCircle size={18} /></button>
               </div>
               <textarea value={rosterInput} onChange={(e) => setRosterInput(e.target.value)} placeholder={`Paste names here (e.g. John Doe - IEP, Jane Smith)...`} className="w-full h-48 p-4 bg-slate-50 border-2 rounded-2xl font-mono text-sm outline-none focus:border-indigo-400" />
-              <button disabled={isGenerating || !rosterInput.trim()} onClick={generateSeatingWithGemini} className="w-full py-4 bg-indigo-600 text-white rounded-2xl font-bold transition-all flex items-center justify-center gap-2 hover:bg-indigo-700">
-                {isGenerating ? <Loader2 className="animate-spin" /> : <Sparkles />} {isGenerating ? 'Synthesizing...' : 'Sync Seating Chart'}
-              </button>
+              <button onClick={() => setIsImportOpen(true)} className="w-full flex items-center justify-center gap-2 py-3 bg-white border-2 border-indigo-200 text-indigo-700 rounded-2xl text-xs font-bold hover:bg-indigo-50"><FileSpreadsheet size={16} /> Import CSV / Spreadsheet (no AI needed)</button>
+              <ProviderSettings settings={aiSettings} onChange={setAiSettings} />
+              <SyncPreview settings={aiSettings} request={syncRequest} />
+              {isOfflineFor(aiSettings) && (
+                <div role="status" className="p-3 bg-amber-50 text-amber-800 text-[11px] font-bold rounded-xl border border-amber-200 flex items-center gap-2"><WifiOff size={14} className="shrink-0" /> {OFFLINE_MESSAGE}</div>
+              )}
+              <div className="flex gap-2">
+                <button disabled={isGenerating || !rosterInput.trim() || isOfflineFor(aiSettings)} onClick={generateSeating} className="flex-1 py-4 bg-indigo-600 text-white rounded-2xl font-bold transition-all flex items-center justify-center gap-2 hover:bg-indigo-700 disabled:opacity-50">
+                  {isGenerating ? <Loader2 className="animate-spin" /> : <Sparkles />} {isGenerating ? 'Synthesizing...' : 'Sync Seating Chart'}
+                </button>
+                {isGenerating && <button onClick={cancelGeneration} className="px-5 py-4 bg-white border-2 border-red-200 text-red-600 rounded-2xl text-xs font-black uppercase tracking-widest hover:bg-red-50">Cancel</button>}
+              </div>
             </div>
-            <div className="w-64 space-y-4 border-l pl-8 shrink-0">
+            <div className="w-72 space-y-4 border-l pl-8 shrink-0 max-h-[75vh] overflow-y-auto pr-1">
               <h4 className="text-[10px] font-black text-slate-400 uppercase tracking-widest">Refinement</h4>
               <button onClick={sortAlpha} className="w-full flex items-center gap-3 p-3 bg-white border rounded-xl text-xs font-bold hover:bg-slate-50"><ArrowDownAZ size={16} /> Sort Alphabetical</button>
               <button onClick={shuffleSeats} className="w-full flex items-center gap-3 p-3 bg-white border rounded-xl text-xs font-bold hover:bg-slate-50"><Shuffle size={16} /> Random Shuffle</button>
               {error && <div className="p-3 bg-red-50 text-red-600 text-[10px] font-bold rounded-lg border border-red-100 flex items-center gap-2"><AlertCircle size={12}/> {error}</div>}
+              <SolverPanel
+                students={solverStudents}
+                desks={sortCoords(desks)}
+                rules={rules}
+                onRulesChange={changeRules}
+                seed={solverSeed}
+                onSeedChange={setSolverSeed}
+                onSolve={runOfflineSolver}
+                report={solverReport}
+              />
             </div>
           </div>
         </div>
@@ -346,58 +1024,225 @@ export default function App() {
       {/* MAIN CONTENT AREA */}
       <main className={`flex-1 relative overflow-y-auto bg-slate-100 flex flex-col items-center pt-8 ${isPrinting ? 'bg-white pt-0' : ''}`}>
         <div className={`max-w-[1400px] w-full px-6 md:px-12 flex-1 flex flex-col items-center ${isPrinting ? 'px-0' : ''}`}>
-          <div ref={gridRef} className={`w-full bg-white rounded-[32px] border-2 border-slate-300 shadow-sm p-8 md:p-12 relative min-h-[700px] flex flex-col transition-all print-layout-card ${isPrinting ? 'rounded-none border-none shadow-none p-0' : ''}`}>
+          <div className={`w-full bg-white rounded-[32px] border-2 border-slate-300 shadow-sm p-8 md:p-12 relative min-h-[700px] flex flex-col transition-all print-layout-card ${isPrinting ? 'rounded-none border-none shadow-none p-0' : ''}`}>
             
+            {/* STORAGE PROBLEMS */}
+            {(saveError || storageNotice) && !isPrinting && (
+              <div role="alert" className="no-print mb-8 p-4 rounded-2xl border-2 border-red-200 bg-red-50 text-red-700 flex flex-wrap items-center gap-3 text-xs font-bold">
+                <AlertCircle size={16} />
+                <span className="flex-1">{saveError || storageNotice}</span>
+                {!canSave && (
+                  <button onClick={() => { setCanSave(true); setStorageNotice(null); }} className="px-4 py-2 bg-white border-2 border-red-600 text-red-700 rounded-xl text-[10px] font-black uppercase tracking-widest hover:bg-red-100">Overwrite &amp; Save</button>
+                )}
+                {!saveError && canSave && (
+                  <button onClick={() => setStorageNotice(null)} aria-label="Dismiss storage notice" className="opacity-60 hover:opacity-100 rounded"><X size={16} /></button>
+                )}
+              </div>
+            )}
+
+            {/* SHARED ROOM LINK */}
+            {sharedRoom && !isPrinting && (
+              <div className={`no-print mb-8 p-4 rounded-2xl border-2 flex flex-wrap items-center gap-3 text-xs font-bold ${sharedRoom.room ? 'border-indigo-200 bg-indigo-50/60 text-indigo-900' : 'border-red-200 bg-red-50 text-red-700'}`}>
+                <Share2 size={16} />
+                {sharedRoom.room
+                  ? <span className="flex-1">Shared room layout: {sharedRoom.room.gridSize.rows}×{sharedRoom.room.gridSize.cols} grid, {sharedRoom.room.desks.length} desks{Object.keys(sharedRoom.room.fixtures).length ? `, ${Object.keys(sharedRoom.room.fixtures).length} room objects` : ''}. {sharedRoom.warnings.join(' ')}</span>
+                  : <span className="flex-1">{sharedRoom.errors.join(' ')}</span>}
+                {sharedRoom.room && (
+                  <>
+                    <button onClick={() => applySharedRoom(false)} className="px-4 py-2 bg-white border-2 border-indigo-600 text-indigo-700 rounded-xl text-[10px] font-black uppercase tracking-widest hover:bg-indigo-50">Use in This Class</button>
+                    <button onClick={() => applySharedRoom(true)} className="px-4 py-2 bg-indigo-600 text-white rounded-xl text-[10px] font-black uppercase tracking-widest hover:bg-indigo-700">Open as New Class</button>
+                  </>
+                )}
+                <button onClick={dismissSharedRoom} aria-label="Dismiss shared room" className="opacity-60 hover:opacity-100 rounded"><X size={16} /></button>
+              </div>
+            )}
+
             {/* FRONT OF CLASSROOM MARKER */}
-            <div className="w-full max-w-2xl h-14 bg-slate-900 border-2 border-slate-800 mx-auto mb-20 rounded-2xl flex items-center justify-center gap-4 shrink-0 shadow-lg">
-              <Monitor className="text-white opacity-80" size={24} />
-              <span className="text-white font-black text-[11px] uppercase tracking-[0.6em]">Front of Classroom</span>
-            </div>
+            {flipChart
+              ? <p className="text-center text-[10px] font-black uppercase tracking-[0.4em] text-slate-500 mb-10">View from the back of the room</p>
+              : frontMarker}
+
+            {/* KEYBOARD MOVE STATUS */}
+            {heldStudentId && students[heldStudentId] && (
+              <div className="no-print -mt-14 mb-6 mx-auto px-4 py-2 bg-blue-600 text-white rounded-xl text-[11px] font-bold shadow-lg">
+                Moving {displayName(students[heldStudentId])} — arrows to choose a desk, Enter to drop, Esc to cancel
+              </div>
+            )}
+
+            {/* ROOM OBJECT PLACEMENT STATUS */}
+            {roomTool && !heldStudentId && (
+              <div className="no-print -mt-14 mb-6 mx-auto px-4 py-2 bg-slate-900 text-white rounded-xl text-[11px] font-bold shadow-lg flex items-center gap-3">
+                {roomTool === 'erase' ? 'Erasing room objects' : `Placing ${FIXTURE_TYPES[roomTool].label}`} — click cells to {roomTool === 'erase' ? 'clear them' : 'place or remove'}
+                <button onClick={() => setRoomTool(null)} className="px-2 py-0.5 bg-white/20 rounded-lg hover:bg-white/30 uppercase tracking-widest text-[9px]">Done</button>
+              </div>
+            )}
+
+            {/* ATTENDANCE TOOLBAR */}
+            {isTakingAttendance && !isPrinting && (
+              <AttendanceBar
+                day={attendanceDay}
+                onDayChange={setAttendanceDay}
+                attendance={attendance}
+                students={students}
+                details={details}
+                onMarkRestPresent={markRestPresent}
+                onExit={() => setIsTakingAttendance(false)}
+              />
+            )}
+
+            {/* PARTICIPATION TOOLBAR */}
+            {isParticipating && !isPrinting && (
+              <ParticipationBar
+                day={participationDay}
+                onDayChange={setParticipationDay}
+                totals={Object.values(dayTallies).reduce((sum, t) => ({ call: sum.call + t.call, participation: sum.participation + t.participation, behavior: sum.behavior + t.behavior }), { call: 0, participation: 0, behavior: 0 })}
+                tallyKind={tallyKind}
+                onTallyKindChange={setTallyKind}
+                picked={pickedId && students[pickedId] ? displayName(students[pickedId]) : null}
+                canPick={pickable.length > 0}
+                onPick={pickNext}
+                onSkip={skipPicked}
+                onReport={() => setIsParticipationReportOpen(true)}
+                onExit={() => { setIsParticipating(false); setPickedId(null); }}
+              />
+            )}
 
             {/* SEATING GRID */}
             <div className="flex-1 flex items-start justify-center overflow-x-auto pb-10 print:overflow-visible">
-              <div className="grid gap-5 transition-all duration-500" style={{ gridTemplateColumns: `repeat(${gridSize.cols}, minmax(0, 1fr))`, maxWidth: `${gridSize.cols * 115}px`, width: '100%' }}>
-                {Array.from({ length: gridSize.rows }).map((_, r) => (
-                  Array.from({ length: gridSize.cols }).map((_, c) => {
-                    const key = `${r}-${c}`, isDesk = desks.has(key), studentName = seats[key], meta = studentMetadata[key];
+              <div
+                ref={seatGridRef}
+                role="grid"
+                aria-label={`Seating chart, ${gridSize.rows} rows by ${gridSize.cols} columns, row 0 at the front. Arrows move, Enter picks up and drops, D adds or removes a desk.`}
+                aria-rowcount={gridSize.rows}
+                aria-colcount={gridSize.cols}
+                aria-activedescendant={cursor && !isPrinting ? `seat-${cursor}` : undefined}
+                tabIndex={isPrinting ? -1 : 0}
+                onKeyDown={handleGridKeyDown}
+                onFocus={(e) => { if (e.target === e.currentTarget && !cursor) setCursor(sortCoords(desks)[0] || '0-0'); }}
+                onBlur={(e) => { if (!e.currentTarget.contains(e.relatedTarget)) { setCursor(null); setHeldStudentId(null); } }}
+                className="grid gap-5 transition-all duration-500 outline-none rounded-2xl p-1 focus-visible:ring-4 focus-visible:ring-blue-200"
+                style={{ gridTemplateColumns: `repeat(${gridSize.cols}, minmax(0, 1fr))`, maxWidth: `${gridSize.cols * 115}px`, width: '100%' }}>
+                {rowOrder.map(r => (
+                  <div key={r} role="row" aria-rowindex={r + 1} className="contents">
+                  {colOrder.map(c => {
+                    const key = `${r}-${c}`, isDesk = desks.has(key), fixture = fixtures[key], student = students[seats[key]], studentName = displayName(student);
+                    const marking = isTakingAttendance && !isPrinting, mark = student && attendance[attendanceDay]?.[student.id];
+                    const tallying = isParticipating && !isPrinting, isPicked = tallying && student && student.id === pickedId;
+                    const group = isDesk && groupOfDesk[key] !== undefined ? groupColor(groupOfDesk[key]) : null;
                     return (
                       <div 
                         key={key} 
-                        onClick={() => !studentName && toggleDesk(r, c)} 
+                        id={`seat-${key}`}
+                        role="gridcell"
+                        aria-colindex={c + 1}
+                        aria-label={describeSeat(key)}
+                        onClick={(e) => marking ? student && cycleAttendance(student.id) : tallying ? student && adjustTally(student.id, e.shiftKey) : roomTool ? placeFixture(key) : !student && !fixture && toggleDesk(r, c)} 
+                        draggable={!!student && !isPrinting && !marking && !tallying}
+                        onDragStart={(e) => { e.dataTransfer.setData('text/plain', student.id); e.dataTransfer.effectAllowed = 'move'; }}
+                        onDragOver={(e) => { if (!isDesk) return; e.preventDefault(); setDragOverKey(key); }}
+                        onDragLeave={() => setDragOverKey(prev => prev === key ? null : prev)}
+                        onDrop={(e) => isDesk && handleSeatDrop(e, key)}
                         className={`aspect-[1.3] rounded-2xl transition-all flex items-center justify-center relative group
                           ${isDesk 
                             ? 'bg-white border-[4px] border-indigo-600 shadow-xl ring-2 ring-indigo-50' 
-                            : isPrinting ? 'opacity-0' : 'bg-slate-300/80 border-2 border-slate-400 opacity-90 hover:bg-indigo-100 hover:border-indigo-400 cursor-pointer'}
-                          ${isDesk && meta?.isPriority ? 'border-amber-500 bg-amber-50/20 ring-amber-100' : ''}
+                            : fixture ? `bg-slate-700 border-2 border-slate-800 text-white ${roomTool ? 'cursor-pointer' : ''}`
+                            : isPrinting ? 'opacity-0' : marking || tallying ? 'bg-slate-300/40 border-2 border-slate-300 opacity-50' : 'bg-slate-300/80 border-2 border-slate-400 opacity-90 hover:bg-indigo-100 hover:border-indigo-400 cursor-pointer'}
+                          ${isDesk && isPriority(student) ? 'border-amber-500 bg-amber-50/20 ring-amber-100' : ''}
+                          ${student && !isPrinting ? (marking || tallying ? 'cursor-pointer' : 'cursor-grab active:cursor-grabbing') : ''}
+                          ${marking && mark === 'absent' ? 'opacity-60' : ''}
+                          ${isPicked ? 'ring-8 ring-fuchsia-400 scale-110 z-10' : ''}
+                          ${dragOverKey === key ? 'ring-4 ring-blue-400 scale-105' : ''}
+                          ${cursor === key && !isPrinting ? 'outline outline-4 outline-offset-4 outline-blue-500' : ''}
+                          ${student && student.id === heldStudentId ? 'opacity-50 border-dashed' : ''}
                         `}
+                        style={group ? { backgroundColor: group.fill, borderColor: isPriority(student) ? undefined : group.stroke, printColorAdjust: 'exact', WebkitPrintColorAdjust: 'exact' } : undefined}
                       >
                         {isDesk && (
                           <div className="w-full h-full flex flex-col items-center justify-center px-2 py-1 text-center overflow-hidden">
-                            <input 
-                              type="text" 
-                              value={studentName || ''} 
-                              placeholder="..." 
-                              onChange={(e) => handleManualEdit(key, e.target.value)} 
-                              className={`w-full text-center bg-transparent border-none text-[12px] font-black uppercase tracking-tight focus:ring-0 placeholder:text-slate-300 ${studentName ? 'text-slate-900' : 'text-indigo-400'}`} 
-                            />
-                            {meta?.isPriority && (
+                            {marking || tallying
+                              ? <span className="w-full text-center text-[12px] font-black uppercase tracking-tight text-slate-900 select-none">{studentName}</span>
+                              : <SeatInput 
+                                  key={`${student?.id || 'empty'}:${studentName}`}
+                                  value={studentName} 
+                                  onCommit={(value) => handleManualEdit(key, value)} 
+                                  onDone={() => seatGridRef.current?.focus()}
+                                  tabIndex={-1}
+                                  aria-label={`Name at ${placeName(key)}`}
+                                  className={`w-full text-center bg-transparent border-none text-[12px] font-black uppercase tracking-tight focus:ring-0 placeholder:text-slate-300 ${studentName ? 'text-slate-900' : 'text-indigo-400'}`} 
+                                />}
+                            {group && (
+                              <span className="absolute top-1 left-2 text-[7px] font-black uppercase tracking-tight" style={{ color: group.stroke }}>
+                                G{groupOfDesk[key] + 1}{student && roleOf[student.id] ? ` · ${roleOf[student.id]}` : ''}
+                              </span>
+                            )}
+                            {marking && student && (
+                              <StatusBadge status={mark} className="absolute bottom-1 left-2 no-print" />
+                            )}
+                            {tallying && student && (
+                              <TallyBadges tally={dayTallies[student.id]} className="absolute bottom-1 left-2 no-print" />
+                            )}
+                            {student && !marking && !tallying && (
+                              <button onClick={(e) => { e.stopPropagation(); setEditingStudentId(student.id); }} tabIndex={-1} title="Edit student record" aria-label={`Edit ${studentName}`} className="absolute -top-2 -left-2 p-1 bg-white border-2 border-indigo-200 rounded-full shadow no-print z-10 opacity-0 group-hover:opacity-100 transition-opacity">
+                                <Pencil className="w-3 h-3 text-indigo-600" />
+                              </button>
+                            )}
+                            {isPriority(student) && (
                               <div className="absolute -top-2 -right-2 p-1.5 bg-amber-500 rounded-full shadow-lg no-print z-10 border-2 border-white">
                                 <CheckCircle2 className="w-3 h-3 text-white" />
                               </div>
                             )}
-                            {meta?.type && (
-                              <span className="absolute bottom-1 right-2 text-[7px] font-black text-amber-600 print:hidden uppercase">{meta.type}</span>
+                            {student?.tags.length > 0 && (
+                              <span className="absolute bottom-1 right-2 text-[7px] font-black text-amber-600 print:hidden uppercase">{student.tags.join(' · ')}</span>
                             )}
                           </div>
                         )}
-                        <span className="absolute text-[8px] font-mono font-black text-slate-800 -bottom-4 opacity-50 no-print">{r}:{c}</span>
+                        {fixture && !isDesk && (
+                          <div className="flex flex-col items-center gap-1 text-center px-1">
+                            <FixtureIcon type={fixture} className="w-4 h-4" />
+                            <span className="text-[8px] font-black uppercase tracking-tight leading-none">{FIXTURE_TYPES[fixture].label}</span>
+                          </div>
+                        )}
+                        <span aria-hidden="true" className="absolute text-[8px] font-mono font-black text-slate-800 -bottom-4 opacity-50 no-print">{r}:{c}</span>
                       </div>
                     );
-                  })
+                  })}
+                  </div>
                 ))}
               </div>
             </div>
 
+            {flipChart && frontMarker}
+
+            {/* UNASSIGNED STUDENTS TRAY */}
+            {Object.keys(students).length > 0 && !isPrinting && (
+              <div onDragOver={(e) => e.preventDefault()} onDrop={handleTrayDrop} className="no-print mt-6 p-4 bg-slate-50 border-2 border-dashed border-slate-300 rounded-2xl">
+                <p className="text-[10px] font-black text-slate-400 uppercase tracking-widest mb-3">Unassigned Students ({unassigned.length}) <span className="normal-case tracking-normal font-bold text-slate-300 ml-2">Drag onto a desk, or drop a desk here to unseat</span></p>
+                {displaced.length > 0 && (
+                  <div className="mb-3 p-3 bg-red-50 border border-red-200 rounded-xl flex items-center justify-between gap-3">
+                    <p className="text-[11px] font-bold text-red-700 flex items-center gap-2"><AlertCircle size={12} /> {displaced.length} student(s) lost their desk in a layout change and need a new seat.</p>
+                    <button onClick={() => setDisplacedIds([])} className="text-[10px] font-black text-red-500 uppercase tracking-widest hover:text-red-700">Dismiss</button>
+                  </div>
+                )}
+                <div className="flex flex-wrap gap-2">
+                  {unassigned.length === 0 && <p className="text-[11px] font-bold text-slate-300 italic">Everyone is seated.</p>}
+                  {unassigned.map(id => (
+                    <button
+                      key={id}
+                      draggable
+                      onDragStart={(e) => { e.dataTransfer.setData('text/plain', id); e.dataTransfer.effectAllowed = 'move'; }}
+                      onClick={() => setEditingStudentId(id)}
+                      onKeyDown={(e) => { if (e.key === ' ') { e.preventDefault(); pickUpFromTray(id); } }}
+                      title="Drag to a desk, or press Space to move with the keyboard"
+                      className={`px-3 py-1.5 bg-white border-2 rounded-xl text-[11px] font-black uppercase tracking-tight hover:border-indigo-400 cursor-grab ${displaced.includes(id) ? 'border-red-400 bg-red-50' : isPriority(students[id]) ? 'border-amber-400' : 'border-slate-200'}`}
+                    >
+                      {displayName(students[id])}
+                      {students[id].tags.length > 0 && <span className="ml-1.5 text-[8px] text-amber-600">{students[id].tags.join(' · ')}</span>}
+                    </button>
+                  ))}
+                </div>
+              </div>
+            )}
+
             {/* PRINT ONLY FOOTER */}
             <div className={`hidden print:flex justify-between items-end mt-24 pt-8 border-t-4 border-slate-900 text-[10px] text-slate-900 font-black uppercase tracking-widest ${isPrinting ? 'flex' : 'hidden'}`}>
               <div>
@@ -410,10 +1255,16 @@ export default function App() {
               </div>
             </div>
           </div>
+
+          {/* SUBSTITUTE PACKET PAGES */}
+          {isPrinting && printOptions.packet && (
+            <SubstitutePacket students={students} seats={seats} details={details} notes={subNotes} onNotesChange={setSubNotes} />
+          )}
         </div>
 
         {/* AD SLOT (FREE TIER) - REPOSITIONED TO BOTTOM */}
-        <div className="w-full bg-slate-50 py-6 flex flex-col items-center no-print shrink-0 border-t mt-12">
+        {/* Ads cannot load offline, so the empty slot is hidden until the connection is back. */}
+        <div className={`w-full bg-slate-50 py-6 flex-col items-center no-print shrink-0 border-t mt-12 ${isOnline ? 'flex' : 'hidden'}`}>
           <div className="w-full max-w-4xl min-h-[90px] bg-white border rounded-xl flex items-center justify-center overflow-hidden shadow-sm">
             <ins className="adsbygoogle" style={{ display: 'block', width: '100%', height: '90px' }} data-ad-client="ca-pub-6389348477896619" data-ad-slot="6400805398" data-ad-format="auto" data-full-width-responsive="true"></ins>
           </div>
@@ -439,18 +1290,27 @@ export default function App() {
         </footer>
       </main>
 
+      <UpdatePrompt
+        status={appNotice?.status}
+        onReload={() => applyUpdate(appNotice.worker)}
+        onDismiss={() => setAppNotice(null)}
+      />
+
+      {/* SCREEN READER ANNOUNCEMENTS */}
+      <div role="status" aria-live="polite" className="sr-only">{announcement}</div>
+
       {/* PRIVACY MODAL (AdSense Requirement) */}
       {isPrivacyModalOpen && (
         <div className="fixed inset-0 bg-slate-900/90 backdrop-blur-lg z-[300] flex items-center justify-center p-6">
-          <div className="bg-white w-full max-w-2xl rounded-[32px] shadow-2xl flex flex-col max-h-[85vh] border-4 border-indigo-600">
+          <div {...privacyDialog} aria-label="Privacy policy" className="bg-white w-full max-w-2xl rounded-[32px] shadow-2xl flex flex-col max-h-[85vh] border-4 border-indigo-600 outline-none">
             <div className="p-8 border-b flex justify-between items-center bg-indigo-50/30">
                 <h2 className="text-2xl font-black text-indigo-900 uppercase tracking-tighter">Privacy Policy</h2>
-                <X size={28} className="text-slate-400 cursor-pointer hover:text-indigo-600 transition-all" onClick={() => setIsPrivacyModalOpen(false)} />
+                <button onClick={() => setIsPrivacyModalOpen(false)} aria-label="Close" className="text-slate-400 hover:text-indigo-600 transition-all rounded-lg"><X size={28} /></button>
             </div>
             <div className="p-8 overflow-y-auto text-slate-600 space-y-4 text-sm font-medium leading-relaxed">
                 <p><strong>Felix</strong> (https://felix-9b061.web.app) prioritized your privacy as a Bronx or Westchester educator.</p>
                 <p><strong>1. Advertising:</strong> We use Google AdSense to serve ads. Third-party vendors, including Google, use cookies to serve ads based on your prior visits to this website. You can opt-out by visiting Google's Ad Settings.</p>
-                <p><strong>2. Data Storage:</strong> This is a local-first app. Student data is stored in your browser's local cache and is not transmitted to our servers unless you explicitly sync with a cloud database.</p>
+                <p><strong>2. Data Storage:</strong> This is a local-first app. Student data is stored in your browser's local cache and is not transmitted to our servers unless you explicitly sync with a cloud database. Gem Engine requests to an AI provider contain pseudonymous tokens instead of student names, and no accommodation type.</p>
                 <p><strong>3. Consent:</strong> By using Felix, you agree to the use of cookies for functional and advertising purposes.</p>
                 <p><strong>4. Classroom Privacy:</strong> No images of students are ever captured or stored by this engine.</p>
             </div>
@@ -461,22 +1321,151 @@ export default function App() {
         </div>
       )}
 
+      {/* STUDENT RECORD MODAL */}
+      {editingStudentId && students[editingStudentId] && (
+        <StudentEditor
+          key={editingStudentId}
+          student={students[editingStudentId]}
+          seat={seatOf[editingStudentId]}
+          onSave={saveStudent}
+          onUnseat={unseatFromEditor}
+          onDelete={deleteStudent}
+          onClose={() => setEditingStudentId(null)}
+        />
+      )}
+
+      {/* GEM REVIEW MODAL */}
+      {gemProposal && (
+        <GemReview
+          proposal={gemProposal}
+          current={{ students, seats, desks: Array.from(desks) }}
+          gridSize={gridSize}
+          onApply={applyGemProposal}
+          onDiscard={() => setGemProposal(null)}
+        />
+      )}
+
+      {/* VECTOR EXPORT MODAL */}
+      {isVectorExportOpen && (
+        <ExportDialog chart={chartData} onClose={() => setIsVectorExportOpen(false)} />
+      )}
+
+      {/* SHARE / IMPORT LAYOUT MODAL */}
+      {isShareOpen && (
+        <LayoutShare chart={chartData} onImport={importLayout} onClose={() => setIsShareOpen(false)} />
+      )}
+
+      {/* ROTATION PLANNER MODAL */}
+      {isRotationsOpen && (
+        <RotationPlanner
+          rotations={rotations}
+          students={students}
+          seats={seats}
+          canGenerate={desks.size > 0 && Object.keys(students).length > 0}
+          onPublish={publishRotation}
+          onGenerate={generateNextRotation}
+          onRestore={restoreRotation}
+          onDelete={deleteRotation}
+          onClose={() => setIsRotationsOpen(false)}
+        />
+      )}
+
+      {/* PARTICIPATION REPORT MODAL */}
+      {isParticipationReportOpen && (
+        <ParticipationReport
+          participation={participation}
+          students={students}
+          seats={seats}
+          desks={desks}
+          details={details}
+          onClose={() => setIsParticipationReportOpen(false)}
+        />
+      )}
+
+      {/* COOPERATIVE GROUPS MODAL */}
+      {isGroupsOpen && (
+        <GroupBuilder
+          students={students}
+          groupSets={groupSets}
+          activeSetId={activeGroupSetId}
+          onBuild={buildGroupSet}
+          onShow={setActiveGroupSetId}
+          onDelete={deleteGroupSet}
+          onClose={() => setIsGroupsOpen(false)}
+        />
+      )}
+
+      {/* ROSTER IMPORT MODAL */}
+      {isImportOpen && (
+        <RosterImport
+          existing={students}
+          deskCount={desks.size}
+          openDeskCount={Array.from(desks).filter(coord => !seats[coord]).length}
+          onImport={importRoster}
+          onClose={() => setIsImportOpen(false)}
+        />
+      )}
+
       {/* HELP MODAL */}
       {isHelpModalOpen && (
         <div className="fixed inset-0 bg-slate-900/90 backdrop-blur-lg z-[300] flex items-center justify-center p-4">
-          <div className="bg-white w-full max-w-2xl rounded-[40px] shadow-2xl overflow-hidden flex flex-col border-4 border-indigo-600">
+          <div {...helpDialog} aria-label="Help" className="bg-white w-full max-w-2xl rounded-[40px] shadow-2xl overflow-hidden flex flex-col border-4 border-indigo-600 outline-none">
             <div className="p-8 border-b flex justify-between items-center bg-indigo-50/30">
               <h2 className="text-3xl font-black text-indigo-900 tracking-tighter uppercase italic">Intelligence Guide</h2>
-              <X size={32} className="text-slate-400 cursor-pointer hover:text-indigo-600 transition-all" onClick={() => setIsHelpModalOpen(false)} />
+              <button onClick={() => setIsHelpModalOpen(false)} aria-label="Close" className="text-slate-400 hover:text-indigo-600 transition-all rounded-lg"><X size={32} /></button>
             </div>
             <div className="p-10 space-y-8 overflow-y-auto max-h-[70vh]">
               <div className="space-y-4 text-sm">
                 <h4 className="font-black text-indigo-900 text-xl tracking-tight uppercase">How to use State-Aware Sync:</h4>
-                <p className="text-base text-slate-600 leading-relaxed font-bold">Felix remembers student names you've placed manually. For new rosters, mention <strong>IEP</strong>, <strong>504</strong>, or <strong>ELL</strong> next to names for prioritized front-row placement.</p>
+                <p className="text-base text-slate-600 leading-relaxed font-bold">Felix remembers student names you've placed manually. For new rosters, mention <strong>IEP</strong>, <strong>504</strong>, or <strong>ELL</strong> next to names for prioritized front-row placement. Every sync is checked against your grid and opens a review screen, so you can accept or reject each change before it lands. Use the provider pane to switch between Gemini, an OpenAI-compatible or local LLM endpoint, and the offline mock; a running sync can be cancelled at any time. Names are swapped for tokens (S01, S02…) before anything is sent and only a front-row priority flag goes with them; open <strong>What will be sent</strong> to audit the exact request.</p>
               </div>
               <div className="space-y-4 text-sm">
                 <h4 className="font-black text-indigo-900 text-xl tracking-tight uppercase">Manual Overrides:</h4>
-                <p className="text-base text-slate-600 leading-relaxed font-bold">You can always click an empty slot to create a desk, or click a desk to remove it. Typing directly into a desk saves the name to that coordinate.</p>
+                <p className="text-base text-slate-600 leading-relaxed font-bold">You can always click an empty slot to create a desk, or click an empty desk to remove it. Typing directly into a desk seats that student; hover a desk and click the pencil to edit accommodations, notes and preferred name. Accommodations always travel with the student, never the desk. Every change can be undone with <strong>Ctrl/Cmd+Z</strong> (redo with <strong>Shift</strong>) or the arrows in the header.</p>
+              </div>
+              <div className="space-y-4 text-sm">
+                <h4 className="font-black text-indigo-900 text-xl tracking-tight uppercase">Moving Students:</h4>
+                <p className="text-base text-slate-600 leading-relaxed font-bold">Drag a student onto another desk to swap or move them, or drag from the <strong>Unassigned</strong> tray. With the keyboard: focus the grid, use the arrows, press <strong>Enter</strong> to pick up and <strong>Enter</strong> again to drop (<strong>Esc</strong> cancels, <strong>E</strong> edits). In the tray, press <strong>Space</strong> on a name to start moving it.</p>
+              </div>
+              <div className="space-y-4 text-sm">
+                <h4 className="font-black text-indigo-900 text-xl tracking-tight uppercase">Offline Solver:</h4>
+                <p className="text-base text-slate-600 leading-relaxed font-bold">No connection? Add rules under <strong>Refinement</strong> and click <strong>Solve Offline</strong>. The same seed always produces the same chart, and any rule that could not be met is listed.</p>
+              </div>
+              <div className="space-y-4 text-sm">
+                <h4 className="font-black text-indigo-900 text-xl tracking-tight uppercase">Room Objects &amp; Templates:</h4>
+                <p className="text-base text-slate-600 leading-relaxed font-bold">In <strong>Room Layout</strong>, pick an object (door, windows, teacher desk…) and click grid cells to place it, or apply a desk template. Solver rules can then ask for a student <strong>near</strong> or <strong>away from</strong> any object, within {NEAR_DISTANCE} cells.</p>
+              </div>
+              <div className="space-y-4 text-sm">
+                <h4 className="font-black text-indigo-900 text-xl tracking-tight uppercase">Reshaping the Room:</h4>
+                <p className="text-base text-slate-600 leading-relaxed font-bold">Under <strong>Rows &amp; Columns</strong>, insert a row above or below (or a column left or right of) any line, or delete it; everything past it shifts over with its students. <strong>Move &amp; Turn</strong> slides, flips or rotates the whole layout. If a change would push desks off the grid, Felix lists who is affected first, and they wait in <strong>Unassigned Students</strong>, marked in red, until you reseat them.</p>
+              </div>
+              <div className="space-y-4 text-sm">
+                <h4 className="font-black text-indigo-900 text-xl tracking-tight uppercase">Rotations:</h4>
+                <p className="text-base text-slate-600 leading-relaxed font-bold">Clicking <strong>Publish Current</strong> saves the chart as a dated rotation. <strong>Next Rotation</strong> plans a new chart that avoids recent neighbors and seats while keeping IEP/504/ELL students up front, and any past rotation can be restored.</p>
+              </div>
+              <div className="space-y-4 text-sm">
+                <h4 className="font-black text-indigo-900 text-xl tracking-tight uppercase">Attendance:</h4>
+                <p className="text-base text-slate-600 leading-relaxed font-bold">Turn on <strong>Attendance</strong> and click each desk to cycle Present → Absent → Tardy → Excused. Marks are saved per class and date; export one day or a date range as CSV for your gradebook or SIS.</p>
+              </div>
+              <div className="space-y-4 text-sm">
+                <h4 className="font-black text-indigo-900 text-xl tracking-tight uppercase">Participation:</h4>
+                <p className="text-base text-slate-600 leading-relaxed font-bold">Turn on <strong>Participation</strong> during class. <strong>Pick</strong> highlights a seated student, favoring whoever was called on least recently and never anyone marked absent; <strong>Skip</strong> takes the call back. Click a desk to add a participation or behavior tally (Shift+click removes one). The <strong>Report</strong> shows each student's totals and whether the front or back of the room is being called on less.</p>
+              </div>
+              <div className="space-y-4 text-sm">
+                <h4 className="font-black text-indigo-900 text-xl tracking-tight uppercase">Cooperative Groups:</h4>
+                <p className="text-base text-slate-600 leading-relaxed font-bold"><strong>Groups</strong> clusters neighboring desks into groups of 3–5 and reseats students so IEP/504/ELL students and any custom attributes you pick (like reading level) are spread evenly. Roles rotate between sets, recent groupings are avoided, and the shown set is color-coded on the chart and in exports.</p>
+              </div>
+              <div className="space-y-4 text-sm">
+                <h4 className="font-black text-indigo-900 text-xl tracking-tight uppercase">Sharing Layouts:</h4>
+                <p className="text-base text-slate-600 leading-relaxed font-bold"><strong>Export → Share / Import Layout</strong> downloads the whole chart as a file a co-teacher can import as a new class. The <strong>Room Link</strong> holds only desks and room objects — never names — so a department can share a room template safely.</p>
+              </div>
+              <div className="space-y-4 text-sm">
+                <h4 className="font-black text-indigo-900 text-xl tracking-tight uppercase">Offline &amp; Install:</h4>
+                <p className="text-base text-slate-600 leading-relaxed font-bold">After the first visit Felix is stored on this device, so charts, attendance, groups, participation, printing and exports keep working when the Wi-Fi drops. Use your browser's <strong>Install</strong> option to open it like an app. Only AI sync needs a connection. When a new version is published, a notice offers to reload into it.</p>
+              </div>
+              <div className="space-y-4 text-sm">
+                <h4 className="font-black text-indigo-900 text-xl tracking-tight uppercase">Keyboard &amp; Screen Readers:</h4>
+                <p className="text-base text-slate-600 leading-relaxed font-bold">Tab to the chart and use the <strong>arrow keys</strong> (Home/End for a row, Ctrl+Home/End for the corners); each seat reads out its row, column, student and accommodations. <strong>Enter</strong> picks up and drops a student, <strong>D</strong> adds or removes a desk, <strong>Delete</strong> unseats, <strong>F2</strong> types a name, <strong>E</strong> opens the record and <strong>Escape</strong> cancels a move or closes any window.</p>
               </div>
             </div>
             <div className="p-8 bg-slate-50 border-t flex justify-end">
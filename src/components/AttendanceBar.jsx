@@ -0,0 +1,65 @@
+import React, { useState } from 'react';
+import { ClipboardCheck, Download, CheckCheck } from 'lucide-react';
+import { ATTENDANCE_STATUSES, attendanceCsv, summarize } from '../lib/attendance.js';
+import { downloadBlob, fileSlug } from '../lib/download.js';
+
+/**
+ * Toolbar shown above the grid while attendance mode is on.
+ * - Date picker, live counts, "mark the rest present" and CSV export for a day or range.
+ */
+const STATUS_STYLES = {
+  present: 'bg-green-500 text-white',
+  absent: 'bg-red-500 text-white',
+  tardy: 'bg-amber-500 text-white',
+  excused: 'bg-sky-500 text-white',
+  unmarked: 'bg-slate-200 text-slate-500',
+};
+
+/** Small P/A/T/E chip; shown on each seated desk while attendance is being taken. */
+export function StatusBadge({ status, className = '' }) {
+  return (
+    <span title={ATTENDANCE_STATUSES[status]?.label || 'Unmarked — click to mark'} className={`px-1.5 rounded-md text-[9px] font-black ${STATUS_STYLES[status || 'unmarked']} ${className}`}>
+      {ATTENDANCE_STATUSES[status]?.code || '?'}
+    </span>
+  );
+}
+
+export default function AttendanceBar({ day, onDayChange, attendance, students, details, onMarkRestPresent, onExit }) {
+  const [range, setRange] = useState(null);
+  const counts = summarize(attendance[day], Object.keys(students));
+
+  const exportCsv = (from, to) => {
+    const csv = attendanceCsv({ attendance, students, details, from, to });
+    const span = from === to ? from : `${from}_to_${to}`;
+    downloadBlob(new Blob([csv], { type: 'text/csv;charset=utf-8' }), `Attendance-${fileSlug(details.className)}-${fileSlug(details.period, 'Period')}-${span}.csv`);
+  };
+
+  const buttonClass = 'flex items-center gap-1.5 px-3 py-1.5 bg-white/10 rounded-lg hover:bg-white/20 text-[10px] font-black uppercase tracking-widest';
+
+  return (
+    <div className="no-print -mt-14 mb-6 mx-auto px-4 py-2 bg-slate-900 text-white rounded-xl text-[11px] font-bold shadow-lg flex flex-wrap items-center gap-3">
+      <span className="flex items-center gap-2 uppercase tracking-widest text-[10px]"><ClipboardCheck size={14} /> Attendance</span>
+      <input type="date" value={day} onChange={e => e.target.value && onDayChange(e.target.value)} className="bg-white/10 rounded-lg px-2 py-1 text-[11px] font-bold [color-scheme:dark]" />
+      <div className="flex items-center gap-1">
+        {[...Object.keys(ATTENDANCE_STATUSES), 'unmarked'].map(status => (
+          <span key={status} title={ATTENDANCE_STATUSES[status]?.label || 'Unmarked'} className={`px-2 py-0.5 rounded-md text-[10px] font-black ${STATUS_STYLES[status]}`}>
+            {ATTENDANCE_STATUSES[status]?.code || '?'} {counts[status]}
+          </span>
+        ))}
+      </div>
+      <button disabled={counts.unmarked === 0} onClick={onMarkRestPresent} className={`${buttonClass} disabled:opacity-30`}><CheckCheck size={12} /> Rest Present</button>
+      <button onClick={() => exportCsv(day, day)} className={buttonClass}><Download size={12} /> Day CSV</button>
+      {range ? (
+        <span className="flex items-center gap-1">
+          <input type="date" value={range.from} onChange={e => setRange({ ...range, from: e.target.value })} className="bg-white/10 rounded-lg px-2 py-1 text-[11px] [color-scheme:dark]" />
+          <span>→</span>
+          <input type="date" value={range.to} onChange={e => setRange({ ...range, to: e.target.value })} className="bg-white/10 rounded-lg px-2 py-1 text-[11px] [color-scheme:dark]" />
+          <button disabled={!range.from || !range.to || range.from > range.to} onClick={() => { exportCsv(range.from, range.to); setRange(null); }} className={`${buttonClass} disabled:opacity-30`}><Download size={12} /> Range CSV</button>
+        </span>
+      ) : (
+        <button onClick={() => setRange({ from: Object.keys(attendance).sort()[0] || day, to: day })} className={buttonClass}>Date Range…</button>
+      )}
+      <button onClick={onExit} className="px-2 py-0.5 bg-white/20 rounded-lg hover:bg-white/30 uppercase tracking-widest text-[9px]">Done</button>
+    </div>
+  );
+}
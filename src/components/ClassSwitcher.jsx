@@ -0,0 +1,74 @@
+import React, { useState } from 'react';
+import { BookOpen, ChevronDown, Copy, Pencil, Plus, Trash2, Check, X } from 'lucide-react';
+
+/**
+ * Header dropdown for switching between saved classes/periods.
+ * - Open, create, rename, duplicate and delete class records.
+ * - The last remaining class cannot be deleted.
+ */
+export default function ClassSwitcher({ classes, activeClassId, onOpen, onCreate, onRename, onDuplicate, onDelete }) {
+  const [isOpen, setIsOpen] = useState(false);
+  const [editingId, setEditingId] = useState(null);
+  const [draft, setDraft] = useState({ className: '', period: '' });
+
+  const active = classes.find(c => c.id === activeClassId);
+
+  const startRename = (record) => {
+    setEditingId(record.id);
+    setDraft({ className: record.details.className, period: record.details.period });
+  };
+
+  const commitRename = () => {
+    if (draft.className.trim()) onRename(editingId, { className: draft.className.trim(), period: draft.period.trim() });
+    setEditingId(null);
+  };
+
+  const handleDelete = (record) => {
+    if (window.confirm(`Delete "${record.details.className} • ${record.details.period}"? This cannot be undone.`)) onDelete(record.id);
+  };
+
+  return (
+    <div className="relative">
+      <button onClick={() => setIsOpen(!isOpen)} className="flex items-center gap-2 px-4 py-2 text-xs font-bold rounded-xl bg-white/10 text-white hover:bg-white/20 transition-all max-w-[260px]">
+        <BookOpen size={16} className="shrink-0" />
+        <span className="truncate">{active ? `${active.details.className} • ${active.details.period}` : 'Classes'}</span>
+        <ChevronDown size={14} className="shrink-0" />
+      </button>
+      {isOpen && (
+        <>
+          <div className="fixed inset-0 z-[105]" onClick={() => { setIsOpen(false); setEditingId(null); }}></div>
+          <div className="absolute right-0 mt-2 w-80 bg-white rounded-2xl shadow-2xl border border-slate-100 overflow-hidden z-[110]">
+            <p className="px-4 pt-4 pb-2 text-[10px] font-black text-slate-400 uppercase tracking-widest">Saved Classes</p>
+            <div className="max-h-72 overflow-y-auto">
+              {classes.map(record => (
+                <div key={record.id} className={`group flex items-center gap-2 px-4 py-2 border-t ${record.id === activeClassId ? 'bg-blue-50' : 'hover:bg-slate-50'}`}>
+                  {editingId === record.id ? (
+                    <div className="flex-1 flex items-center gap-2">
+                      <div className="flex-1 space-y-1">
+                        <input autoFocus value={draft.className} onChange={e => setDraft({ ...draft, className: e.target.value })} onKeyDown={e => e.key === 'Enter' && commitRename()} placeholder="Course Name" className="w-full text-xs font-bold border-b outline-none focus:border-blue-500" />
+                        <input value={draft.period} onChange={e => setDraft({ ...draft, period: e.target.value })} onKeyDown={e => e.key === 'Enter' && commitRename()} placeholder="Period" className="w-full text-[10px] font-bold text-slate-500 border-b outline-none focus:border-blue-500" />
+                      </div>
+                      <button onClick={commitRename} title="Save" className="p-1 text-green-600 hover:bg-green-50 rounded"><Check size={14} /></button>
+                      <button onClick={() => setEditingId(null)} title="Cancel" className="p-1 text-slate-400 hover:bg-slate-100 rounded"><X size={14} /></button>
+                    </div>
+                  ) : (
+                    <>
+                      <button onClick={() => { onOpen(record.id); setIsOpen(false); }} className="flex-1 text-left min-w-0">
+                        <p className="text-sm font-bold text-slate-700 truncate">{record.details.className}</p>
+                        <p className="text-[10px] font-bold text-slate-400 uppercase tracking-widest truncate">{record.details.period}</p>
+                      </button>
+                      <button onClick={() => startRename(record)} title="Rename" className="p-1 text-slate-400 hover:text-blue-600 hover:bg-blue-50 rounded"><Pencil size={14} /></button>
+                      <button onClick={() => { onDuplicate(record.id); setIsOpen(false); }} title="Duplicate" className="p-1 text-slate-400 hover:text-blue-600 hover:bg-blue-50 rounded"><Copy size={14} /></button>
+                      <button disabled={classes.length === 1} onClick={() => handleDelete(record)} title="Delete" className="p-1 text-slate-400 hover:text-red-600 hover:bg-red-50 rounded disabled:opacity-30 disabled:pointer-events-none"><Trash2 size={14} /></button>
+                    </>
+                  )}
+                </div>
+              ))}
+            </div>
+            <button onClick={() => { onCreate(); setIsOpen(false); }} className="w-full flex items-center gap-3 px-4 py-3 text-sm font-bold text-blue-600 hover:bg-blue-50 border-t"><Plus size={16} /> New Class</button>
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,72 @@
+import React, { useState } from 'react';
+import { X, Download, FileText, FileCode, AlertCircle } from 'lucide-react';
+import { PAGE_SIZES, DEFAULT_EXPORT_OPTIONS, buildChartScene, sceneToSvg, sceneToPdf, pdfUnsupportedText } from '../lib/chartExport.js';
+import { downloadBlob, fileSlug } from '../lib/download.js';
+import useDialog from './useDialog.js';
+
+/**
+ * Vector export dialog: page size, orientation and back-of-room view, with a live preview.
+ * - The preview is the same SVG that gets downloaded; the PDF is drawn from the same scene.
+ * - The PDF's built-in fonts only cover Western European letters, so other names are flagged here.
+ */
+export default function ExportDialog({ chart, onClose }) {
+  const dialog = useDialog(onClose);
+  const [options, setOptions] = useState(DEFAULT_EXPORT_OPTIONS);
+  const scene = buildChartScene(chart, options);
+  const svg = sceneToSvg(scene);
+  const unsupported = pdfUnsupportedText(scene);
+  const baseName = `Felix-${fileSlug(chart.details.className)}`;
+
+  const optionClass = (active) => `flex-1 py-2 rounded-lg text-xs font-bold border-2 ${active ? 'border-indigo-600 bg-indigo-50 text-indigo-700' : 'border-slate-200 text-slate-500 hover:bg-slate-50'}`;
+
+  return (
+    <div className="fixed inset-0 bg-slate-900/90 backdrop-blur-lg z-[300] flex items-center justify-center p-6 no-print">
+      <div {...dialog} aria-label="Export chart" className="bg-white w-full max-w-5xl rounded-[32px] shadow-2xl flex flex-col max-h-[90vh] border-4 border-indigo-600 outline-none">
+        <div className="p-8 border-b flex justify-between items-center bg-indigo-50/30">
+          <h2 className="text-2xl font-black text-indigo-900 uppercase tracking-tighter flex items-center gap-3"><Download size={26} /> Export Chart</h2>
+          <button onClick={onClose} aria-label="Close" className="text-slate-400 hover:text-indigo-600 transition-all rounded-lg"><X size={28} /></button>
+        </div>
+
+        <div className="flex-1 overflow-hidden flex">
+          {/* OPTIONS */}
+          <div className="w-72 border-r p-8 space-y-6 shrink-0">
+            <div className="space-y-2">
+              <label className="text-[10px] font-black text-slate-400 uppercase tracking-widest">Page Size</label>
+              <select value={options.pageSize} onChange={e => setOptions({ ...options, pageSize: e.target.value })} className="w-full bg-slate-50 border rounded-lg p-2 text-sm font-bold">
+                {Object.entries(PAGE_SIZES).map(([id, size]) => <option key={id} value={id}>{size.label}</option>)}
+              </select>
+            </div>
+            <div className="space-y-2">
+              <label className="text-[10px] font-black text-slate-400 uppercase tracking-widest">Orientation</label>
+              <div className="flex gap-2">
+                <button onClick={() => setOptions({ ...options, orientation: 'landscape' })} className={optionClass(options.orientation === 'landscape')}>Landscape</button>
+                <button onClick={() => setOptions({ ...options, orientation: 'portrait' })} className={optionClass(options.orientation === 'portrait')}>Portrait</button>
+              </div>
+            </div>
+            <label className="flex items-center gap-2 text-xs font-bold text-slate-600">
+              <input type="checkbox" checked={options.flipped} onChange={e => setOptions({ ...options, flipped: e.target.checked })} /> View from back of room
+            </label>
+            <p className="text-[10px] font-bold text-slate-400 italic">Drawn from your chart data, so it stays sharp at any zoom and works offline.</p>
+            {unsupported.length > 0 && (
+              <div className="p-3 bg-amber-50 border border-amber-200 rounded-xl text-[10px] font-bold text-amber-800 space-y-1">
+                <p className="flex items-center gap-2"><AlertCircle size={12} /> The PDF can't show every letter in:</p>
+                <p className="text-amber-900">{unsupported.join(', ')}</p>
+                <p>They would print as "?". Download the SVG instead; it keeps every character.</p>
+              </div>
+            )}
+          </div>
+
+          {/* PREVIEW */}
+          <div className="flex-1 p-8 bg-slate-100 overflow-auto flex items-center justify-center">
+            <img src={`data:image/svg+xml;charset=utf-8,${encodeURIComponent(svg)}`} alt="Chart export preview" className="max-w-full max-h-[60vh] bg-white shadow-xl" />
+          </div>
+        </div>
+
+        <div className="p-8 bg-slate-50 border-t flex justify-end gap-3">
+          <button onClick={() => downloadBlob(new Blob([svg], { type: 'image/svg+xml' }), `${baseName}.svg`)} className="flex items-center gap-2 px-6 py-3 bg-white border-2 border-indigo-600 text-indigo-700 rounded-xl text-xs font-black uppercase tracking-widest hover:bg-indigo-50"><FileCode size={14} /> Download SVG</button>
+          <button onClick={() => downloadBlob(new Blob([sceneToPdf(scene)], { type: 'application/pdf' }), `${baseName}.pdf`)} className="flex items-center gap-2 px-8 py-3 bg-indigo-600 text-white rounded-xl text-xs font-black uppercase tracking-widest hover:bg-indigo-700"><FileText size={14} /> Download PDF</button>
+        </div>
+      </div>
+    </div>
+  );
+}
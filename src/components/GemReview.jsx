@@ -0,0 +1,114 @@
+import React, { useState } from 'react';
+import { X, Check, Sparkles, Plus, ArrowRightCircle, UserX, Tag, Square } from 'lucide-react';
+import { applyProposal } from '../lib/gemReview.js';
+import { displayName } from '../lib/students.js';
+import useDialog from './useDialog.js';
+
+/**
+ * Review step for Gem Engine output.
+ * - Ghost grid previews the chart with the currently selected changes applied.
+ * - Teachers accept everything, reject everything, or tick individual changes.
+ */
+const CHANGE_STYLES = {
+  newDesk: { icon: Square, label: 'New desks', tone: 'text-emerald-600' },
+  add: { icon: Plus, label: 'Added students', tone: 'text-green-600' },
+  move: { icon: ArrowRightCircle, label: 'Moved students', tone: 'text-blue-600' },
+  remove: { icon: UserX, label: 'Unseated students', tone: 'text-red-600' },
+  tags: { icon: Tag, label: 'Accommodation changes', tone: 'text-amber-600' },
+};
+
+export default function GemReview({ proposal, current, gridSize, onApply, onDiscard }) {
+  const dialog = useDialog(onDiscard);
+  const [accepted, setAccepted] = useState(() => new Set(proposal.changes.map(c => c.id)));
+  const [hovered, setHovered] = useState(null);
+
+  const preview = applyProposal(current, proposal, accepted);
+  const lookup = { ...proposal.newStudents, ...preview.students };
+
+  const toggle = (id) => setAccepted(prev => {
+    const next = new Set(prev);
+    if (next.has(id)) next.delete(id); else next.add(id);
+    return next;
+  });
+
+  // Per-cell markers for the ghost grid, based on accepted changes only.
+  const marks = {};
+  proposal.changes.filter(c => accepted.has(c.id)).forEach(c => {
+    if (c.type === 'newDesk') marks[c.coord] = { ...marks[c.coord], newDesk: true };
+    if (c.to) marks[c.to] = { ...marks[c.to], incoming: c.type };
+    if (c.from && preview.seats[c.from] === undefined) marks[c.from] = { ...marks[c.from], vacated: c.studentId };
+  });
+  const hoveredChange = proposal.changes.find(c => c.id === hovered);
+  const hoveredCells = new Set([hoveredChange?.coord, hoveredChange?.from, hoveredChange?.to].filter(Boolean));
+
+  return (
+    <div className="fixed inset-0 bg-slate-900/90 backdrop-blur-lg z-[300] flex items-center justify-center p-6 no-print">
+      <div {...dialog} aria-label="Review Gem changes" className="bg-white w-full max-w-6xl rounded-[32px] shadow-2xl flex flex-col max-h-[90vh] border-4 border-indigo-600 outline-none">
+        <div className="p-8 border-b flex justify-between items-center bg-indigo-50/30">
+          <div>
+            <h2 className="text-2xl font-black text-indigo-900 uppercase tracking-tighter flex items-center gap-3"><Sparkles size={24} /> Review Gem Changes</h2>
+            <p className="text-[10px] font-bold text-slate-400 uppercase tracking-widest mt-1">{accepted.size} of {proposal.changes.length} changes selected • displaced students go to Unassigned</p>
+          </div>
+          <button onClick={onDiscard} aria-label="Close" className="text-slate-400 hover:text-indigo-600 transition-all rounded-lg"><X size={28} /></button>
+        </div>
+
+        <div className="flex-1 overflow-hidden flex">
+          {/* GHOST GRID */}
+          <div className="flex-1 p-8 overflow-auto bg-slate-50">
+            <div className="w-full max-w-md h-8 bg-slate-900 mx-auto mb-8 rounded-xl flex items-center justify-center">
+              <span className="text-white font-black text-[9px] uppercase tracking-[0.5em]">Front of Classroom</span>
+            </div>
+            <div className="grid gap-2 mx-auto" style={{ gridTemplateColumns: `repeat(${gridSize.cols}, minmax(0, 1fr))`, maxWidth: `${gridSize.cols * 90}px` }}>
+              {Array.from({ length: gridSize.rows }).map((_, r) => Array.from({ length: gridSize.cols }).map((_, c) => {
+                const key = `${r}-${c}`, mark = marks[key] || {}, isDesk = preview.desks.has(key);
+                const occupant = lookup[preview.seats[key]];
+                const tone = mark.incoming === 'add' ? 'border-green-500 bg-green-50' : mark.incoming === 'move' ? 'border-blue-500 bg-blue-50' : mark.vacated ? 'border-red-400 bg-red-50' : 'border-indigo-300 bg-white';
+                return (
+                  <div key={key} className={`aspect-[1.3] rounded-xl flex items-center justify-center text-center px-1 transition-all
+                    ${isDesk ? `border-[3px] ${tone}` : 'border border-dashed border-slate-200'}
+                    ${mark.newDesk ? 'border-dashed' : ''}
+                    ${hoveredCells.has(key) ? 'ring-4 ring-indigo-300 scale-105' : ''}`}>
+                    {isDesk && (occupant
+                      ? <span className="text-[9px] font-black uppercase leading-tight text-slate-800">{displayName(occupant)}</span>
+                      : mark.vacated
+                        ? <span className="text-[9px] font-black uppercase leading-tight text-red-400 line-through">{displayName(lookup[mark.vacated])}</span>
+                        : <span className="text-[9px] text-slate-300">—</span>)}
+                  </div>
+                );
+              }))}
+            </div>
+          </div>
+
+          {/* CHANGE LIST */}
+          <div className="w-96 border-l overflow-y-auto p-6 space-y-5">
+            {proposal.changes.length === 0 && <p className="text-sm font-bold text-slate-400 italic">The model returned no changes to the current chart.</p>}
+            {Object.entries(CHANGE_STYLES).map(([type, style]) => {
+              const group = proposal.changes.filter(c => c.type === type);
+              if (group.length === 0) return null;
+              const Icon = style.icon;
+              return (
+                <div key={type} className="space-y-2">
+                  <h4 className={`text-[10px] font-black uppercase tracking-widest flex items-center gap-2 ${style.tone}`}><Icon size={12} /> {style.label} ({group.length})</h4>
+                  {group.map(change => (
+                    <label key={change.id} onMouseEnter={() => setHovered(change.id)} onMouseLeave={() => setHovered(null)} className={`flex items-center gap-3 p-2 border rounded-lg cursor-pointer text-xs font-bold ${accepted.has(change.id) ? 'bg-white text-slate-700' : 'bg-slate-50 text-slate-400 line-through'}`}>
+                      <input type="checkbox" checked={accepted.has(change.id)} onChange={() => toggle(change.id)} />
+                      {change.label}
+                    </label>
+                  ))}
+                </div>
+              );
+            })}
+          </div>
+        </div>
+
+        <div className="p-8 bg-slate-50 border-t flex justify-between items-center gap-3">
+          <button onClick={onDiscard} className="px-6 py-3 bg-white border rounded-xl text-xs font-black uppercase tracking-widest text-red-600 hover:bg-red-50">Reject All</button>
+          <div className="flex gap-3">
+            <button disabled={accepted.size === 0} onClick={() => onApply(accepted)} className="px-6 py-3 bg-white border-2 border-indigo-600 text-indigo-700 rounded-xl text-xs font-black uppercase tracking-widest hover:bg-indigo-50 disabled:opacity-40">Apply Selected ({accepted.size})</button>
+            <button disabled={proposal.changes.length === 0} onClick={() => onApply(new Set(proposal.changes.map(c => c.id)))} className="flex items-center gap-2 px-8 py-3 bg-indigo-600 text-white rounded-xl text-xs font-black uppercase tracking-widest hover:bg-indigo-700 disabled:opacity-40"><Check size={14} /> Accept All</button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
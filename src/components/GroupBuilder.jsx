@@ -0,0 +1,142 @@
+import React, { useState } from 'react';
+import { X, Users, Shuffle, Eye, EyeOff, Trash2, CheckCircle2, AlertCircle } from 'lucide-react';
+import { GROUP_SIZES, MIN_GROUP_SIZE, DEFAULT_GROUP_SIZE, GROUP_ROLES, groupColor, attributeKeys } from '../lib/groups.js';
+import { DEFAULT_LOOKBACK } from '../lib/rotations.js';
+import { displayName } from '../lib/students.js';
+import useDialog from './useDialog.js';
+
+/**
+ * Cooperative group builder for the active class.
+ * - Clusters neighboring desks into groups and reseats students there (undoable).
+ * - Balances accommodation tags plus any custom attributes ticked here, with optional rotating roles.
+ * - Hard pin, front-row and keep-apart rules from the solver still apply; any left broken are listed.
+ * - Earlier group sets can be shown again on the grid; the shown set is what prints and exports.
+ */
+export default function GroupBuilder({ students, groupSets, activeSetId, onBuild, onShow, onDelete, onClose }) {
+  const dialog = useDialog(onClose);
+  const [size, setSize] = useState(DEFAULT_GROUP_SIZE);
+  const [balanceBy, setBalanceBy] = useState([]);
+  const [roles, setRoles] = useState(true);
+  const [lookback, setLookback] = useState(DEFAULT_LOOKBACK);
+  const [report, setReport] = useState(null);
+
+  const keys = attributeKeys(students);
+  const active = groupSets.find(set => set.id === activeSetId);
+  const nameOf = (id) => displayName(students[id]) || 'removed student';
+
+  const toggleKey = (key) => setBalanceBy(prev => (prev.includes(key) ? prev.filter(k => k !== key) : [...prev, key]));
+  const build = () => setReport(onBuild({ size, balanceBy: balanceBy.filter(k => keys.includes(k)), roles, lookback }));
+
+  const summaryOf = (members) => {
+    const tags = members.flatMap(id => students[id]?.tags || []);
+    const counts = [...new Set(tags)].map(tag => `${tags.filter(t => t === tag).length} ${tag}`);
+    const numbers = (active?.balanceBy || []).map(key => {
+      const values = members.map(id => Number(students[id]?.attributes?.[key])).filter(Number.isFinite);
+      return values.length ? `${key} ${(values.reduce((a, b) => a + b, 0) / values.length).toFixed(1)}` : null;
+    });
+    return [...counts, ...numbers.filter(Boolean)].join(' • ');
+  };
+
+  const optionClass = (on) => `flex-1 py-2 rounded-lg text-xs font-bold border-2 ${on ? 'border-indigo-600 bg-indigo-50 text-indigo-700' : 'border-slate-200 text-slate-500 hover:bg-slate-50'}`;
+
+  return (
+    <div className="fixed inset-0 bg-slate-900/90 backdrop-blur-lg z-[300] flex items-center justify-center p-6 no-print">
+      <div {...dialog} aria-label="Cooperative groups" className="bg-white w-full max-w-5xl rounded-[32px] shadow-2xl flex flex-col max-h-[90vh] border-4 border-indigo-600 outline-none">
+        <div className="p-8 border-b flex justify-between items-center bg-indigo-50/30">
+          <div>
+            <h2 className="text-2xl font-black text-indigo-900 uppercase tracking-tighter flex items-center gap-3"><Users size={26} /> Cooperative Groups</h2>
+            <p className="text-[10px] font-bold text-slate-400 uppercase tracking-widest mt-1">{groupSets.length} group set(s) • {active ? `showing ${active.label}` : 'groups hidden on the grid'}</p>
+          </div>
+          <button onClick={onClose} aria-label="Close" className="text-slate-400 hover:text-indigo-600 transition-all rounded-lg"><X size={28} /></button>
+        </div>
+
+        <div className="flex-1 overflow-hidden flex">
+          {/* OPTIONS */}
+          <div className="w-80 border-r overflow-y-auto p-6 space-y-6">
+            <div className="space-y-2">
+              <label className="text-[10px] font-black text-slate-400 uppercase tracking-widest">Group Size</label>
+              <div className="flex gap-2">
+                {GROUP_SIZES.map(n => <button key={n} onClick={() => setSize(n)} className={optionClass(size === n)}>{n}</button>)}
+              </div>
+            </div>
+            <div className="space-y-2">
+              <label className="text-[10px] font-black text-slate-400 uppercase tracking-widest">Balance By</label>
+              <p className="text-[10px] font-bold text-slate-400">IEP, 504 and ELL students are always spread across groups.</p>
+              {keys.length === 0 && <p className="text-[10px] font-bold text-slate-400 italic">Add custom attributes (e.g. reading level) in a student record or as extra roster columns to balance by them.</p>}
+              {keys.map(key => (
+                <label key={key} className="flex items-center gap-2 text-xs font-bold text-slate-600">
+                  <input type="checkbox" checked={balanceBy.includes(key)} onChange={() => toggleKey(key)} /> {key}
+                </label>
+              ))}
+            </div>
+            <label className="flex items-start gap-2 text-xs font-bold text-slate-600">
+              <input type="checkbox" checked={roles} onChange={e => setRoles(e.target.checked)} className="mt-0.5" />
+              <span>Assign rotating roles<span className="block text-[10px] text-slate-400">{GROUP_ROLES.join(', ')} — each goes to whoever has held it least.</span></span>
+            </label>
+            <div className="flex items-center gap-2">
+              <label className="text-[10px] font-bold text-slate-500 uppercase">Avoid groupings from last</label>
+              <input type="number" min="0" max="20" value={lookback} onChange={e => setLookback(Math.max(0, parseInt(e.target.value) || 0))} className="w-14 bg-white border rounded-lg p-2 text-xs font-bold" />
+              <span className="text-[10px] font-bold text-slate-500 uppercase">sets</span>
+            </div>
+            <button disabled={Object.keys(students).length === 0} onClick={build} className="w-full flex items-center justify-center gap-2 px-6 py-3 bg-indigo-600 text-white rounded-xl text-xs font-black uppercase tracking-widest hover:bg-indigo-700 disabled:opacity-40"><Shuffle size={14} /> Build Groups</button>
+            {report && (
+              report.repeats === 0 && report.conflicts === 0 && report.violations.length === 0 && report.undersized === 0 && report.unseated.length === 0
+                ? <p className="text-[10px] font-bold text-green-700 flex items-center gap-2"><CheckCircle2 size={12} /> Balanced with no repeat pairings. Students were reseated into their groups.</p>
+                : (
+                  <div className="text-[10px] font-bold text-amber-800 space-y-0.5">
+                    {report.repeats > 0 && <p className="flex items-center gap-2"><AlertCircle size={12} /> {report.repeats} pairing(s) repeat a recent group</p>}
+                    {report.conflicts > 0 && <p className="flex items-center gap-2"><AlertCircle size={12} /> {report.conflicts} "keep apart" pair(s) share a group</p>}
+                    {report.violations.map((v, i) => <p key={i} className="flex items-center gap-2"><AlertCircle size={12} /> Rule broken: {v.message}</p>)}
+                    {report.undersized > 0 && <p className="flex items-center gap-2"><AlertCircle size={12} /> Too few students for a group of {MIN_GROUP_SIZE} — they were grouped together anyway</p>}
+                    {report.unseated.length > 0 && <p className="flex items-center gap-2"><AlertCircle size={12} /> {report.unseated.length} student(s) left unassigned — not enough desks</p>}
+                  </div>
+                )
+            )}
+
+            {/* HISTORY */}
+            {groupSets.length > 0 && (
+              <div className="space-y-2 pt-4 border-t">
+                <h3 className="text-[10px] font-black text-slate-400 uppercase tracking-widest">History</h3>
+                {[...groupSets].reverse().map(set => (
+                  <div key={set.id} className={`flex items-center gap-2 p-2 border-2 rounded-xl ${set.id === activeSetId ? 'border-indigo-600 bg-indigo-50' : 'border-slate-100'}`}>
+                    <div className="flex-1 min-w-0">
+                      <p className="text-xs font-black text-slate-800 truncate">{set.label}</p>
+                      <p className="text-[9px] font-bold text-slate-400 uppercase tracking-widest">{new Date(set.at).toLocaleDateString()} • {set.groups.length} groups of {set.size}</p>
+                    </div>
+                    <button onClick={() => onShow(set.id === activeSetId ? null : set.id)} title={set.id === activeSetId ? 'Hide on grid' : 'Show on grid'} className="p-1.5 text-slate-400 hover:text-indigo-600">{set.id === activeSetId ? <EyeOff size={14} /> : <Eye size={14} />}</button>
+                    <button onClick={() => onDelete(set.id)} title="Delete group set" className="p-1.5 text-slate-400 hover:text-red-600"><Trash2 size={14} /></button>
+                  </div>
+                ))}
+              </div>
+            )}
+          </div>
+
+          {/* GROUPS */}
+          <div className="flex-1 p-8 overflow-auto bg-slate-50">
+            {active ? (
+              <div className="grid grid-cols-2 gap-4">
+                {active.groups.map((group, i) => {
+                  const color = groupColor(i);
+                  return (
+                    <div key={i} className="p-4 rounded-2xl border-[3px] bg-white" style={{ borderColor: color.stroke }}>
+                      <div className="flex justify-between items-center mb-2">
+                        <h4 className="text-sm font-black uppercase tracking-tight" style={{ color: color.stroke }}>Group {i + 1} <span className="text-slate-400">• {color.name}</span></h4>
+                        <span className="text-[9px] font-bold text-slate-400">{summaryOf(group.members)}</span>
+                      </div>
+                      {group.members.map(id => (
+                        <p key={id} className="text-xs font-bold text-slate-700 flex justify-between">
+                          {nameOf(id)}
+                          {group.roles[id] && <span className="text-[9px] font-black uppercase tracking-widest" style={{ color: color.stroke }}>{group.roles[id]}</span>}
+                        </p>
+                      ))}
+                    </div>
+                  );
+                })}
+              </div>
+            ) : <p className="text-sm font-bold text-slate-400 italic">Build groups, or show an earlier set, to see them here and on the grid.</p>}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
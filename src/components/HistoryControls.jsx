@@ -0,0 +1,41 @@
+import React, { useState } from 'react';
+import { Undo2, Redo2, History } from 'lucide-react';
+
+/**
+ * Header undo/redo buttons plus a list of recent labeled changes.
+ * - Picking an entry in the list rolls back to just before that change.
+ */
+export default function HistoryControls({ past, future, onUndo, onRedo }) {
+  const [isOpen, setIsOpen] = useState(false);
+  const lastUndo = past[past.length - 1];
+  const lastRedo = future[future.length - 1];
+  const isMac = typeof navigator !== 'undefined' && /Mac|iPhone|iPad/.test(navigator.platform);
+  const mod = isMac ? '⌘' : 'Ctrl+';
+
+  const buttonClass = 'p-2 rounded-xl bg-white/10 text-white hover:bg-white/20 transition-all disabled:opacity-30 disabled:pointer-events-none';
+
+  return (
+    <div className="relative flex items-center gap-1">
+      <button disabled={!lastUndo} onClick={() => onUndo(1)} title={lastUndo ? `Undo ${lastUndo.label} (${mod}Z)` : 'Nothing to undo'} className={buttonClass}><Undo2 size={16} /></button>
+      <button disabled={!lastRedo} onClick={onRedo} title={lastRedo ? `Redo ${lastRedo.label} (${mod}Shift+Z)` : 'Nothing to redo'} className={buttonClass}><Redo2 size={16} /></button>
+      <button disabled={past.length === 0} onClick={() => setIsOpen(!isOpen)} title="Change history" className={buttonClass}><History size={16} /></button>
+      {isOpen && (
+        <>
+          <div className="fixed inset-0 z-[105]" onClick={() => setIsOpen(false)}></div>
+          <div className="absolute right-0 top-full mt-2 w-64 bg-white rounded-2xl shadow-2xl border border-slate-100 overflow-hidden z-[110]">
+            <p className="px-4 pt-4 pb-2 text-[10px] font-black text-slate-400 uppercase tracking-widest">Recent Changes</p>
+            <div className="max-h-72 overflow-y-auto">
+              {[...past].reverse().map((entry, i) => (
+                <button key={`${entry.at}-${i}`} onClick={() => { onUndo(i + 1); setIsOpen(false); }} className="w-full flex justify-between items-center gap-3 px-4 py-2 border-t text-left hover:bg-slate-50">
+                  <span className="text-sm font-bold text-slate-700 truncate">{entry.label}</span>
+                  <span className="text-[10px] font-mono text-slate-400 shrink-0">{new Date(entry.at).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}</span>
+                </button>
+              ))}
+            </div>
+            <p className="px-4 py-2 border-t text-[9px] font-bold text-slate-400 italic">Click an entry to undo back to before it.</p>
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,101 @@
+import React, { useEffect, useState } from 'react';
+import { X, Share2, Download, Upload, Link, Copy, CheckCircle2, AlertCircle } from 'lucide-react';
+import { createLayoutDocument, parseLayoutFile, encodeRoomFragment } from '../lib/layoutFile.js';
+import { downloadBlob, fileSlug } from '../lib/download.js';
+import useDialog from './useDialog.js';
+
+/**
+ * Share and import dialog for co-teachers and moving between computers.
+ * - Layout files carry the full chart (room, seats, roster, details) as versioned JSON.
+ * - Room links carry only the grid, desks and room objects: no names ever go in the URL.
+ * - Imported files are validated first and always open as a new class.
+ */
+export default function LayoutShare({ chart, onImport, onClose }) {
+  const dialog = useDialog(onClose);
+  const [roomLink, setRoomLink] = useState('');
+  const [copied, setCopied] = useState(false);
+  const [result, setResult] = useState(null);
+  const [fileName, setFileName] = useState('');
+  const { gridSize, desks, fixtures } = chart;
+
+  useEffect(() => {
+    let cancelled = false;
+    encodeRoomFragment({ gridSize, desks, fixtures })
+      .then(fragment => { if (!cancelled) setRoomLink(`${window.location.origin}${window.location.pathname}#${fragment}`); })
+      .catch(() => { if (!cancelled) setRoomLink(''); });
+    return () => { cancelled = true; };
+  }, [gridSize, desks, fixtures]);
+
+  const downloadLayout = () => {
+    const json = JSON.stringify(createLayoutDocument(chart), null, 2);
+    downloadBlob(new Blob([json], { type: 'application/json' }), `Felix-${fileSlug(chart.details.className)}-${fileSlug(chart.details.period, 'Period')}.felix.json`);
+  };
+
+  const copyLink = async () => {
+    try {
+      await navigator.clipboard.writeText(roomLink);
+      setCopied(true);
+    } catch {
+      setCopied(false);
+    }
+  };
+
+  const handleFile = async (e) => {
+    const file = e.target.files?.[0];
+    if (!file) return;
+    setFileName(file.name);
+    setResult(parseLayoutFile(await file.text()));
+  };
+
+  return (
+    <div className="fixed inset-0 bg-slate-900/90 backdrop-blur-lg z-[300] flex items-center justify-center p-6 no-print">
+      <div {...dialog} aria-label="Share layout" className="bg-white w-full max-w-3xl rounded-[32px] shadow-2xl flex flex-col max-h-[90vh] border-4 border-indigo-600 outline-none">
+        <div className="p-8 border-b flex justify-between items-center bg-indigo-50/30">
+          <h2 className="text-2xl font-black text-indigo-900 uppercase tracking-tighter flex items-center gap-3"><Share2 size={26} /> Share Layout</h2>
+          <button onClick={onClose} aria-label="Close" className="text-slate-400 hover:text-indigo-600 transition-all rounded-lg"><X size={28} /></button>
+        </div>
+
+        <div className="p-8 overflow-y-auto space-y-8">
+          {/* LAYOUT FILE */}
+          <div className="space-y-3">
+            <h3 className="text-[10px] font-black text-slate-400 uppercase tracking-widest">Layout File</h3>
+            <p className="text-xs font-bold text-slate-500">The whole chart — room, seats, students with their accommodations and notes, and class details. Share it only with staff who may see student records.</p>
+            <div className="flex gap-3">
+              <button onClick={downloadLayout} className="flex items-center gap-2 px-6 py-3 bg-indigo-600 text-white rounded-xl text-xs font-black uppercase tracking-widest hover:bg-indigo-700"><Download size={14} /> Download .json</button>
+              <label className="flex items-center gap-2 px-6 py-3 bg-white border-2 border-indigo-600 text-indigo-700 rounded-xl text-xs font-black uppercase tracking-widest hover:bg-indigo-50 cursor-pointer">
+                <Upload size={14} /> {fileName || 'Import File'}
+                <input type="file" accept=".json,application/json" onChange={handleFile} className="hidden" />
+              </label>
+            </div>
+            {result && (
+              <div className={`p-4 rounded-2xl border-2 space-y-2 ${result.layout ? 'border-green-200 bg-green-50/50' : 'border-red-200 bg-red-50/50'}`}>
+                {result.errors.map((message, i) => <p key={i} className="text-xs font-bold text-red-700 flex items-center gap-2"><AlertCircle size={12} /> {message}</p>)}
+                {result.layout && (
+                  <>
+                    <p className="text-xs font-bold text-green-800 flex items-center gap-2">
+                      <CheckCircle2 size={12} /> {result.layout.details.className || 'Untitled class'} — {result.layout.gridSize.rows}×{result.layout.gridSize.cols} room, {result.layout.desks.length} desks, {Object.keys(result.layout.students).length} students
+                    </p>
+                    {result.warnings.map((message, i) => <p key={i} className="text-[11px] font-bold text-amber-700">{message}</p>)}
+                    <button onClick={() => onImport(result.layout)} className="px-6 py-2 bg-green-600 text-white rounded-xl text-xs font-black uppercase tracking-widest hover:bg-green-700">Open as New Class</button>
+                  </>
+                )}
+              </div>
+            )}
+          </div>
+
+          {/* ROOM LINK */}
+          <div className="space-y-3 pt-6 border-t">
+            <h3 className="text-[10px] font-black text-slate-400 uppercase tracking-widest">Room Link</h3>
+            <p className="text-xs font-bold text-slate-500">Just the room: grid, desks and room objects. No names, seats or class details are in the link, so it is safe to share across a department.</p>
+            {roomLink ? (
+              <div className="flex gap-2">
+                <input readOnly value={roomLink} onFocus={e => e.target.select()} className="flex-1 bg-slate-50 border rounded-xl p-3 font-mono text-[11px] text-slate-600" />
+                <button onClick={copyLink} className="flex items-center gap-2 px-5 py-3 bg-white border-2 border-indigo-600 text-indigo-700 rounded-xl text-xs font-black uppercase tracking-widest hover:bg-indigo-50">{copied ? <CheckCircle2 size={14} /> : <Copy size={14} />} {copied ? 'Copied' : 'Copy'}</button>
+              </div>
+            ) : <p className="text-[11px] font-bold text-slate-400 italic flex items-center gap-2"><Link size={12} /> Room links need a current browser (Chrome, Edge, Firefox or Safari 16.4+).</p>}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,91 @@
+import React, { useState } from 'react';
+import { ArrowUp, ArrowDown, ArrowLeft, ArrowRight, FlipHorizontal2, FlipVertical2, RotateCw, RotateCcw, Trash2, Rows3, Columns3 } from 'lucide-react';
+import { insertRow, deleteRow, insertColumn, deleteColumn, shiftLayout, flipLayout, rotateLayout } from '../lib/engine.js';
+import { MAX_GRID } from '../lib/layoutFile.js';
+
+/**
+ * Room Layout card controls that reshape the whole room.
+ * - Rows and columns can be inserted or deleted anywhere; desks, objects and students move with them.
+ * - Move, flip and rotate act on the whole layout at once.
+ * - Every action goes through `onApply(label, transform)` so the app can warn about displaced students.
+ */
+export function GridSizeInput({ label, value, onCommit }) {
+  // Typing a new size only takes effect on Enter or blur, so "12" never passes through "1".
+  const [draft, setDraft] = useState(null);
+  const commit = () => {
+    if (draft === null) return;
+    const n = Math.min(MAX_GRID, Math.max(1, parseInt(draft, 10) || value));
+    setDraft(null);
+    if (n !== value) onCommit(n);
+  };
+
+  return (
+    <div className="space-y-1">
+      <label className="text-[10px] font-bold text-slate-500">{label}</label>
+      <input
+        type="number" min={1} max={MAX_GRID}
+        value={draft ?? value}
+        onChange={e => setDraft(e.target.value)}
+        onBlur={commit}
+        onKeyDown={e => { if (e.key === 'Enter') commit(); else if (e.key === 'Escape') setDraft(null); }}
+        className="w-full bg-slate-50 border rounded-lg p-2 text-sm font-bold"
+      />
+    </div>
+  );
+}
+
+export default function LayoutTools({ gridSize, onApply }) {
+  const [row, setRow] = useState(0);
+  const [col, setCol] = useState(0);
+  const r = Math.min(row, gridSize.rows - 1), c = Math.min(col, gridSize.cols - 1);
+  const buttonClass = 'flex items-center justify-center gap-1.5 p-2 bg-white border rounded-lg text-[11px] font-bold hover:bg-slate-50 disabled:opacity-40 disabled:cursor-not-allowed';
+  const selectClass = 'flex-1 bg-slate-50 border rounded-lg p-2 text-[11px] font-bold';
+
+  return (
+    <div className="grid grid-cols-2 gap-8">
+      <div className="space-y-3">
+        <h3 className="text-[10px] font-black text-slate-400 uppercase tracking-widest">Rows &amp; Columns</h3>
+        <div className="flex gap-2 items-center">
+          <Rows3 size={14} className="text-slate-400 shrink-0" />
+          <select value={r} onChange={e => setRow(Number(e.target.value))} className={selectClass} aria-label="Row">
+            {Array.from({ length: gridSize.rows }, (_, i) => <option key={i} value={i}>Row {i}{i === 0 ? ' (front)' : ''}</option>)}
+          </select>
+        </div>
+        <div className="grid grid-cols-3 gap-2">
+          <button disabled={gridSize.rows >= MAX_GRID} onClick={() => onApply(`Insert row above ${r}`, insertRow(gridSize, r))} className={buttonClass}>Above</button>
+          <button disabled={gridSize.rows >= MAX_GRID} onClick={() => onApply(`Insert row below ${r}`, insertRow(gridSize, r + 1))} className={buttonClass}>Below</button>
+          <button disabled={gridSize.rows <= 1} onClick={() => onApply(`Delete row ${r}`, deleteRow(gridSize, r))} className={buttonClass}><Trash2 size={12} /> Delete</button>
+        </div>
+        <div className="flex gap-2 items-center">
+          <Columns3 size={14} className="text-slate-400 shrink-0" />
+          <select value={c} onChange={e => setCol(Number(e.target.value))} className={selectClass} aria-label="Column">
+            {Array.from({ length: gridSize.cols }, (_, i) => <option key={i} value={i}>Column {i}</option>)}
+          </select>
+        </div>
+        <div className="grid grid-cols-3 gap-2">
+          <button disabled={gridSize.cols >= MAX_GRID} onClick={() => onApply(`Insert column left of ${c}`, insertColumn(gridSize, c))} className={buttonClass}>Left</button>
+          <button disabled={gridSize.cols >= MAX_GRID} onClick={() => onApply(`Insert column right of ${c}`, insertColumn(gridSize, c + 1))} className={buttonClass}>Right</button>
+          <button disabled={gridSize.cols <= 1} onClick={() => onApply(`Delete column ${c}`, deleteColumn(gridSize, c))} className={buttonClass}><Trash2 size={12} /> Delete</button>
+        </div>
+      </div>
+      <div className="space-y-3 border-l pl-8">
+        <h3 className="text-[10px] font-black text-slate-400 uppercase tracking-widest">Move &amp; Turn</h3>
+        <div className="grid grid-cols-3 gap-2 w-36">
+          <span />
+          <button onClick={() => onApply('Move layout up', shiftLayout(gridSize, -1, 0))} className={buttonClass} title="Move everything one row toward the front" aria-label="Move layout up"><ArrowUp size={14} /></button>
+          <span />
+          <button onClick={() => onApply('Move layout left', shiftLayout(gridSize, 0, -1))} className={buttonClass} title="Move everything one column left" aria-label="Move layout left"><ArrowLeft size={14} /></button>
+          <button onClick={() => onApply('Move layout down', shiftLayout(gridSize, 1, 0))} className={buttonClass} title="Move everything one row toward the back" aria-label="Move layout down"><ArrowDown size={14} /></button>
+          <button onClick={() => onApply('Move layout right', shiftLayout(gridSize, 0, 1))} className={buttonClass} title="Move everything one column right" aria-label="Move layout right"><ArrowRight size={14} /></button>
+        </div>
+        <div className="grid grid-cols-2 gap-2">
+          <button onClick={() => onApply('Flip left/right', flipLayout(gridSize, 'horizontal'))} className={buttonClass}><FlipHorizontal2 size={14} /> Flip ↔</button>
+          <button onClick={() => onApply('Flip front/back', flipLayout(gridSize, 'vertical'))} className={buttonClass}><FlipVertical2 size={14} /> Flip ↕</button>
+          <button onClick={() => onApply('Rotate left', rotateLayout(gridSize, 'ccw'))} className={buttonClass}><RotateCcw size={14} /> Turn Left</button>
+          <button onClick={() => onApply('Rotate right', rotateLayout(gridSize, 'cw'))} className={buttonClass}><RotateCw size={14} /> Turn Right</button>
+        </div>
+        <p className="text-[9px] font-bold text-slate-400 italic">Students move with their desks. Anyone whose desk falls off the grid waits in Unassigned Students.</p>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,58 @@
+import React from 'react';
+import { Hand, Dices, SkipForward, ChartBar } from 'lucide-react';
+import { PARTICIPATION_KINDS, TALLY_KINDS } from '../lib/participation.js';
+
+/**
+ * Toolbar shown above the grid while participation mode is on.
+ * - Cold-call picker: "Pick" chooses a present, seated student; "Skip" takes the call back and picks again.
+ * - One tally kind is armed at a time; clicking a desk adds one, Shift+click removes the last.
+ */
+const TALLY_STYLES = {
+  call: 'bg-fuchsia-500 text-white',
+  participation: 'bg-green-500 text-white',
+  behavior: 'bg-amber-500 text-white',
+};
+
+/** Row of C/+/! counts; shown on each seated desk while participation is being tracked. */
+export function TallyBadges({ tally, className = '' }) {
+  if (!tally) return null;
+  return (
+    <span className={`flex gap-0.5 ${className}`}>
+      {Object.keys(PARTICIPATION_KINDS).filter(kind => tally[kind] > 0).map(kind => (
+        <span key={kind} title={PARTICIPATION_KINDS[kind].label} className={`px-1 rounded-md text-[8px] font-black ${TALLY_STYLES[kind]}`}>{PARTICIPATION_KINDS[kind].code}{tally[kind]}</span>
+      ))}
+    </span>
+  );
+}
+
+export default function ParticipationBar({ day, onDayChange, totals, tallyKind, onTallyKindChange, picked, canPick, onPick, onSkip, onReport, onExit }) {
+  const buttonClass = 'flex items-center gap-1.5 px-3 py-1.5 bg-white/10 rounded-lg hover:bg-white/20 text-[10px] font-black uppercase tracking-widest disabled:opacity-30';
+
+  return (
+    <div className="no-print -mt-14 mb-6 mx-auto px-4 py-2 bg-slate-900 text-white rounded-xl text-[11px] font-bold shadow-lg flex flex-wrap items-center gap-3">
+      <span className="flex items-center gap-2 uppercase tracking-widest text-[10px]"><Hand size={14} /> Participation</span>
+      <input type="date" value={day} onChange={e => e.target.value && onDayChange(e.target.value)} className="bg-white/10 rounded-lg px-2 py-1 text-[11px] font-bold [color-scheme:dark]" />
+      <div className="flex items-center gap-1">
+        {Object.entries(PARTICIPATION_KINDS).map(([kind, info]) => (
+          <span key={kind} title={info.label} className={`px-2 py-0.5 rounded-md text-[10px] font-black ${TALLY_STYLES[kind]}`}>{info.code} {totals[kind]}</span>
+        ))}
+      </div>
+      <button disabled={!canPick} onClick={onPick} className={`${buttonClass} bg-fuchsia-600 hover:bg-fuchsia-500`}><Dices size={12} /> Pick</button>
+      {picked && (
+        <span className="flex items-center gap-2">
+          <span className="px-2 py-0.5 bg-fuchsia-100 text-fuchsia-900 rounded-md font-black uppercase tracking-tight">{picked}</span>
+          <button onClick={onSkip} title="Take back this call and pick someone else" className={buttonClass}><SkipForward size={12} /> Skip</button>
+        </span>
+      )}
+      <span className="flex items-center gap-1" role="radiogroup" aria-label="Desk click adds">
+        {TALLY_KINDS.map(kind => (
+          <button key={kind} role="radio" aria-checked={tallyKind === kind} onClick={() => onTallyKindChange(kind)} className={`px-2 py-1 rounded-lg text-[10px] font-black uppercase tracking-widest ${tallyKind === kind ? TALLY_STYLES[kind] : 'bg-white/10 hover:bg-white/20'}`}>
+            {PARTICIPATION_KINDS[kind].code} {PARTICIPATION_KINDS[kind].label}
+          </button>
+        ))}
+      </span>
+      <button onClick={onReport} className={buttonClass}><ChartBar size={12} /> Report</button>
+      <button onClick={onExit} className="px-2 py-0.5 bg-white/20 rounded-lg hover:bg-white/30 uppercase tracking-widest text-[9px]">Done</button>
+    </div>
+  );
+}
@@ -0,0 +1,105 @@
+import React, { useState } from 'react';
+import { X, ChartBar, Download, AlertCircle } from 'lucide-react';
+import { PARTICIPATION_KINDS, SEAT_ZONES, participationReport, participationCsv } from '../lib/participation.js';
+import { displayName } from '../lib/students.js';
+import { downloadBlob, fileSlug } from '../lib/download.js';
+import useDialog from './useDialog.js';
+
+/**
+ * Per-class participation report over a date range.
+ * - Zone cards compare each zone's share of calls and tallies with its share of seated students.
+ * - The student table lists the least-called first, so anyone overlooked is at the top.
+ */
+// Flag a zone when its share of calls trails its share of seats by this much.
+const OVERLOOKED_GAP = 0.15;
+
+const percent = (share) => `${Math.round(share * 100)}%`;
+
+export default function ParticipationReport({ participation, students, seats, desks, details, onClose }) {
+  const dialog = useDialog(onClose);
+  const recorded = Object.keys(participation).sort();
+  const [from, setFrom] = useState(recorded[0] || '');
+  const [to, setTo] = useState(recorded[recorded.length - 1] || '');
+  const { rows, zones, days } = participationReport({ participation, students, seats, desks, from, to });
+  const totalCalls = zones.reduce((sum, z) => sum + z.call, 0);
+
+  const exportCsv = () => {
+    const csv = participationCsv({ participation, students, details, from, to });
+    downloadBlob(new Blob([csv], { type: 'text/csv;charset=utf-8' }), `Participation-${fileSlug(details.className)}-${fileSlug(details.period, 'Period')}-${from}_to_${to}.csv`);
+  };
+
+  return (
+    <div className="fixed inset-0 bg-slate-900/90 backdrop-blur-lg z-[300] flex items-center justify-center p-6 no-print">
+      <div {...dialog} aria-label="Participation report" className="bg-white w-full max-w-4xl rounded-[32px] shadow-2xl flex flex-col max-h-[90vh] border-4 border-indigo-600 outline-none">
+        <div className="p-8 border-b flex justify-between items-center bg-indigo-50/30">
+          <div>
+            <h2 className="text-2xl font-black text-indigo-900 uppercase tracking-tighter flex items-center gap-3"><ChartBar size={26} /> Participation Report</h2>
+            <p className="text-[10px] font-bold text-slate-400 uppercase tracking-widest mt-1">{details.className} • {details.period} • {days.length} recorded day(s)</p>
+          </div>
+          <button onClick={onClose} aria-label="Close" className="text-slate-400 hover:text-indigo-600 transition-all rounded-lg"><X size={28} /></button>
+        </div>
+
+        <div className="p-8 overflow-y-auto space-y-8">
+          <div className="flex items-center gap-3 text-xs font-bold text-slate-500">
+            <input type="date" aria-label="From" value={from} onChange={e => setFrom(e.target.value)} className="bg-slate-50 border rounded-lg p-2 text-xs font-bold" />
+            <span>→</span>
+            <input type="date" aria-label="To" value={to} onChange={e => setTo(e.target.value)} className="bg-slate-50 border rounded-lg p-2 text-xs font-bold" />
+          </div>
+
+          {/* SEAT ZONES */}
+          <div className="space-y-3">
+            <h3 className="text-[10px] font-black text-slate-400 uppercase tracking-widest">Seat Zones</h3>
+            <div className="grid grid-cols-2 gap-4">
+              {zones.map(zone => {
+                const overlooked = totalCalls > 0 && zone.seated > 0 && zone.seatShare - zone.callShare >= OVERLOOKED_GAP;
+                return (
+                  <div key={zone.zone} className={`p-4 rounded-2xl border-2 space-y-2 ${overlooked ? 'border-red-200 bg-red-50/50' : 'border-slate-100'}`}>
+                    <p className="text-sm font-black text-slate-800 uppercase tracking-tight">{SEAT_ZONES[zone.zone]} <span className="text-slate-400">• {zone.seated} seated now ({percent(zone.seatShare)})</span></p>
+                    {Object.entries(PARTICIPATION_KINDS).map(([kind, info]) => (
+                      <div key={kind} className="flex items-center gap-3 text-[11px] font-bold text-slate-600">
+                        <span className="w-28">{info.label}</span>
+                        <div className="flex-1 h-2 bg-slate-100 rounded-full overflow-hidden"><div className="h-full bg-indigo-500" style={{ width: percent(zone[`${kind}Share`]) }} /></div>
+                        <span className="w-16 text-right">{zone[kind]} ({percent(zone[`${kind}Share`])})</span>
+                      </div>
+                    ))}
+                    {overlooked && <p className="text-[11px] font-bold text-red-700 flex items-center gap-2"><AlertCircle size={12} /> Called on less than its share of students.</p>}
+                  </div>
+                );
+              })}
+            </div>
+          </div>
+
+          {/* STUDENTS */}
+          <div className="space-y-3">
+            <h3 className="text-[10px] font-black text-slate-400 uppercase tracking-widest">Students</h3>
+            {rows.length === 0 ? <p className="text-sm font-bold text-slate-400 italic">No students in this class yet.</p> : (
+              <table className="w-full text-left text-xs">
+                <thead>
+                  <tr className="text-[10px] font-black text-slate-400 uppercase tracking-widest border-b">
+                    <th className="py-2">Student</th>
+                    <th className="py-2">Seat Now</th>
+                    {Object.values(PARTICIPATION_KINDS).map(info => <th key={info.code} className="py-2 text-right">{info.label}</th>)}
+                  </tr>
+                </thead>
+                <tbody>
+                  {rows.map(row => (
+                    <tr key={row.id} className={`border-b border-slate-50 font-bold ${row.call === 0 ? 'text-red-700' : 'text-slate-700'}`}>
+                      <td className="py-2">{displayName(row.student)}</td>
+                      <td className="py-2 text-slate-400">{row.zone ? SEAT_ZONES[row.zone] : 'Unassigned'}</td>
+                      {Object.keys(PARTICIPATION_KINDS).map(kind => <td key={kind} className="py-2 text-right">{row[kind]}</td>)}
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            )}
+          </div>
+        </div>
+
+        <div className="p-8 bg-slate-50 border-t flex justify-between items-center gap-3">
+          <p className="text-[10px] font-bold text-slate-400 uppercase tracking-widest">Zones use the seat each student had when the event was recorded</p>
+          <button disabled={!days.length} onClick={exportCsv} className="flex items-center gap-2 px-6 py-3 bg-indigo-600 text-white rounded-xl text-xs font-black uppercase tracking-widest hover:bg-indigo-700 disabled:opacity-40"><Download size={14} /> Download CSV</button>
+        </div>
+      </div>
+    </div>
+  );
+}
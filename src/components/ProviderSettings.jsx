@@ -0,0 +1,65 @@
+import React, { useState } from 'react';
+import { Cpu, ChevronDown, KeyRound } from 'lucide-react';
+import { PROVIDERS } from '../lib/providers.js';
+
+/**
+ * Collapsible AI provider pane inside the Gem Engine card.
+ * - Switching provider resets endpoint and model to that provider's defaults.
+ * - The mock backend needs no network, so its connection fields are hidden.
+ */
+export default function ProviderSettings({ settings, onChange }) {
+  const [isOpen, setIsOpen] = useState(false);
+  const provider = PROVIDERS[settings.provider] || PROVIDERS.gemini;
+
+  const update = (patch) => onChange({ ...settings, ...patch });
+  const switchProvider = (id) => update({ provider: id, ...PROVIDERS[id].defaults });
+
+  const fieldClass = 'w-full bg-slate-50 border rounded-lg p-2 text-xs font-bold outline-none focus:border-indigo-400';
+
+  return (
+    <div className="border-2 border-slate-100 rounded-2xl">
+      <button onClick={() => setIsOpen(!isOpen)} className="w-full flex items-center justify-between gap-2 px-4 py-3 text-xs font-bold text-slate-600 hover:bg-slate-50 rounded-2xl">
+        <span className="flex items-center gap-2"><Cpu size={14} className="text-indigo-500" /> {provider.label}{!provider.offline && settings.model ? ` • ${settings.model}` : ''}</span>
+        <ChevronDown size={14} className={`transition-transform ${isOpen ? 'rotate-180' : ''}`} />
+      </button>
+      {isOpen && (
+        <div className="px-4 pb-4 space-y-3">
+          <div className="space-y-1">
+            <label className="text-[10px] font-bold text-slate-500">PROVIDER</label>
+            <select value={settings.provider} onChange={e => switchProvider(e.target.value)} className={fieldClass}>
+              {Object.entries(PROVIDERS).map(([id, p]) => <option key={id} value={id}>{p.label}</option>)}
+            </select>
+          </div>
+          {provider.offline ? (
+            <p className="text-[10px] font-bold text-slate-400 italic">Seats new names front-to-back with IEP/504/ELL students in rows 0–1. Nothing leaves this device.</p>
+          ) : (
+            <>
+              <div className="space-y-1">
+                <label className="text-[10px] font-bold text-slate-500">ENDPOINT</label>
+                <input value={settings.endpoint} onChange={e => update({ endpoint: e.target.value })} placeholder={provider.defaults.endpoint} className={`${fieldClass} font-mono`} />
+              </div>
+              <div className="space-y-1">
+                <label className="text-[10px] font-bold text-slate-500">MODEL</label>
+                <input value={settings.model} onChange={e => update({ model: e.target.value })} placeholder={provider.defaults.model} className={`${fieldClass} font-mono`} />
+              </div>
+              <div className="space-y-1">
+                <label className="text-[10px] font-bold text-slate-500 flex items-center gap-1"><KeyRound size={10} /> API KEY</label>
+                <input type="password" autoComplete="off" value={settings.apiKey} onChange={e => update({ apiKey: e.target.value })} placeholder="Stored in this browser only" className={`${fieldClass} font-mono`} />
+              </div>
+              <div className="grid grid-cols-2 gap-3">
+                <div className="space-y-1">
+                  <label className="text-[10px] font-bold text-slate-500">TIMEOUT (S)</label>
+                  <input type="number" min="5" value={settings.timeoutSeconds} onChange={e => update({ timeoutSeconds: parseInt(e.target.value) || 30 })} className={fieldClass} />
+                </div>
+                <div className="space-y-1">
+                  <label className="text-[10px] font-bold text-slate-500">RETRIES</label>
+                  <input type="number" min="0" max="5" value={settings.retries} onChange={e => update({ retries: Math.min(5, Math.max(0, parseInt(e.target.value) || 0)) })} className={fieldClass} />
+                </div>
+              </div>
+            </>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,50 @@
+import React from 'react';
+import { Briefcase, DoorOpen, AppWindow, Presentation, FlaskConical, Plug, Ban, Eraser, LayoutTemplate } from 'lucide-react';
+import { FIXTURE_TYPES, LAYOUT_TEMPLATES } from '../lib/room.js';
+
+/**
+ * Room Layout card controls for furniture and one-click desk templates.
+ * - Picking an object arms it; cells on the grid are then clicked to place or remove it.
+ * - Templates replace the desk set; seated students keep their front-to-back order.
+ */
+const ICONS = {
+  teacherDesk: Briefcase,
+  door: DoorOpen,
+  window: AppWindow,
+  whiteboard: Presentation,
+  labBench: FlaskConical,
+  outlet: Plug,
+  blocked: Ban,
+};
+
+export function FixtureIcon({ type, ...props }) {
+  const Icon = ICONS[type] || Ban;
+  return <Icon {...props} />;
+}
+
+export default function RoomPalette({ tool, onToolChange, onTemplate }) {
+  const toolClass = (active) => `flex items-center gap-2 p-2 border rounded-lg text-[11px] font-bold transition-all ${active ? 'bg-slate-900 text-white border-slate-900' : 'bg-white hover:bg-slate-50'}`;
+
+  return (
+    <div className="grid grid-cols-2 gap-8">
+      <div className="space-y-3">
+        <h3 className="text-[10px] font-black text-slate-400 uppercase tracking-widest">Room Objects</h3>
+        <div className="grid grid-cols-2 gap-2">
+          {Object.entries(FIXTURE_TYPES).map(([type, fixture]) => (
+            <button key={type} onClick={() => onToolChange(type)} className={toolClass(tool === type)}><FixtureIcon type={type} size={14} /> {fixture.label}</button>
+          ))}
+          <button onClick={() => onToolChange('erase')} className={toolClass(tool === 'erase')}><Eraser size={14} /> Erase Object</button>
+        </div>
+      </div>
+      <div className="space-y-3 border-l pl-8">
+        <h3 className="text-[10px] font-black text-slate-400 uppercase tracking-widest">Desk Templates</h3>
+        <div className="grid grid-cols-2 gap-2">
+          {Object.entries(LAYOUT_TEMPLATES).map(([id, template]) => (
+            <button key={id} onClick={() => onTemplate(id)} className={toolClass(false)}><LayoutTemplate size={14} /> {template.label}</button>
+          ))}
+        </div>
+        <p className="text-[9px] font-bold text-slate-400 italic">Templates fill the current grid around room objects. Undo restores the previous desks.</p>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,145 @@
+import React, { useState } from 'react';
+import { X, Upload, FileSpreadsheet, AlertCircle, CheckCircle2, RefreshCw } from 'lucide-react';
+import { ROSTER_FIELDS, parseDelimited, guessMapping, buildRoster, attributeColumns } from '../lib/roster.js';
+import useDialog from './useDialog.js';
+
+/**
+ * CSV/TSV roster import: load a file or paste a table, map columns, review, then seat.
+ * - Rows with validation errors are shown but never imported.
+ * - In "add" mode, rows matching an existing student update that record instead of duplicating it.
+ */
+export default function RosterImport({ existing, deskCount, openDeskCount, onImport, onClose }) {
+  const dialog = useDialog(onClose);
+  const [text, setText] = useState('');
+  const [fileName, setFileName] = useState('');
+  const [hasHeader, setHasHeader] = useState(true);
+  const [mapping, setMapping] = useState({});
+  const [mode, setMode] = useState('add');
+
+  const rows = text.trim() ? parseDelimited(text) : [];
+  const width = Math.max(0, ...rows.map(r => r.length));
+  const headers = Array.from({ length: width }, (_, i) => (hasHeader && rows[0]?.[i]) || `Column ${i + 1}`);
+  const entries = rows.length ? buildRoster(rows, mapping, { hasHeader, existing: mode === 'add' ? existing : {} }) : [];
+  const valid = entries.filter(e => e.errors.length === 0);
+  const newCount = valid.filter(e => mode === 'replace' || !e.duplicateOf).length;
+  const hasNameColumn = mapping.fullName >= 0 || mapping.firstName >= 0 || mapping.lastName >= 0;
+  const capacity = mode === 'replace' ? deskCount : openDeskCount;
+  const extras = hasHeader ? attributeColumns(headers, mapping) : [];
+
+  const loadText = (value) => {
+    setText(value);
+    const parsed = value.trim() ? parseDelimited(value) : [];
+    setMapping(parsed.length ? guessMapping(parsed[0]) : {});
+  };
+
+  const handleFile = async (e) => {
+    const file = e.target.files?.[0];
+    if (!file) return;
+    setFileName(file.name);
+    loadText(await file.text());
+  };
+
+  return (
+    <div className="fixed inset-0 bg-slate-900/90 backdrop-blur-lg z-[300] flex items-center justify-center p-6 no-print">
+      <div {...dialog} aria-label="Import roster" className="bg-white w-full max-w-5xl rounded-[32px] shadow-2xl flex flex-col max-h-[90vh] border-4 border-indigo-600 outline-none">
+        <div className="p-8 border-b flex justify-between items-center bg-indigo-50/30">
+          <h2 className="text-2xl font-black text-indigo-900 uppercase tracking-tighter flex items-center gap-3"><FileSpreadsheet size={26} /> Import Roster</h2>
+          <button onClick={onClose} aria-label="Close" className="text-slate-400 hover:text-indigo-600 transition-all rounded-lg"><X size={28} /></button>
+        </div>
+
+        <div className="p-8 overflow-y-auto space-y-6">
+          {/* SOURCE */}
+          <div className="grid grid-cols-3 gap-6">
+            <label className="flex flex-col items-center justify-center gap-2 p-6 border-2 border-dashed rounded-2xl cursor-pointer hover:border-indigo-400 hover:bg-indigo-50/40 text-center">
+              <Upload className="text-indigo-500" />
+              <span className="text-xs font-bold text-slate-600">{fileName || 'Choose CSV / TSV file'}</span>
+              <input type="file" accept=".csv,.tsv,.txt,text/csv,text/tab-separated-values" onChange={handleFile} className="hidden" />
+            </label>
+            <textarea value={text} onChange={e => { setFileName(''); loadText(e.target.value); }} placeholder="...or paste straight from a spreadsheet or SIS export" className="col-span-2 h-32 p-4 bg-slate-50 border-2 rounded-2xl font-mono text-xs outline-none focus:border-indigo-400" />
+          </div>
+
+          {rows.length > 0 && (
+            <>
+              {/* COLUMN MAPPING */}
+              <div className="space-y-3">
+                <div className="flex justify-between items-center">
+                  <h3 className="text-[10px] font-black text-slate-400 uppercase tracking-widest">Column Mapping</h3>
+                  <label className="flex items-center gap-2 text-[11px] font-bold text-slate-500">
+                    <input type="checkbox" checked={hasHeader} onChange={e => setHasHeader(e.target.checked)} /> First row is a header
+                  </label>
+                </div>
+                <div className="grid grid-cols-5 gap-3">
+                  {Object.entries(ROSTER_FIELDS).map(([field, label]) => (
+                    <div key={field} className="space-y-1">
+                      <label className="text-[9px] font-bold text-slate-500 uppercase">{label}</label>
+                      <select value={mapping[field] ?? -1} onChange={e => setMapping({ ...mapping, [field]: Number(e.target.value) })} className="w-full bg-slate-50 border rounded-lg p-1.5 text-[11px] font-bold">
+                        <option value={-1}>—</option>
+                        {headers.map((h, i) => <option key={i} value={i}>{h}</option>)}
+                      </select>
+                    </div>
+                  ))}
+                </div>
+                {extras.length > 0 && <p className="text-[11px] font-bold text-slate-500">Other columns are kept as custom attributes for group balancing: {extras.map(e => e.header).join(', ')}</p>}
+                {!hasNameColumn && <p className="text-[11px] font-bold text-red-600 flex items-center gap-2"><AlertCircle size={12} /> Map a name column to continue.</p>}
+              </div>
+
+              {/* PREVIEW */}
+              <div className="space-y-3">
+                <h3 className="text-[10px] font-black text-slate-400 uppercase tracking-widest">Preview ({valid.length} of {entries.length} rows valid)</h3>
+                <div className="border rounded-2xl overflow-hidden max-h-72 overflow-y-auto">
+                  <table className="w-full text-left text-xs">
+                    <thead className="bg-slate-50 text-[9px] font-black text-slate-400 uppercase tracking-widest sticky top-0">
+                      <tr><th className="p-2">Line</th><th className="p-2">Name</th><th className="p-2">Preferred</th><th className="p-2">ID</th><th className="p-2">Tags</th><th className="p-2">Notes</th><th className="p-2">Status</th></tr>
+                    </thead>
+                    <tbody>
+                      {entries.map(entry => (
+                        <tr key={entry.line} className={`border-t ${entry.errors.length ? 'bg-red-50/60' : ''}`}>
+                          <td className="p-2 font-mono text-slate-400">{entry.line}</td>
+                          <td className="p-2 font-bold">{entry.name || <span className="text-slate-300 italic">blank</span>}</td>
+                          <td className="p-2">{entry.preferredName}</td>
+                          <td className="p-2 font-mono">{entry.sisId}</td>
+                          <td className="p-2 font-black text-amber-600">{entry.tags.join(' · ')}</td>
+                          <td className="p-2 text-slate-500 max-w-[200px] truncate">{entry.notes}</td>
+                          <td className="p-2 font-bold">
+                            {entry.errors.length
+                              ? <span className="text-red-600 flex items-center gap-1"><AlertCircle size={12} /> {entry.errors.join('; ')}</span>
+                              : entry.duplicateOf
+                                ? <span className="text-blue-600 flex items-center gap-1"><RefreshCw size={12} /> Updates existing</span>
+                                : <span className="text-green-600 flex items-center gap-1"><CheckCircle2 size={12} /> New</span>}
+                          </td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              </div>
+            </>
+          )}
+        </div>
+
+        <div className="p-8 bg-slate-50 border-t flex justify-between items-center gap-4">
+          <div className="flex items-center gap-4">
+            <div className="flex bg-white border rounded-xl overflow-hidden text-xs font-bold">
+              <button onClick={() => setMode('add')} className={`px-4 py-2 ${mode === 'add' ? 'bg-indigo-600 text-white' : 'text-slate-500'}`}>Add to class</button>
+              <button onClick={() => setMode('replace')} className={`px-4 py-2 ${mode === 'replace' ? 'bg-indigo-600 text-white' : 'text-slate-500'}`}>Replace roster</button>
+            </div>
+            {newCount > capacity && (
+              <p className="text-[11px] font-bold text-amber-600">{newCount - capacity} student(s) will wait in Unassigned — not enough open desks.</p>
+            )}
+          </div>
+          <button
+            disabled={!hasNameColumn || valid.length === 0}
+            onClick={() => {
+              if (mode === 'replace' && !window.confirm('Replace the whole roster? Current students and their seats will be cleared.')) return;
+              onImport(entries, mode);
+              onClose();
+            }}
+            className="px-8 py-3 bg-indigo-600 text-white rounded-xl font-black text-sm uppercase tracking-widest hover:bg-indigo-700 transition-all disabled:opacity-40"
+          >
+            Import {valid.length} Students
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,110 @@
+import React, { useState } from 'react';
+import { X, CalendarDays, RefreshCw, RotateCcw, Trash2, CheckCircle2, AlertCircle, Save } from 'lucide-react';
+import { DEFAULT_LOOKBACK, matchesRotation } from '../lib/rotations.js';
+import { displayName } from '../lib/students.js';
+import useDialog from './useDialog.js';
+
+/**
+ * Rotation timeline for the active class.
+ * - Publish saves the current chart as a dated rotation.
+ * - Next Rotation plans a chart that avoids recent neighbors and seats (none before the first publish); it is undoable.
+ * - Any past rotation can be previewed and restored.
+ */
+export default function RotationPlanner({ rotations, students, seats, canGenerate, onPublish, onGenerate, onRestore, onDelete, onClose }) {
+  const dialog = useDialog(onClose);
+  const [selectedId, setSelectedId] = useState(rotations[rotations.length - 1]?.id || null);
+  const [label, setLabel] = useState('');
+  const [lookback, setLookback] = useState(DEFAULT_LOOKBACK);
+  const [report, setReport] = useState(null);
+
+  const selected = rotations.find(r => r.id === selectedId);
+  const latest = rotations[rotations.length - 1];
+  const isPublished = matchesRotation(latest, seats);
+  const nameOf = (id) => displayName(students[id]) || 'removed student';
+
+  const publish = () => {
+    const rotation = onPublish(label.trim());
+    setSelectedId(rotation.id);
+    setLabel('');
+  };
+
+  const generate = () => setReport(onGenerate(lookback));
+
+  return (
+    <div className="fixed inset-0 bg-slate-900/90 backdrop-blur-lg z-[300] flex items-center justify-center p-6 no-print">
+      <div {...dialog} aria-label="Rotations" className="bg-white w-full max-w-5xl rounded-[32px] shadow-2xl flex flex-col max-h-[90vh] border-4 border-indigo-600 outline-none">
+        <div className="p-8 border-b flex justify-between items-center bg-indigo-50/30">
+          <div>
+            <h2 className="text-2xl font-black text-indigo-900 uppercase tracking-tighter flex items-center gap-3"><CalendarDays size={26} /> Rotations</h2>
+            <p className="text-[10px] font-bold text-slate-400 uppercase tracking-widest mt-1">{rotations.length} published • {isPublished ? 'current chart is published' : 'current chart not yet published'}</p>
+          </div>
+          <button onClick={onClose} aria-label="Close" className="text-slate-400 hover:text-indigo-600 transition-all rounded-lg"><X size={28} /></button>
+        </div>
+
+        <div className="flex-1 overflow-hidden flex">
+          {/* TIMELINE */}
+          <div className="w-80 border-r overflow-y-auto p-6 space-y-2">
+            <h3 className="text-[10px] font-black text-slate-400 uppercase tracking-widest mb-3">Timeline</h3>
+            {rotations.length === 0 && <p className="text-sm font-bold text-slate-400 italic">Nothing published yet. Publish the current chart to start a history.</p>}
+            {[...rotations].reverse().map(rotation => (
+              <button key={rotation.id} onClick={() => setSelectedId(rotation.id)} className={`w-full text-left p-3 border-2 rounded-xl transition-all ${rotation.id === selectedId ? 'border-indigo-600 bg-indigo-50' : 'border-slate-100 hover:border-indigo-200'}`}>
+                <p className="text-sm font-black text-slate-800 truncate">{rotation.label}</p>
+                <p className="text-[10px] font-bold text-slate-400 uppercase tracking-widest">{new Date(rotation.at).toLocaleDateString()} • {Object.keys(rotation.seats).length} seated</p>
+              </button>
+            ))}
+          </div>
+
+          {/* PREVIEW */}
+          <div className="flex-1 p-8 overflow-auto bg-slate-50 space-y-4">
+            {selected ? (
+              <>
+                <div className="flex justify-between items-center">
+                  <h3 className="text-sm font-black text-slate-800 uppercase tracking-tight">{selected.label} <span className="text-slate-400">• {new Date(selected.at).toLocaleString()}</span></h3>
+                  <div className="flex gap-2">
+                    <button onClick={() => onRestore(selected.id)} className="flex items-center gap-2 px-4 py-2 bg-white border-2 border-indigo-600 text-indigo-700 rounded-xl text-[10px] font-black uppercase tracking-widest hover:bg-indigo-50"><RotateCcw size={12} /> Restore</button>
+                    <button onClick={() => { onDelete(selected.id); setSelectedId(null); }} title="Delete rotation" className="p-2 bg-white border rounded-xl text-slate-400 hover:text-red-600"><Trash2 size={14} /></button>
+                  </div>
+                </div>
+                <div className="grid gap-2 mx-auto" style={{ gridTemplateColumns: `repeat(${selected.gridSize.cols}, minmax(0, 1fr))`, maxWidth: `${selected.gridSize.cols * 90}px` }}>
+                  {Array.from({ length: selected.gridSize.rows }).map((_, r) => Array.from({ length: selected.gridSize.cols }).map((_, c) => {
+                    const key = `${r}-${c}`, isDesk = selected.desks.includes(key), id = selected.seats[key];
+                    return (
+                      <div key={key} className={`aspect-[1.3] rounded-xl flex items-center justify-center text-center px-1 ${isDesk ? 'border-[3px] border-indigo-300 bg-white' : 'border border-dashed border-slate-200'}`}>
+                        {id && <span className="text-[9px] font-black uppercase leading-tight text-slate-800">{nameOf(id)}</span>}
+                      </div>
+                    );
+                  }))}
+                </div>
+              </>
+            ) : <p className="text-sm font-bold text-slate-400 italic">Select a rotation to preview it.</p>}
+          </div>
+        </div>
+
+        <div className="p-8 bg-slate-50 border-t flex justify-between items-start gap-6">
+          <div className="flex items-center gap-2">
+            <input value={label} onChange={e => setLabel(e.target.value)} placeholder={`Rotation ${rotations.length + 1}`} className="w-48 bg-white border rounded-xl p-3 text-xs font-bold outline-none focus:border-indigo-400" />
+            <button disabled={isPublished || Object.keys(seats).length === 0} onClick={publish} className="flex items-center gap-2 px-5 py-3 bg-white border-2 border-indigo-600 text-indigo-700 rounded-xl text-xs font-black uppercase tracking-widest hover:bg-indigo-50 disabled:opacity-40"><Save size={14} /> Publish Current</button>
+          </div>
+          <div className="space-y-2 text-right">
+            <div className="flex items-center gap-2 justify-end">
+              <label className="text-[10px] font-bold text-slate-500 uppercase">Avoid repeats from last</label>
+              <input type="number" min="1" max="20" value={lookback} onChange={e => setLookback(Math.max(1, parseInt(e.target.value) || 1))} className="w-14 bg-white border rounded-lg p-2 text-xs font-bold" />
+              <span className="text-[10px] font-bold text-slate-500 uppercase">rotations</span>
+              <button disabled={!canGenerate} onClick={generate} className="flex items-center gap-2 px-6 py-3 bg-indigo-600 text-white rounded-xl text-xs font-black uppercase tracking-widest hover:bg-indigo-700 disabled:opacity-40"><RefreshCw size={14} /> Next Rotation</button>
+            </div>
+            {report && (
+              report.repeats.neighbors.length === 0 && report.repeats.seats.length === 0 && report.violations.length === 0
+                ? <p className="text-[10px] font-bold text-green-700 flex items-center gap-2 justify-end"><CheckCircle2 size={12} /> No repeat neighbors or seats. Publish when you are happy with it.</p>
+                : (
+                  <div className="text-[10px] font-bold text-amber-800 space-y-0.5">
+                    <p className="flex items-center gap-2 justify-end"><AlertCircle size={12} /> {report.repeats.neighbors.length} repeat neighbor pair(s), {report.repeats.seats.length} repeat seat(s)</p>
+                    {report.violations.map((v, i) => <p key={i}>{v.message}</p>)}
+                  </div>
+                )
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
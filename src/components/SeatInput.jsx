@@ -0,0 +1,42 @@
+import React, { useRef, useState } from 'react';
+
+/**
+ * Desk name field that only commits on blur/Enter.
+ * - Committing per keystroke would rename a student letter by letter while a
+ *   teacher clears a desk, so edits stay local until they are confirmed.
+ * - Escape throws the edit away. Either key calls `onDone` (or just blurs) so the
+ *   keyboard user lands back on the grid.
+ * - Remount (via `key`) when the seated student changes to pick up the new name.
+ */
+export default function SeatInput({ value, onCommit, onDone, className, ...inputProps }) {
+  const [draft, setDraft] = useState(value);
+  const cancelled = useRef(false);
+
+  const handleKeyDown = (e) => {
+    if (e.key !== 'Enter' && e.key !== 'Escape') return;
+    if (e.key === 'Escape') {
+      cancelled.current = true;
+      setDraft(value);
+    }
+    if (onDone) onDone();
+    else e.currentTarget.blur();
+  };
+
+  const handleBlur = () => {
+    if (cancelled.current) cancelled.current = false;
+    else if (draft !== value) onCommit(draft);
+  };
+
+  return (
+    <input
+      {...inputProps}
+      type="text"
+      value={draft}
+      placeholder="..."
+      onChange={(e) => setDraft(e.target.value)}
+      onBlur={handleBlur}
+      onKeyDown={handleKeyDown}
+      className={className}
+    />
+  );
+}
@@ -0,0 +1,141 @@
+import React, { useState } from 'react';
+import { WifiOff, Dices, Plus, Trash2, AlertCircle, CheckCircle2 } from 'lucide-react';
+import { RULE_TYPES, describeRule } from '../lib/solver.js';
+import { ACCOMMODATION_TAGS } from '../lib/students.js';
+import { FIXTURE_TYPES } from '../lib/room.js';
+
+/**
+ * Refinement-panel controls for the offline solver.
+ * - Rule list with hard/soft toggles, a compact rule builder and the seed.
+ * - Shows the last run's report of rules that could not be satisfied.
+ */
+const EMPTY_DRAFT = { type: 'front', tags: [], maxRow: 1, a: '', b: '', student: '', seat: '', zone: 'front', fixture: 'door', relation: 'near', hard: true };
+const SOFT_BY_DEFAULT = ['zone', 'fixture'];
+
+const selectClass = 'w-full bg-slate-50 border rounded-lg p-1.5 text-[11px] font-bold';
+
+export default function SolverPanel({ students, desks, rules, onRulesChange, seed, onSeedChange, onSolve, report }) {
+  const [draft, setDraft] = useState(EMPTY_DRAFT);
+  const nameOf = (id) => students.find(s => s.id === id)?.name || 'removed student';
+
+  const isDraftValid = () => {
+    if (draft.type === 'apart' || draft.type === 'together') return draft.a && draft.b && draft.a !== draft.b;
+    if (draft.type === 'pin') return draft.student && draft.seat;
+    if (draft.type === 'zone' || draft.type === 'fixture') return !!draft.student;
+    return true;
+  };
+
+  const addRule = () => {
+    const { type, hard } = draft;
+    const fields = {
+      front: { tags: draft.tags, maxRow: Number(draft.maxRow) },
+      apart: { a: draft.a, b: draft.b },
+      together: { a: draft.a, b: draft.b },
+      pin: { student: draft.student, seat: draft.seat },
+      zone: { student: draft.student, zone: draft.zone },
+      fixture: { student: draft.student, relation: draft.relation, fixture: draft.fixture },
+    }[type];
+    onRulesChange([...rules, { id: `rule-${Date.now().toString(36)}`, type, hard, ...fields }]);
+    setDraft({ ...EMPTY_DRAFT, type });
+  };
+
+  const updateRule = (id, patch) => onRulesChange(rules.map(r => r.id === id ? { ...r, ...patch } : r));
+
+  const studentSelect = (field, placeholder) => (
+    <select value={draft[field]} onChange={e => setDraft({ ...draft, [field]: e.target.value })} className={selectClass}>
+      <option value="">{placeholder}</option>
+      {students.map(s => <option key={s.id} value={s.id}>{s.name}</option>)}
+    </select>
+  );
+
+  return (
+    <div className="space-y-3 pt-4 border-t">
+      <h4 className="text-[10px] font-black text-slate-400 uppercase tracking-widest flex items-center gap-2"><WifiOff size={12} /> Offline Solver</h4>
+
+      <div className="space-y-1.5">
+        {rules.length === 0 && <p className="text-[10px] text-slate-400 italic">No rules yet. The solver will still place everyone.</p>}
+        {rules.map(rule => (
+          <div key={rule.id} className="flex items-center gap-2 p-2 bg-slate-50 border rounded-lg">
+            <p className="flex-1 text-[10px] font-bold text-slate-600 leading-tight">{describeRule(rule, nameOf)}</p>
+            <button onClick={() => updateRule(rule.id, { hard: rule.hard === false })} title="Toggle hard rule / soft preference" className={`px-1.5 py-0.5 rounded text-[8px] font-black uppercase ${rule.hard !== false ? 'bg-slate-900 text-white' : 'bg-slate-200 text-slate-500'}`}>{rule.hard !== false ? 'Hard' : 'Soft'}</button>
+            <button onClick={() => onRulesChange(rules.filter(r => r.id !== rule.id))} title="Remove rule" className="text-slate-300 hover:text-red-500"><Trash2 size={12} /></button>
+          </div>
+        ))}
+      </div>
+
+      <div className="space-y-1.5 p-2 border border-dashed rounded-xl">
+        <select value={draft.type} onChange={e => setDraft({ ...EMPTY_DRAFT, type: e.target.value, hard: !SOFT_BY_DEFAULT.includes(e.target.value) })} className={selectClass}>
+          {Object.entries(RULE_TYPES).map(([type, label]) => <option key={type} value={type}>{label}</option>)}
+        </select>
+        {draft.type === 'front' && (
+          <div className="flex items-center gap-2">
+            <select value={draft.tags[0] || ''} onChange={e => setDraft({ ...draft, tags: e.target.value ? [e.target.value] : [] })} className={selectClass}>
+              <option value="">IEP/504/ELL</option>
+              {ACCOMMODATION_TAGS.map(t => <option key={t} value={t}>{t} only</option>)}
+            </select>
+            <label className="text-[9px] font-bold text-slate-400 shrink-0">ROW ≤</label>
+            <input type="number" min="0" value={draft.maxRow} onChange={e => setDraft({ ...draft, maxRow: Math.max(0, parseInt(e.target.value) || 0) })} className="w-12 bg-slate-50 border rounded-lg p-1.5 text-[11px] font-bold" />
+          </div>
+        )}
+        {(draft.type === 'apart' || draft.type === 'together') && (<>{studentSelect('a', 'Student A')}{studentSelect('b', 'Student B')}</>)}
+        {draft.type === 'pin' && (
+          <>
+            {studentSelect('student', 'Student')}
+            <select value={draft.seat} onChange={e => setDraft({ ...draft, seat: e.target.value })} className={selectClass}>
+              <option value="">Seat</option>
+              {desks.map(d => <option key={d} value={d}>{d.replace('-', ':')}</option>)}
+            </select>
+          </>
+        )}
+        {draft.type === 'zone' && (
+          <>
+            {studentSelect('student', 'Student')}
+            <select value={draft.zone} onChange={e => setDraft({ ...draft, zone: e.target.value })} className={selectClass}>
+              <option value="front">Front half</option>
+              <option value="back">Back half</option>
+            </select>
+          </>
+        )}
+        {draft.type === 'fixture' && (
+          <>
+            {studentSelect('student', 'Student')}
+            <div className="flex items-center gap-2">
+              <select value={draft.relation} onChange={e => setDraft({ ...draft, relation: e.target.value })} className={selectClass}>
+                <option value="near">Near</option>
+                <option value="away">Away from</option>
+              </select>
+              <select value={draft.fixture} onChange={e => setDraft({ ...draft, fixture: e.target.value })} className={selectClass}>
+                {Object.entries(FIXTURE_TYPES).map(([type, f]) => <option key={type} value={type}>{f.label}</option>)}
+              </select>
+            </div>
+          </>
+        )}
+        <div className="flex items-center justify-between">
+          <label className="flex items-center gap-1.5 text-[10px] font-bold text-slate-500">
+            <input type="checkbox" checked={draft.hard} onChange={e => setDraft({ ...draft, hard: e.target.checked })} /> Hard rule
+          </label>
+          <button disabled={!isDraftValid()} onClick={addRule} className="flex items-center gap-1 px-2 py-1 bg-slate-900 text-white rounded-lg text-[10px] font-bold disabled:opacity-30"><Plus size={12} /> Add</button>
+        </div>
+      </div>
+
+      <div className="flex items-center gap-2">
+        <label className="text-[9px] font-bold text-slate-400 shrink-0">SEED</label>
+        <input value={seed} onChange={e => onSeedChange(e.target.value)} className="flex-1 min-w-0 bg-slate-50 border rounded-lg p-1.5 text-[11px] font-mono font-bold" />
+        <button onClick={() => onSeedChange(Math.random().toString(36).slice(2, 8))} title="New seed" className="p-1.5 border rounded-lg text-slate-500 hover:bg-slate-50"><Dices size={14} /></button>
+      </div>
+      <button onClick={onSolve} className="w-full flex items-center justify-center gap-2 p-3 bg-slate-900 text-white rounded-xl text-xs font-bold hover:bg-slate-800"><WifiOff size={14} /> Solve Offline</button>
+
+      {report && (
+        report.violations.length === 0 && report.unseated.length === 0
+          ? <div className="p-3 bg-green-50 text-green-700 text-[10px] font-bold rounded-lg border border-green-100 flex items-center gap-2"><CheckCircle2 size={12} /> All rules satisfied.</div>
+          : (
+            <div className="p-3 bg-amber-50 text-amber-800 text-[10px] font-bold rounded-lg border border-amber-100 space-y-1">
+              <p className="flex items-center gap-2 uppercase tracking-widest text-[9px]"><AlertCircle size={12} /> Could not satisfy</p>
+              {report.violations.map((v, i) => <p key={i}>{v.hard ? '•' : '◦'} {v.message}{v.hard ? '' : ' (soft)'}</p>)}
+              {report.unseated.length > 0 && <p>• No desk for: {report.unseated.map(nameOf).join(', ')}</p>}
+            </div>
+          )
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,99 @@
+import React, { useState } from 'react';
+import { X, UserX, Trash2, Plus } from 'lucide-react';
+import { ACCOMMODATION_TAGS } from '../lib/students.js';
+import useDialog from './useDialog.js';
+
+/**
+ * Modal editor for a single student record.
+ * - Name, preferred name, accommodation tags, custom attributes and teacher notes.
+ * - Unseating keeps the student (and their accommodations) in the class registry.
+ */
+export default function StudentEditor({ student, seat, onSave, onUnseat, onDelete, onClose }) {
+  const dialog = useDialog(onClose);
+  const [draft, setDraft] = useState({ ...student, tags: [...student.tags] });
+  const [attributes, setAttributes] = useState(() => Object.entries(student.attributes || {}));
+
+  const updateAttribute = (index, slot, value) => setAttributes(prev => prev.map((pair, i) => {
+    if (i !== index) return pair;
+    const next = [...pair];
+    next[slot] = value;
+    return next;
+  }));
+
+  const toggleTag = (tag) => setDraft(prev => ({
+    ...prev,
+    tags: prev.tags.includes(tag) ? prev.tags.filter(t => t !== tag) : [...prev.tags, tag],
+  }));
+
+  const save = () => {
+    if (!draft.name.trim()) return;
+    onSave({
+      ...draft,
+      name: draft.name.trim(),
+      preferredName: draft.preferredName.trim(),
+      sisId: (draft.sisId || '').trim(),
+      attributes: Object.fromEntries(attributes.map(([key, value]) => [key.trim(), value.trim()]).filter(([key, value]) => key && value)),
+    });
+    onClose();
+  };
+
+  return (
+    <div className="fixed inset-0 bg-slate-900/90 backdrop-blur-lg z-[300] flex items-center justify-center p-6 no-print">
+      <div {...dialog} aria-label="Student record" className="bg-white w-full max-w-lg rounded-[32px] shadow-2xl flex flex-col border-4 border-indigo-600 outline-none">
+        <div className="p-8 border-b flex justify-between items-center bg-indigo-50/30">
+          <div>
+            <h2 className="text-2xl font-black text-indigo-900 uppercase tracking-tighter">Student Record</h2>
+            <p className="text-[10px] font-bold text-slate-400 uppercase tracking-widest mt-1">{seat ? `Seat ${seat.replace('-', ':')}` : 'Unassigned'}</p>
+          </div>
+          <button onClick={onClose} aria-label="Close" className="text-slate-400 hover:text-indigo-600 transition-all rounded-lg"><X size={28} /></button>
+        </div>
+        <div className="p-8 space-y-5">
+          <div className="grid grid-cols-2 gap-4">
+            <div className="space-y-1">
+              <label className="text-[10px] font-bold text-slate-500">NAME</label>
+              <input data-autofocus aria-label="Name" value={draft.name} onChange={e => setDraft({ ...draft, name: e.target.value })} className="w-full bg-slate-50 border rounded-lg p-2 text-sm font-bold" />
+            </div>
+            <div className="space-y-1">
+              <label className="text-[10px] font-bold text-slate-500">PREFERRED NAME</label>
+              <input aria-label="Preferred name" value={draft.preferredName} onChange={e => setDraft({ ...draft, preferredName: e.target.value })} placeholder="Shown on the chart" className="w-full bg-slate-50 border rounded-lg p-2 text-sm font-bold" />
+            </div>
+          </div>
+          <div className="space-y-1">
+            <label className="text-[10px] font-bold text-slate-500">STUDENT ID</label>
+            <input aria-label="Student ID" value={draft.sisId || ''} onChange={e => setDraft({ ...draft, sisId: e.target.value })} placeholder="From your SIS (optional)" className="w-full bg-slate-50 border rounded-lg p-2 text-sm font-mono font-bold" />
+          </div>
+          <div className="space-y-2">
+            <label className="text-[10px] font-bold text-slate-500">ACCOMMODATIONS</label>
+            <div className="flex gap-2">
+              {ACCOMMODATION_TAGS.map(tag => (
+                <button key={tag} onClick={() => toggleTag(tag)} aria-pressed={draft.tags.includes(tag)} className={`px-4 py-2 rounded-xl text-xs font-black border-2 transition-all ${draft.tags.includes(tag) ? 'bg-amber-500 border-amber-500 text-white' : 'bg-white border-slate-200 text-slate-500 hover:border-amber-400'}`}>{tag}</button>
+              ))}
+            </div>
+          </div>
+          <div className="space-y-2">
+            <label className="text-[10px] font-bold text-slate-500">CUSTOM ATTRIBUTES</label>
+            {attributes.map(([key, value], i) => (
+              <div key={i} className="flex gap-2 items-center">
+                <input aria-label="Attribute name" value={key} onChange={e => updateAttribute(i, 0, e.target.value)} placeholder="e.g. Reading level" className="flex-1 bg-slate-50 border rounded-lg p-2 text-xs font-bold" />
+                <input aria-label={`${key || 'Attribute'} value`} value={value} onChange={e => updateAttribute(i, 1, e.target.value)} placeholder="Value" className="w-28 bg-slate-50 border rounded-lg p-2 text-xs font-bold" />
+                <button onClick={() => setAttributes(attributes.filter((_, j) => j !== i))} aria-label={`Remove ${key || 'attribute'}`} className="text-slate-300 hover:text-red-500 shrink-0 rounded"><X size={16} /></button>
+              </div>
+            ))}
+            <button onClick={() => setAttributes([...attributes, ['', '']])} className="flex items-center gap-1 text-[11px] font-bold text-indigo-600 hover:text-indigo-800"><Plus size={12} /> Add attribute</button>
+          </div>
+          <div className="space-y-1">
+            <label className="text-[10px] font-bold text-slate-500">TEACHER NOTES</label>
+            <textarea aria-label="Teacher notes" value={draft.notes} onChange={e => setDraft({ ...draft, notes: e.target.value })} className="w-full h-24 p-3 bg-slate-50 border rounded-xl text-sm outline-none focus:border-indigo-400" />
+          </div>
+        </div>
+        <div className="p-8 bg-slate-50 border-t flex justify-between items-center gap-3">
+          <div className="flex gap-2">
+            {seat && <button onClick={() => { onUnseat(student.id); onClose(); }} className="flex items-center gap-2 px-4 py-3 bg-white border rounded-xl text-xs font-bold text-slate-600 hover:bg-slate-100"><UserX size={14} /> Unseat</button>}
+            <button onClick={() => { if (window.confirm(`Remove ${student.name} from this class?`)) { onDelete(student.id); onClose(); } }} className="flex items-center gap-2 px-4 py-3 bg-white border rounded-xl text-xs font-bold text-red-600 hover:bg-red-50"><Trash2 size={14} /> Remove</button>
+          </div>
+          <button disabled={!draft.name.trim()} onClick={save} className="px-8 py-3 bg-indigo-600 text-white rounded-xl font-black text-sm uppercase tracking-widest hover:bg-indigo-700 transition-all disabled:opacity-40">Save</button>
+        </div>
+      </div>
+    </div>
+  );
+}
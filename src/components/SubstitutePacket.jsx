@@ -0,0 +1,105 @@
+import React from 'react';
+import { CheckCircle2 } from 'lucide-react';
+import { ACCOMMODATION_TAGS, displayName, isPriority, seatIndex } from '../lib/students.js';
+import { parseCoord } from '../lib/solver.js';
+
+/**
+ * Extra pages printed after the chart when the preview is in substitute-packet mode.
+ * - Alphabetical roster with seats, accommodations key with teacher notes, and sub notes.
+ * - Each section starts on a new printed page; the notes page is editable in preview.
+ */
+const TAG_MEANINGS = {
+  IEP: 'Individualized Education Program',
+  504: 'Section 504 Plan',
+  ELL: 'English Language Learner',
+};
+
+const seatLabel = (coord) => {
+  if (!coord) return 'Unassigned';
+  const { r, c } = parseCoord(coord);
+  return `Row ${r + 1}, Seat ${c + 1}`;
+};
+
+function PacketPage({ title, details, children }) {
+  return (
+    <section className="break-before-page pt-12 mt-12 border-t-4 border-dashed border-slate-200 print:border-none print:mt-0 print:pt-0 space-y-6">
+      <div className="flex justify-between items-end border-b-4 border-slate-900 pb-3">
+        <h2 className="text-2xl font-black uppercase tracking-tighter text-slate-900">{title}</h2>
+        <p className="text-[10px] font-black uppercase tracking-widest text-slate-500">{details.className} • {details.period} • {details.date}</p>
+      </div>
+      {children}
+    </section>
+  );
+}
+
+export default function SubstitutePacket({ students, seats, details, notes, onNotesChange }) {
+  const seatOf = seatIndex(seats);
+  const roster = Object.values(students).sort((a, b) => a.name.localeCompare(b.name, undefined, { sensitivity: 'base' }));
+  const flagged = roster.filter(isPriority);
+
+  return (
+    <div className="w-full text-slate-900">
+      {/* ROSTER PAGE */}
+      <PacketPage title="Class Roster" details={details}>
+        <p className="text-[10px] font-bold text-slate-500 uppercase tracking-widest">Rows count from the front of the room; seats count from the left as you face the class from the front.</p>
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="text-left text-[10px] font-black uppercase tracking-widest text-slate-500 border-b-2 border-slate-900">
+              <th className="py-2">Student</th><th>Goes By</th><th>Seat</th><th>Support</th>
+            </tr>
+          </thead>
+          <tbody>
+            {roster.map(s => (
+              <tr key={s.id} className="border-b border-slate-200">
+                <td className="py-1.5 font-bold">{s.name}</td>
+                <td>{s.preferredName || '—'}</td>
+                <td className="font-mono text-xs">{seatLabel(seatOf[s.id])}</td>
+                <td className="text-xs font-black text-amber-700">{s.tags.join(' · ')}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </PacketPage>
+
+      {/* ACCOMMODATIONS KEY PAGE */}
+      <PacketPage title="Accommodations Key" details={details}>
+        <div className="flex flex-wrap gap-6 p-4 border-2 border-slate-200 rounded-2xl">
+          <div className="flex items-center gap-2 text-xs font-bold">
+            <span className="p-1 bg-amber-500 rounded-full border-2 border-white shadow"><CheckCircle2 className="w-3 h-3 text-white" /></span>
+            Amber desk = front-row priority
+          </div>
+          {ACCOMMODATION_TAGS.map(tag => (
+            <div key={tag} className="text-xs font-bold"><span className="font-black text-amber-700">{tag}</span> — {TAG_MEANINGS[tag]}</div>
+          ))}
+        </div>
+        {flagged.length === 0
+          ? <p className="text-sm font-bold text-slate-400 italic">No students in this class have IEP, 504 or ELL supports recorded.</p>
+          : (
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="text-left text-[10px] font-black uppercase tracking-widest text-slate-500 border-b-2 border-slate-900">
+                  <th className="py-2 w-1/4">Student</th><th className="w-1/6">Seat</th><th className="w-1/6">Support</th><th>Teacher Notes</th>
+                </tr>
+              </thead>
+              <tbody>
+                {flagged.map(s => (
+                  <tr key={s.id} className="border-b border-slate-200 align-top">
+                    <td className="py-1.5 font-bold">{displayName(s)}</td>
+                    <td className="font-mono text-xs pt-2">{seatLabel(seatOf[s.id])}</td>
+                    <td className="text-xs font-black text-amber-700 pt-2">{s.tags.join(' · ')}</td>
+                    <td className="text-xs pt-2 whitespace-pre-wrap">{s.notes || '—'}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+      </PacketPage>
+
+      {/* SUB NOTES PAGE */}
+      <PacketPage title="Notes for the Substitute" details={details}>
+        <textarea value={notes} onChange={e => onNotesChange(e.target.value)} placeholder="Bell schedule, where materials are, who to call for help, today's plan..." className="no-print w-full min-h-[400px] p-4 bg-slate-50 border-2 border-dashed rounded-2xl text-sm font-medium outline-none focus:border-indigo-400" />
+        <div className="hidden print:block text-sm whitespace-pre-wrap leading-relaxed min-h-[400px]">{notes}</div>
+      </PacketPage>
+    </div>
+  );
+}
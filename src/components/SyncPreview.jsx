@@ -0,0 +1,44 @@
+import React, { useState } from 'react';
+import { Eye, ChevronDown, ShieldCheck } from 'lucide-react';
+import { previewRequest } from '../lib/providers.js';
+
+/**
+ * "What will be sent" audit panel for the Gem Engine.
+ * - Renders the exact request body the next sync would send, credentials masked.
+ * - The token legend is shown separately and is never part of the request.
+ */
+export default function SyncPreview({ settings, request }) {
+  const [isOpen, setIsOpen] = useState(false);
+  const preview = previewRequest({ settings, payload: request.payload });
+  const legend = Object.entries(request.identities);
+
+  return (
+    <div className="border-2 border-slate-100 rounded-2xl">
+      <button onClick={() => setIsOpen(!isOpen)} className="w-full flex items-center justify-between gap-2 px-4 py-3 text-xs font-bold text-slate-600 hover:bg-slate-50 rounded-2xl">
+        <span className="flex items-center gap-2"><Eye size={14} className="text-indigo-500" /> What will be sent</span>
+        <ChevronDown size={14} className={`transition-transform ${isOpen ? 'rotate-180' : ''}`} />
+      </button>
+      {isOpen && (
+        <div className="px-4 pb-4 space-y-3">
+          <p className="text-[10px] font-bold text-slate-400 uppercase tracking-widest">
+            {preview.offline ? 'Offline mock — nothing leaves this device' : `POST ${preview.url}`}
+          </p>
+          {Object.keys(preview.headers).length > 0 && (
+            <pre className="p-3 bg-slate-900 text-slate-100 rounded-xl text-[10px] font-mono overflow-x-auto">{JSON.stringify(preview.headers, null, 2)}</pre>
+          )}
+          <pre className="p-3 bg-slate-900 text-slate-100 rounded-xl text-[10px] font-mono max-h-64 overflow-auto whitespace-pre-wrap break-all">{JSON.stringify(preview.body, null, 2)}</pre>
+          {legend.length > 0 && (
+            <div className="space-y-1">
+              <h4 className="text-[10px] font-black text-emerald-600 uppercase tracking-widest flex items-center gap-1"><ShieldCheck size={12} /> Token key (stays on this device)</h4>
+              <div className="max-h-32 overflow-y-auto grid grid-cols-2 gap-x-3 gap-y-1">
+                {legend.map(([token, identity]) => (
+                  <div key={token} className="text-[10px] font-bold text-slate-600 truncate"><span className="font-mono text-indigo-600">{token}</span> {identity.name}{identity.tags.length ? ` (${identity.tags.join('/')})` : ''}</div>
+                ))}
+              </div>
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,29 @@
+import React from 'react';
+import { X, RefreshCw, CheckCircle2 } from 'lucide-react';
+
+/**
+ * Corner notice from the service worker.
+ * - "ready": the app is now cached and will open without a connection.
+ * - "update": a new version is downloaded; Reload switches to it (charts are already saved).
+ */
+export default function UpdatePrompt({ status, onReload, onDismiss }) {
+  if (!status) return null;
+  const isUpdate = status === 'update';
+
+  return (
+    <div role="status" className="fixed bottom-6 right-6 z-[250] no-print max-w-sm p-4 bg-slate-900 text-white rounded-2xl shadow-2xl flex items-start gap-3">
+      {isUpdate ? <RefreshCw size={18} className="text-blue-300 shrink-0 mt-0.5" /> : <CheckCircle2 size={18} className="text-green-300 shrink-0 mt-0.5" />}
+      <div className="flex-1 space-y-2">
+        <p className="text-xs font-bold leading-relaxed">
+          {isUpdate
+            ? 'A new version of Felix is ready. Your charts are saved; reloading clears undo history.'
+            : 'Felix is ready to work offline. Everything except AI sync works without Wi-Fi.'}
+        </p>
+        {isUpdate && (
+          <button onClick={onReload} className="px-4 py-1.5 bg-blue-600 rounded-lg text-[10px] font-black uppercase tracking-widest hover:bg-blue-500">Reload Now</button>
+        )}
+      </div>
+      <button onClick={onDismiss} aria-label={isUpdate ? 'Later' : 'Dismiss'} title={isUpdate ? 'Later' : 'Dismiss'} className="text-slate-400 hover:text-white"><X size={16} /></button>
+    </div>
+  );
+}
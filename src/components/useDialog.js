@@ -0,0 +1,48 @@
+import { useEffect, useRef } from 'react';
+
+/**
+ * Keyboard and screen-reader behavior shared by every modal and slide-down panel.
+ * - While open, Tab and Shift+Tab stay inside the dialog and Escape calls `onClose`.
+ * - Focus moves into the dialog when it opens (to a `data-autofocus` element if there is one)
+ *   and returns to wherever it was when the dialog closes.
+ * - Spread the result on the dialog panel and give it an `aria-label`.
+ */
+const FOCUSABLE = 'a[href], button:not([disabled]), input:not([disabled]), select:not([disabled]), textarea:not([disabled]), [tabindex]:not([tabindex="-1"])';
+
+export default function useDialog(onClose, isOpen = true) {
+  const ref = useRef(null);
+  const onCloseRef = useRef(onClose);
+
+  useEffect(() => {
+    onCloseRef.current = onClose;
+  });
+
+  useEffect(() => {
+    const node = ref.current;
+    if (!isOpen || !node) return undefined;
+    const previous = document.activeElement;
+    (node.querySelector('[data-autofocus]') || node).focus();
+
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') {
+        e.stopPropagation();
+        onCloseRef.current?.();
+        return;
+      }
+      if (e.key !== 'Tab') return;
+      const items = [...node.querySelectorAll(FOCUSABLE)].filter(el => el.getClientRects().length > 0);
+      if (items.length === 0) { e.preventDefault(); return; }
+      const first = items[0], last = items[items.length - 1];
+      if (e.shiftKey && (document.activeElement === first || document.activeElement === node)) { e.preventDefault(); last.focus(); }
+      else if (!e.shiftKey && document.activeElement === last) { e.preventDefault(); first.focus(); }
+    };
+
+    node.addEventListener('keydown', handleKeyDown);
+    return () => {
+      node.removeEventListener('keydown', handleKeyDown);
+      if (previous?.isConnected) previous.focus();
+    };
+  }, [isOpen]);
+
+  return { ref, role: 'dialog', 'aria-modal': true, tabIndex: -1 };
+}
@@ -0,0 +1,29 @@
+/**
+ * FELIX Ads
+ * - The AdSense script is never part of the page itself, so offline loads make no network request.
+ * - It is injected once the browser is online (at mount or when the Wi-Fi returns), at most once.
+ * - The ad slot is hidden while offline; see the footer in App.
+ */
+
+const AD_CLIENT = 'ca-pub-6389348477896619';
+const AD_SCRIPT_ID = 'felix-adsense';
+
+/** Loads AdSense now if online, otherwise on the next "online" event. Returns a cleanup function. */
+export const loadAds = () => {
+  const inject = () => {
+    if (!navigator.onLine || document.getElementById(AD_SCRIPT_ID)) return;
+    window.removeEventListener('online', inject);
+    const script = document.createElement('script');
+    script.id = AD_SCRIPT_ID;
+    script.async = true;
+    script.crossOrigin = 'anonymous';
+    script.src = `https://pagead2.googlesyndication.com/pagead/js/adsbygoogle.js?client=${AD_CLIENT}`;
+    document.head.appendChild(script);
+    // Queued until the script arrives; a blocked script just leaves the slot empty.
+    (window.adsbygoogle = window.adsbygoogle || []).push({});
+  };
+
+  inject();
+  if (!document.getElementById(AD_SCRIPT_ID)) window.addEventListener('online', inject);
+  return () => window.removeEventListener('online', inject);
+};
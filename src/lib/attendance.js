@@ -0,0 +1,58 @@
+/**
+ * FELIX Attendance
+ * - Records are kept per class as { "YYYY-MM-DD": { studentId: status } }.
+ * - Clicking a desk cycles unmarked → present → absent → tardy → excused → unmarked.
+ * - CSV export covers one day or a date range, one row per student per recorded day.
+ */
+import { toCsv } from './download.js';
+
+export const ATTENDANCE_STATUSES = {
+  present: { label: 'Present', code: 'P' },
+  absent: { label: 'Absent', code: 'A' },
+  tardy: { label: 'Tardy', code: 'T' },
+  excused: { label: 'Excused', code: 'E' },
+};
+
+const CYCLE = [undefined, ...Object.keys(ATTENDANCE_STATUSES)];
+
+/** Local calendar date as YYYY-MM-DD (not UTC, so late classes land on the right day). */
+export const dateKey = (date = new Date()) => {
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+};
+
+export const nextStatus = (status) => CYCLE[(CYCLE.indexOf(status) + 1) % CYCLE.length];
+
+/** Returns a new attendance object with `studentId` set (or cleared) on `day`. */
+export const setStatus = (attendance, day, studentId, status) => {
+  const record = { ...(attendance[day] || {}) };
+  if (status) record[studentId] = status;
+  else delete record[studentId];
+  const next = { ...attendance, [day]: record };
+  if (Object.keys(record).length === 0) delete next[day];
+  return next;
+};
+
+export const summarize = (record = {}, studentIds) => {
+  const counts = { present: 0, absent: 0, tardy: 0, excused: 0, unmarked: 0 };
+  studentIds.forEach(id => { counts[record[id] || 'unmarked'] += 1; });
+  return counts;
+};
+
+// --- CSV Export ---
+/**
+ * Builds CSV for every recorded day between `from` and `to` (inclusive, YYYY-MM-DD).
+ * Students without a mark on a recorded day are listed as "Unmarked" so gaps are visible.
+ */
+export const attendanceCsv = ({ attendance, students, details, from, to }) => {
+  const days = Object.keys(attendance).filter(day => day >= from && day <= to).sort();
+  const roster = Object.values(students).sort((a, b) => a.name.localeCompare(b.name, undefined, { sensitivity: 'base' }));
+  const rows = [['Date', 'Class', 'Period', 'Student ID', 'Student Name', 'Status', 'Code']];
+  days.forEach(day => {
+    roster.forEach(student => {
+      const status = ATTENDANCE_STATUSES[attendance[day][student.id]];
+      rows.push([day, details.className, details.period, student.sisId, student.name, status?.label || 'Unmarked', status?.code || '']);
+    });
+  });
+  return toCsv(rows);
+};
@@ -0,0 +1,265 @@
+/**
+ * FELIX Vector Chart Export
+ * - Draws the chart straight from the data model, no DOM screenshots and no network.
+ * - One layout "scene" (rects + text in points) feeds both the SVG and the PDF writer,
+ *   so the two formats always match.
+ * - The PDF writer is a minimal single-page PDF 1.4 using the built-in Helvetica fonts, which
+ *   only cover Latin-1; pdfUnsupportedText lists the text it can't print.
+ */
+import { displayName, isPriority } from './students.js';
+import { FIXTURE_TYPES } from './room.js';
+import { groupColor, groupIndexByDesk } from './groups.js';
+
+export const PAGE_SIZES = {
+  letter: { label: 'US Letter', width: 612, height: 792 },
+  legal: { label: 'US Legal', width: 612, height: 1008 },
+  tabloid: { label: 'Tabloid', width: 792, height: 1224 },
+  a4: { label: 'A4', width: 595.28, height: 841.89 },
+  a3: { label: 'A3', width: 841.89, height: 1190.55 },
+};
+
+export const DEFAULT_EXPORT_OPTIONS = { pageSize: 'letter', orientation: 'landscape', flipped: false };
+
+const COLORS = {
+  ink: '#0f172a',
+  muted: '#64748b',
+  desk: '#4f46e5',
+  priority: '#f59e0b',
+  priorityFill: '#fffbeb',
+  tag: '#d97706',
+  fixture: '#334155',
+  white: '#ffffff',
+};
+
+const MARGIN = 36;
+const DESK_RATIO = 1.3;
+
+// --- Text Metrics ---
+// Rough Helvetica advance widths (em fractions); good enough to fit and centre labels.
+export const measureText = (text, size, bold = false) => [...String(text)].reduce((sum, ch) => {
+  let w;
+  if (ch === ' ') w = 0.278;
+  else if (/[A-Z]/.test(ch)) w = bold ? 0.722 : 0.667;
+  else if (/[a-z]/.test(ch)) w = bold ? 0.58 : 0.53;
+  else if (/[0-9]/.test(ch)) w = 0.556;
+  else w = 0.36;
+  return sum + w * size;
+}, 0);
+
+/** Splits `text` into at most two lines and shrinks the size until it fits `maxWidth`. */
+const fitLabel = (text, maxWidth, size, minSize = 5) => {
+  const words = text.split(/\s+/).filter(Boolean);
+  for (let s = size; s >= minSize; s -= 0.5) {
+    if (measureText(text, s, true) <= maxWidth) return { lines: [text], size: s };
+    if (words.length > 1) {
+      // Break where the two halves are most even.
+      let best = null;
+      for (let i = 1; i < words.length; i++) {
+        const lines = [words.slice(0, i).join(' '), words.slice(i).join(' ')];
+        const width = Math.max(...lines.map(l => measureText(l, s, true)));
+        if (!best || width < best.width) best = { lines, width };
+      }
+      if (best.width <= maxWidth) return { lines: best.lines, size: s };
+    }
+  }
+  return { lines: [text], size: minSize };
+};
+
+// --- Scene ---
+/**
+ * Lays the chart out on one page. Items are { kind: 'rect', x, y, w, h, r, fill, stroke, strokeWidth }
+ * or { kind: 'text', x, y, text, size, bold, color, anchor } with y measured from the top.
+ * When a cooperative group set is passed as `groups`, desks take their group's color and role.
+ */
+export const buildChartScene = ({ gridSize, desks, fixtures = {}, seats, students, details, groups = null }, options = {}) => {
+  const { pageSize, orientation, flipped } = { ...DEFAULT_EXPORT_OPTIONS, ...options };
+  const page = PAGE_SIZES[pageSize] || PAGE_SIZES.letter;
+  const landscape = orientation === 'landscape';
+  const width = landscape ? Math.max(page.width, page.height) : Math.min(page.width, page.height);
+  const height = landscape ? Math.min(page.width, page.height) : Math.max(page.width, page.height);
+  const deskSet = new Set(desks);
+  const groupOf = groupIndexByDesk(groups);
+  const roleOf = Object.assign({}, ...(groups?.groups || []).map(g => g.roles));
+  const items = [];
+
+  // Header
+  items.push({ kind: 'text', x: MARGIN, y: MARGIN + 14, text: `${details.className} • ${details.period}`, size: 16, bold: true, color: COLORS.ink, anchor: 'start' });
+  items.push({ kind: 'text', x: width - MARGIN, y: MARGIN + 14, text: `Chart Effective: ${details.date}`, size: 9, bold: true, color: COLORS.muted, anchor: 'end' });
+
+  const bar = { w: Math.min(360, width - MARGIN * 2), h: 20 };
+  const footerTop = height - MARGIN - 10;
+  let gridTop = MARGIN + 34;
+  let gridBottom = footerTop - 16;
+
+  const drawFrontBar = (y) => {
+    const x = (width - bar.w) / 2;
+    items.push({ kind: 'rect', x, y, w: bar.w, h: bar.h, r: 6, fill: COLORS.ink });
+    items.push({ kind: 'text', x: width / 2, y: y + 13.5, text: 'FRONT OF CLASSROOM', size: 8, bold: true, color: COLORS.white, anchor: 'middle' });
+  };
+  if (flipped) {
+    items.push({ kind: 'text', x: width / 2, y: gridTop + 8, text: 'VIEW FROM THE BACK OF THE ROOM', size: 8, bold: true, color: COLORS.muted, anchor: 'middle' });
+    gridTop += 22;
+    drawFrontBar(gridBottom - bar.h);
+    gridBottom -= bar.h + 18;
+  } else {
+    drawFrontBar(gridTop);
+    gridTop += bar.h + 18;
+  }
+
+  // Grid geometry: fit the desk aspect ratio into whatever space is left.
+  const { rows, cols } = gridSize;
+  const availW = width - MARGIN * 2;
+  const availH = gridBottom - gridTop;
+  const gapRatio = 0.15;
+  let cellW = availW / (cols + (cols - 1) * gapRatio);
+  let cellH = cellW / DESK_RATIO;
+  if (rows * cellH + (rows - 1) * cellW * gapRatio > availH) {
+    cellH = availH / (rows + (rows - 1) * gapRatio * DESK_RATIO);
+    cellW = cellH * DESK_RATIO;
+  }
+  const gap = cellW * gapRatio;
+  const left = (width - (cols * cellW + (cols - 1) * gap)) / 2;
+
+  for (let r = 0; r < rows; r++) {
+    for (let c = 0; c < cols; c++) {
+      const key = `${r}-${c}`;
+      const row = flipped ? rows - 1 - r : r;
+      const col = flipped ? cols - 1 - c : c;
+      const x = left + col * (cellW + gap);
+      const y = gridTop + row * (cellH + gap);
+      const radius = Math.min(8, cellW * 0.12);
+
+      if (deskSet.has(key)) {
+        const student = students[seats[key]];
+        const priority = isPriority(student);
+        const group = groupOf[key] !== undefined ? groupColor(groupOf[key]) : null;
+        items.push({ kind: 'rect', x, y, w: cellW, h: cellH, r: radius, fill: group ? group.fill : priority ? COLORS.priorityFill : COLORS.white, stroke: priority ? COLORS.priority : group ? group.stroke : COLORS.desk, strokeWidth: Math.max(1, cellW * 0.035) });
+        if (group) {
+          const small = Math.max(4, Math.min(6, cellH * 0.12));
+          items.push({ kind: 'text', x: x + 4, y: y + small + 3, text: `G${groupOf[key] + 1}`, size: small, bold: true, color: group.stroke, anchor: 'start' });
+          if (student && roleOf[student.id]) items.push({ kind: 'text', x: x + cellW - 4, y: y + small + 3, text: roleOf[student.id].toUpperCase(), size: small, bold: true, color: group.stroke, anchor: 'end' });
+        }
+        if (student) {
+          const label = fitLabel(displayName(student).toUpperCase(), cellW - 8, Math.min(10, cellH * 0.22));
+          const lineHeight = label.size * 1.15;
+          const firstBaseline = y + cellH / 2 - ((label.lines.length - 1) * lineHeight) / 2 + label.size * 0.35;
+          label.lines.forEach((line, i) => items.push({ kind: 'text', x: x + cellW / 2, y: firstBaseline + i * lineHeight, text: line, size: label.size, bold: true, color: COLORS.ink, anchor: 'middle' }));
+          if (student.tags.length) {
+            items.push({ kind: 'text', x: x + cellW - 4, y: y + cellH - 4, text: student.tags.join(' · '), size: Math.max(4, Math.min(6, cellH * 0.12)), bold: true, color: COLORS.tag, anchor: 'end' });
+          }
+        }
+      } else if (fixtures[key]) {
+        items.push({ kind: 'rect', x, y, w: cellW, h: cellH, r: radius, fill: COLORS.fixture });
+        const label = fitLabel(FIXTURE_TYPES[fixtures[key]]?.label.toUpperCase() || 'OBJECT', cellW - 6, Math.min(7, cellH * 0.18), 4);
+        const lineHeight = label.size * 1.15;
+        const firstBaseline = y + cellH / 2 - ((label.lines.length - 1) * lineHeight) / 2 + label.size * 0.35;
+        label.lines.forEach((line, i) => items.push({ kind: 'text', x: x + cellW / 2, y: firstBaseline + i * lineHeight, text: line, size: label.size, bold: true, color: COLORS.white, anchor: 'middle' }));
+      }
+    }
+  }
+
+  // Footer
+  items.push({ kind: 'rect', x: MARGIN, y: footerTop - 6, w: width - MARGIN * 2, h: 1.5, r: 0, fill: COLORS.ink });
+  items.push({ kind: 'text', x: MARGIN, y: footerTop + 6, text: 'Engineered by Felix Intelligence • © Charles Herzek', size: 7, bold: false, color: COLORS.muted, anchor: 'start' });
+  items.push({ kind: 'text', x: width - MARGIN, y: footerTop + 6, text: 'Rally Professional Suite', size: 7, bold: false, color: COLORS.muted, anchor: 'end' });
+
+  return { width, height, items };
+};
+
+// --- SVG ---
+const escapeXml = (text) => String(text).replace(/[&<>"']/g, ch => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&apos;' }[ch]));
+const num = (n) => Number(n.toFixed(2));
+
+export const sceneToSvg = ({ width, height, items }) => {
+  const body = items.map(item => {
+    if (item.kind === 'rect') {
+      const stroke = item.stroke ? ` stroke="${item.stroke}" stroke-width="${num(item.strokeWidth)}"` : '';
+      return `<rect x="${num(item.x)}" y="${num(item.y)}" width="${num(item.w)}" height="${num(item.h)}" rx="${num(item.r)}" fill="${item.fill || 'none'}"${stroke}/>`;
+    }
+    const anchor = item.anchor === 'middle' ? 'middle' : item.anchor === 'end' ? 'end' : 'start';
+    return `<text x="${num(item.x)}" y="${num(item.y)}" font-size="${num(item.size)}" font-weight="${item.bold ? 700 : 400}" fill="${item.color}" text-anchor="${anchor}">${escapeXml(item.text)}</text>`;
+  });
+  return [
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${num(width)}pt" height="${num(height)}pt" viewBox="0 0 ${num(width)} ${num(height)}" font-family="Helvetica, Arial, sans-serif">`,
+    `<rect width="100%" height="100%" fill="#ffffff"/>`,
+    ...body,
+    '</svg>',
+  ].join('\n');
+};
+
+// --- PDF ---
+// WinAnsi covers Latin-1 plus a few typographic characters; anything else becomes "?".
+const WIN_ANSI_EXTRAS = { '•': 0x95, '–': 0x96, '—': 0x97, '‘': 0x91, '’': 0x92, '“': 0x93, '”': 0x94, '…': 0x85, '€': 0x80 };
+
+/** The WinAnsi byte (as a one-char string) for `ch`, or null when Helvetica can't draw it. */
+const winAnsiChar = (ch) => {
+  const code = ch.charCodeAt(0);
+  if (WIN_ANSI_EXTRAS[ch]) return String.fromCharCode(WIN_ANSI_EXTRAS[ch]);
+  if (ch.length === 1 && ((code >= 0x20 && code < 0x7f) || (code >= 0xa0 && code <= 0xff))) return ch;
+  return null;
+};
+
+const toWinAnsi = (text) => [...String(text)].map(ch => winAnsiChar(ch) ?? '?').join('').replace(/[\\()]/g, ch => `\\${ch}`);
+
+/**
+ * Scene text the PDF would print with "?" in it (e.g. Polish, Vietnamese, Cyrillic or CJK names),
+ * so callers can warn and point to the SVG, which keeps every character.
+ */
+export const pdfUnsupportedText = ({ items }) => [...new Set(items
+  .filter(item => item.kind === 'text' && [...String(item.text)].some(ch => winAnsiChar(ch) === null))
+  .map(item => item.text))];
+
+const rgb = (hex) => [1, 3, 5].map(i => num(parseInt(hex.slice(i, i + 2), 16) / 255)).join(' ');
+
+const roundedRectPath = (x, y, w, h, r) => {
+  if (!r) return `${num(x)} ${num(y)} ${num(w)} ${num(h)} re`;
+  const k = r * 0.5523;
+  const p = (a, b) => `${num(a)} ${num(b)}`;
+  return [
+    `${p(x + r, y)} m`,
+    `${p(x + w - r, y)} l`, `${p(x + w - r + k, y)} ${p(x + w, y + r - k)} ${p(x + w, y + r)} c`,
+    `${p(x + w, y + h - r)} l`, `${p(x + w, y + h - r + k)} ${p(x + w - r + k, y + h)} ${p(x + w - r, y + h)} c`,
+    `${p(x + r, y + h)} l`, `${p(x + r - k, y + h)} ${p(x, y + h - r + k)} ${p(x, y + h - r)} c`,
+    `${p(x, y + r)} l`, `${p(x, y + r - k)} ${p(x + r - k, y)} ${p(x + r, y)} c`,
+    'h',
+  ].join('\n');
+};
+
+/** Returns the PDF file as bytes. PDF space has its origin bottom-left, so y is flipped here. */
+export const sceneToPdf = ({ width, height, items }) => {
+  const ops = items.map(item => {
+    if (item.kind === 'rect') {
+      const path = roundedRectPath(item.x, height - item.y - item.h, item.w, item.h, item.r);
+      const fill = item.fill ? `${rgb(item.fill)} rg` : '';
+      const stroke = item.stroke ? `${rgb(item.stroke)} RG ${num(item.strokeWidth)} w` : '';
+      const paint = item.fill && item.stroke ? 'B' : item.stroke ? 'S' : 'f';
+      return [fill, stroke, path, paint].filter(Boolean).join('\n');
+    }
+    const textWidth = measureText(item.text, item.size, item.bold);
+    const x = item.anchor === 'middle' ? item.x - textWidth / 2 : item.anchor === 'end' ? item.x - textWidth : item.x;
+    return `BT /${item.bold ? 'F2' : 'F1'} ${num(item.size)} Tf ${rgb(item.color)} rg ${num(x)} ${num(height - item.y)} Td (${toWinAnsi(item.text)}) Tj ET`;
+  }).join('\n');
+
+  const objects = [
+    '<< /Type /Catalog /Pages 2 0 R >>',
+    '<< /Type /Pages /Kids [3 0 R] /Count 1 >>',
+    `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${num(width)} ${num(height)}] /Resources << /Font << /F1 4 0 R /F2 5 0 R >> >> /Contents 6 0 R >>`,
+    '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>',
+    '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>',
+    `<< /Length ${ops.length} >>\nstream\n${ops}\nendstream`,
+  ];
+
+  // Every character above is a single byte, so string offsets are byte offsets.
+  let out = '%PDF-1.4\n';
+  const offsets = objects.map((body, i) => {
+    const offset = out.length;
+    out += `${i + 1} 0 obj\n${body}\nendobj\n`;
+    return offset;
+  });
+  const xrefAt = out.length;
+  out += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+  out += offsets.map(o => `${String(o).padStart(10, '0')} 00000 n \n`).join('');
+  out += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xrefAt}\n%%EOF\n`;
+
+  return Uint8Array.from(out, ch => ch.charCodeAt(0) & 0xff);
+};
@@ -0,0 +1,29 @@
+/**
+ * FELIX File Downloads
+ * - Saves generated content (PDF, SVG, CSV) through a temporary object URL.
+ * - Builds the CSV text shared by every export (charts, attendance, participation).
+ */
+export const downloadBlob = (blob, fileName) => {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+};
+
+/** File-name-safe slug of a class name, e.g. "AP Bio (3)" -> "AP-Bio-3". */
+export const fileSlug = (text, fallback = 'Chart') => (String(text || '').trim().replace(/[^\w-]+/g, '-').replace(/^-+|-+$/g, '') || fallback);
+
+// --- CSV ---
+// Names and notes are free text; a cell a spreadsheet would read as a formula gets a leading quote.
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+export const csvCell = (value) => {
+  const raw = String(value ?? '');
+  const text = typeof value === 'string' && FORMULA_START.test(raw) ? `'${raw}` : raw;
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/** Rows of cells to CSV text with CRLF line endings, as spreadsheet apps expect. */
+export const toCsv = (rows) => rows.map(row => row.map(csvCell).join(',')).join('\r\n');
@@ -0,0 +1,170 @@
+/**
+ * FELIX Seating Engine
+ * - Framework-free chart operations shared by the app and the command-line tool.
+ * - A chart is { gridSize: { rows, cols }, desks: ["row-col"], fixtures: { coord: type },
+ *   seats: { coord: studentId }, students: { id: student }, details }.
+ * - Coordinates are "row-col" strings; row 0 is the front of the room, column 0 the left
+ *   as seen from the front.
+ * - Every function is pure: it returns a new chart (or text) and never mutates its input.
+ *   `desks` may be any iterable of coordinates and always comes back as a sorted array.
+ */
+import { displayName, unassignedIds } from './students.js';
+import { createRng, seededShuffle, solveSeating, sortCoords, parseCoord } from './solver.js';
+import { withFrontRowRule } from './rotations.js';
+import { mergeRoster } from './roster.js';
+import { parseGemText, validateGemResponse, buildProposal, applyProposal } from './gemReview.js';
+import { buildChartScene, sceneToSvg, sceneToPdf } from './chartExport.js';
+import { toCsv } from './download.js';
+
+export { parseCoord, sortCoords };
+
+// --- Coordinates ---
+export const toCoord = (r, c) => `${r}-${c}`;
+
+export const inGrid = (coord, gridSize) => {
+  const { r, c } = parseCoord(coord);
+  return r >= 0 && c >= 0 && r < gridSize.rows && c < gridSize.cols;
+};
+
+// --- Chart Basics ---
+const withSeats = (chart, seats) => ({ ...chart, desks: sortCoords(chart.desks), seats });
+
+/** Students in seat order (front-to-back, left-to-right), then everyone unassigned. */
+export const rosterOrder = ({ seats, students }) => [
+  ...sortCoords(Object.keys(seats)).map(coord => seats[coord]).filter(id => students[id]),
+  ...unassignedIds(students, seats),
+];
+
+/** Adds a desk at `coord`, or removes it and unseats whoever was there. */
+export const toggleDesk = (chart, coord) => {
+  const desks = new Set(chart.desks);
+  if (!desks.has(coord)) return { ...chart, desks: sortCoords([...desks, coord]) };
+  desks.delete(coord);
+  const seats = { ...chart.seats };
+  delete seats[coord];
+  return { ...chart, desks: sortCoords(desks), seats };
+};
+
+/** Takes a student off their desk; the record stays in the registry as unassigned. */
+export const unseatStudent = (chart, studentId) => withSeats(chart, Object.fromEntries(Object.entries(chart.seats).filter(([, id]) => id !== studentId)));
+
+// --- Arranging ---
+/** Reseats the seated students A–Z by display name, front-to-back. */
+export const sortAlpha = (chart) => {
+  const ids = Object.values(chart.seats).filter(id => chart.students[id])
+    .sort((a, b) => displayName(chart.students[a]).localeCompare(displayName(chart.students[b])));
+  const coords = sortCoords(chart.desks);
+  const seats = {};
+  ids.forEach((id, i) => { if (coords[i]) seats[coords[i]] = id; });
+  return withSeats(chart, seats);
+};
+
+/** Randomly reseats the seated students across all desks; the same seed gives the same chart. */
+export const shuffleSeats = (chart, seed = Math.random()) => {
+  const rng = createRng(seed);
+  const ids = seededShuffle(Object.values(chart.seats).filter(id => chart.students[id]), rng);
+  const coords = seededShuffle(sortCoords(chart.desks), rng);
+  const seats = {};
+  ids.forEach((id, i) => { if (coords[i]) seats[coords[i]] = id; });
+  return withSeats(chart, seats);
+};
+
+/**
+ * Seats everyone (seated students first, then unassigned) with the offline solver.
+ * Accommodation students are kept up front unless `rules` already has a front-row rule.
+ * Returns { chart, violations, unseated }.
+ */
+export const solveChart = (chart, { rules = [], seed = 'felix' } = {}) => {
+  const students = rosterOrder(chart).map(id => ({ id, name: displayName(chart.students[id]), tags: chart.students[id].tags }));
+  const result = solveSeating({ students, desks: sortCoords(chart.desks), rules: withFrontRowRule(rules), fixtures: chart.fixtures, seed });
+  return { chart: withSeats(chart, result.assignments), violations: result.violations, unseated: result.unseated };
+};
+
+/** Adds or replaces the roster with validated import entries (see roster.js buildRoster). */
+export const seatRoster = (chart, entries, mode = 'add') => {
+  const merged = mergeRoster({ students: chart.students, seats: chart.seats, desks: sortCoords(chart.desks) }, entries, mode);
+  return { ...withSeats(chart, merged.seats), students: merged.students };
+};
+
+/**
+ * Merges a Gem Engine / AI response (text or parsed object with real names) into the chart,
+ * accepting every change. Returns { chart, changes, errors }; on errors the chart is unchanged.
+ */
+export const mergeGemResponse = (chart, response) => {
+  let data;
+  try {
+    data = typeof response === 'string' ? parseGemText(response) : response;
+  } catch {
+    return { chart, changes: [], errors: ['Response is not valid JSON.'] };
+  }
+  const errors = validateGemResponse(data, chart.gridSize, chart.fixtures);
+  if (errors.length) return { chart, changes: [], errors };
+  const proposal = buildProposal({ students: chart.students, seats: chart.seats, desks: [...chart.desks] }, data);
+  const result = applyProposal({ students: chart.students, seats: chart.seats, desks: [...chart.desks] }, proposal, new Set(proposal.changes.map(c => c.id)));
+  return { chart: { ...chart, desks: sortCoords(result.desks), seats: result.seats, students: result.students }, changes: proposal.changes, errors: [] };
+};
+
+// --- Layout Transforms ---
+// A transform is { gridSize, map }: the new grid size and a function giving each old
+// coordinate's new position, or null when that cell no longer exists.
+const transform = (gridSize, map) => ({
+  gridSize,
+  map: (coord) => {
+    const { r, c } = parseCoord(coord);
+    const next = map(r, c);
+    return next && next[0] >= 0 && next[1] >= 0 && next[0] < gridSize.rows && next[1] < gridSize.cols ? toCoord(next[0], next[1]) : null;
+  },
+});
+
+export const insertRow = (gridSize, index) => transform({ ...gridSize, rows: gridSize.rows + 1 }, (r, c) => [r >= index ? r + 1 : r, c]);
+export const deleteRow = (gridSize, index) => transform({ ...gridSize, rows: Math.max(1, gridSize.rows - 1) }, (r, c) => (r === index ? null : [r > index ? r - 1 : r, c]));
+export const insertColumn = (gridSize, index) => transform({ ...gridSize, cols: gridSize.cols + 1 }, (r, c) => [r, c >= index ? c + 1 : c]);
+export const deleteColumn = (gridSize, index) => transform({ ...gridSize, cols: Math.max(1, gridSize.cols - 1) }, (r, c) => (c === index ? null : [r, c > index ? c - 1 : c]));
+
+/** Same layout on a grid of a different size; anything past the new edges is removed. */
+export const resizeLayout = (gridSize, size) => transform({ ...gridSize, ...size }, (r, c) => [r, c]);
+
+/** Slides everything by `dr` rows and `dc` columns; anything pushed off the grid is removed. */
+export const shiftLayout = (gridSize, dr, dc) => transform(gridSize, (r, c) => [r + dr, c + dc]);
+
+/** "horizontal" mirrors left/right, "vertical" mirrors front/back. */
+export const flipLayout = (gridSize, axis) => transform(gridSize, (r, c) => (axis === 'vertical' ? [gridSize.rows - 1 - r, c] : [r, gridSize.cols - 1 - c]));
+
+/** Quarter turn, "cw" or "ccw" as seen from above with the front of the room at the top. */
+export const rotateLayout = (gridSize, direction) => transform(
+  { rows: gridSize.cols, cols: gridSize.rows },
+  (r, c) => (direction === 'ccw' ? [gridSize.cols - 1 - c, r] : [c, gridSize.rows - 1 - r]),
+);
+
+/**
+ * Moves desks, room objects and seats through a transform.
+ * Returns { chart, displaced } where `displaced` lists students whose desk was removed;
+ * they stay in the registry as unassigned.
+ */
+export const applyTransform = (chart, { gridSize, map }) => {
+  const desks = [], fixtures = {}, seats = {}, displaced = [];
+  [...chart.desks].forEach(coord => { const next = map(coord); if (next) desks.push(next); });
+  Object.entries(chart.fixtures || {}).forEach(([coord, type]) => { const next = map(coord); if (next) fixtures[next] = type; });
+  Object.entries(chart.seats).forEach(([coord, id]) => {
+    const next = map(coord);
+    if (next) seats[next] = id;
+    else if (chart.students[id]) displaced.push(id);
+  });
+  return { chart: { ...chart, gridSize, desks: sortCoords(desks), fixtures, seats }, displaced };
+};
+
+// --- Output ---
+/** One row per desk, front-to-back; empty desks are listed so the sheet matches the room. */
+export const chartToCsv = ({ desks, seats, students, details }) => {
+  const rows = [['Class', 'Period', 'Row', 'Seat', 'Coordinate', 'Student Name', 'Preferred Name', 'Student ID', 'Accommodations']];
+  sortCoords(desks).forEach(coord => {
+    const { r, c } = parseCoord(coord);
+    const student = students[seats[coord]];
+    rows.push([details.className, details.period, r + 1, c + 1, coord, student?.name, student?.preferredName, student?.sisId, student?.tags.join(' ')]);
+  });
+  return toCsv(rows);
+};
+
+/** Vector chart as SVG text, or PDF bytes with `chartToPdf`; options as in chartExport.js. */
+export const chartToSvg = (chart, options) => sceneToSvg(buildChartScene(chart, options));
+export const chartToPdf = (chart, options) => sceneToPdf(buildChartScene(chart, options));
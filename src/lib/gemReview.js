@@ -0,0 +1,141 @@
+/**
+ * FELIX Gem Engine Review
+ * - Validates model output (schema, grid bounds, duplicate names) before anything is applied.
+ * - Turns valid output into a list of discrete changes a teacher can accept or reject.
+ * - Applying only ever unseats students; nobody is deleted from the registry.
+ */
+import { createStudent, findStudentByName, tagsFromText, seatIndex } from './students.js';
+import { parseCoord, sortCoords } from './solver.js';
+import { FIXTURE_TYPES } from './room.js';
+
+const COORD_PATTERN = /^\d+-\d+$/;
+
+export const parseGemText = (sourceText) => JSON.parse(String(sourceText).replace(/```json|```/g, '').trim());
+
+/**
+ * Returns a list of human-readable problems; an empty list means the output is usable.
+ * `expectedNames` are the students the request sent; any the output leaves out count as dropped.
+ */
+export const validateGemResponse = (data, gridSize, fixtures = {}, expectedNames = []) => {
+  const errors = [];
+  if (!data || typeof data !== 'object' || Array.isArray(data)) return ['Response is not a JSON object.'];
+
+  const { assignments = {}, metadata = {} } = data;
+  if (typeof assignments !== 'object' || Array.isArray(assignments) || assignments === null) errors.push('"assignments" must be an object of "row-col": "Name".');
+  if (typeof metadata !== 'object' || Array.isArray(metadata) || metadata === null) errors.push('"metadata" must be an object keyed by "row-col".');
+  if (errors.length) return errors;
+
+  const inBounds = (coord) => {
+    const { r, c } = parseCoord(coord);
+    return r >= 0 && c >= 0 && r < gridSize.rows && c < gridSize.cols;
+  };
+
+  const seenNames = new Map();
+  Object.entries(assignments).forEach(([coord, name]) => {
+    if (!COORD_PATTERN.test(coord)) errors.push(`"${coord}" is not a row-col coordinate.`);
+    else if (!inBounds(coord)) errors.push(`${coord} is outside the ${gridSize.rows}×${gridSize.cols} grid.`);
+    else if (fixtures[coord]) errors.push(`${coord} holds the ${FIXTURE_TYPES[fixtures[coord]]?.label.toLowerCase() || 'room object'}, not a desk.`);
+    if (typeof name !== 'string') { errors.push(`Name at ${coord} is not text.`); return; }
+    const key = name.trim().toLowerCase();
+    if (!key) return;
+    if (seenNames.has(key)) errors.push(`${name.trim()} is assigned to both ${seenNames.get(key)} and ${coord}.`);
+    else seenNames.set(key, coord);
+  });
+
+  Object.entries(metadata).forEach(([coord, meta]) => {
+    if (!COORD_PATTERN.test(coord) || !inBounds(coord)) errors.push(`Metadata key "${coord}" is not a coordinate in the grid.`);
+    else if (!meta || typeof meta !== 'object') errors.push(`Metadata at ${coord} must be an object.`);
+    else if (meta.type !== undefined && typeof meta.type !== 'string') errors.push(`Metadata type at ${coord} must be text.`);
+  });
+
+  expectedNames.forEach(name => {
+    if (!seenNames.has(String(name).trim().toLowerCase())) errors.push(`${name} was dropped from the output.`);
+  });
+
+  return errors;
+};
+
+/**
+ * Diffs validated output against the current chart.
+ * Change types: newDesk, add (new student), move (seat change, `from` may be null), remove (unseated), tags.
+ */
+export const buildProposal = ({ students, seats, desks }, data) => {
+  const deskSet = new Set(desks);
+  const before = seatIndex(seats);
+  const after = { ...before };
+  const newStudents = {};
+  const changes = [];
+
+  Object.entries(data.assignments || {}).forEach(([coord, rawName]) => {
+    const name = String(rawName || '').trim();
+    if (!name) return;
+    const existing = findStudentByName(students, name);
+    const student = existing || findStudentByName(newStudents, name) || createStudent({ name });
+    if (!existing) newStudents[student.id] = student;
+    // Whoever held this desk is displaced unless the model seats them elsewhere.
+    Object.keys(after).forEach(id => { if (after[id] === coord) delete after[id]; });
+    after[student.id] = coord;
+  });
+
+  const nameOf = (id) => (students[id] || newStudents[id])?.name;
+
+  // New students simply arrive with their tags; only existing records get a separate tag change.
+  const occupantAfter = Object.fromEntries(Object.entries(after).map(([id, coord]) => [coord, id]));
+  const tagUpdates = [];
+  Object.entries(data.metadata || {}).forEach(([coord, meta]) => {
+    const id = occupantAfter[coord];
+    const tags = tagsFromText(meta?.type);
+    if (!id || tags.length === 0) return;
+    if (newStudents[id]) {
+      newStudents[id] = { ...newStudents[id], tags: [...new Set([...newStudents[id].tags, ...tags])] };
+      return;
+    }
+    const current = students[id].tags;
+    const merged = [...new Set([...current, ...tags])];
+    if (merged.length > current.length) tagUpdates.push({ id, current, merged });
+  });
+
+  sortCoords(Object.keys(data.assignments || {}))
+    .filter(coord => !deskSet.has(coord))
+    .forEach(coord => changes.push({ id: `desk:${coord}`, type: 'newDesk', coord, label: `New desk at ${coord.replace('-', ':')}` }));
+
+  Object.entries(after).forEach(([id, coord]) => {
+    const tagNote = newStudents[id]?.tags.length ? ` (${newStudents[id].tags.join('/')})` : '';
+    if (newStudents[id]) changes.push({ id: `add:${id}`, type: 'add', studentId: id, to: coord, label: `Add ${nameOf(id)}${tagNote} at ${coord.replace('-', ':')}` });
+    else if (before[id] !== coord) changes.push({ id: `move:${id}`, type: 'move', studentId: id, from: before[id] || null, to: coord, label: before[id] ? `Move ${nameOf(id)} ${before[id].replace('-', ':')} → ${coord.replace('-', ':')}` : `Seat ${nameOf(id)} at ${coord.replace('-', ':')}` });
+  });
+
+  Object.entries(before).forEach(([id, coord]) => {
+    if (!after[id]) changes.push({ id: `remove:${id}`, type: 'remove', studentId: id, from: coord, label: `Unseat ${nameOf(id)} from ${coord.replace('-', ':')}` });
+  });
+
+  tagUpdates.forEach(({ id, current, merged }) => {
+    changes.push({ id: `tags:${id}`, type: 'tags', studentId: id, before: current, after: merged, label: `${nameOf(id)}: ${current.join('/') || 'no tags'} → ${merged.join('/')}` });
+  });
+
+  return { changes, newStudents };
+};
+
+/** Applies only the accepted change ids. Placements onto non-desk cells add the desk they need. */
+export const applyProposal = ({ students, seats, desks }, { changes, newStudents }, acceptedIds) => {
+  const accepted = changes.filter(c => acceptedIds.has(c.id));
+  const nextDesks = new Set(desks);
+  const nextStudents = { ...students };
+  const nextSeats = { ...seats };
+
+  const unseat = (id) => Object.keys(nextSeats).forEach(coord => { if (nextSeats[coord] === id) delete nextSeats[coord]; });
+
+  accepted.filter(c => c.type === 'newDesk').forEach(c => nextDesks.add(c.coord));
+  accepted.filter(c => c.type === 'remove').forEach(c => unseat(c.studentId));
+  accepted.filter(c => c.type === 'add' || c.type === 'move').forEach(c => {
+    if (c.type === 'add') nextStudents[c.studentId] = newStudents[c.studentId];
+    unseat(c.studentId);
+    nextDesks.add(c.to);
+    nextSeats[c.to] = c.studentId;
+  });
+  accepted.filter(c => c.type === 'tags').forEach(c => {
+    nextStudents[c.studentId] = { ...nextStudents[c.studentId], tags: c.after };
+  });
+
+  return { students: nextStudents, seats: nextSeats, desks: nextDesks };
+};
@@ -0,0 +1,268 @@
+/**
+ * FELIX Cooperative Groups
+ * - Clusters adjacent desks into groups of a chosen size, front-to-back, and seats students there.
+ * - Members are balanced by accommodation tags and any custom attributes the teacher picks.
+ * - Roles rotate: each role goes to the member who has held it least in earlier group sets.
+ * - Pairs grouped together in recent sets cost extra, like repeat neighbors in rotations.
+ * - Hard solver rules still hold: pinned students keep their desk, front-row students stay up
+ *   front and "keep apart" pairs are split; whatever can't be kept is reported.
+ */
+import { makeId } from './ids.js';
+import { ACCOMMODATION_TAGS, isPriority } from './students.js';
+import { createRng, seededShuffle, parseCoord, sortCoords, pairKey, ruleViolations } from './solver.js';
+import { DEFAULT_LOOKBACK } from './rotations.js';
+
+export const GROUP_SIZES = [3, 4, 5];
+export const MIN_GROUP_SIZE = GROUP_SIZES[0];
+export const DEFAULT_GROUP_SIZE = 4;
+export const GROUP_ROLES = ['Facilitator', 'Recorder', 'Timekeeper'];
+
+// Hex rather than Tailwind classes so the same colors reach SVG/PDF exports.
+export const GROUP_COLORS = [
+  { name: 'Red', fill: '#fee2e2', stroke: '#dc2626' },
+  { name: 'Blue', fill: '#dbeafe', stroke: '#2563eb' },
+  { name: 'Green', fill: '#dcfce7', stroke: '#16a34a' },
+  { name: 'Orange', fill: '#ffedd5', stroke: '#ea580c' },
+  { name: 'Purple', fill: '#f3e8ff', stroke: '#9333ea' },
+  { name: 'Teal', fill: '#ccfbf1', stroke: '#0d9488' },
+  { name: 'Pink', fill: '#fce7f3', stroke: '#db2777' },
+  { name: 'Yellow', fill: '#fef9c3', stroke: '#ca8a04' },
+];
+
+export const groupColor = (index) => GROUP_COLORS[index % GROUP_COLORS.length];
+
+const APART_WEIGHT = 1000;
+const BALANCE_WEIGHT = 10;
+// Matches the rotation planner: a repeat is worth avoiding, but balance comes first.
+const REPEAT_WEIGHT = 3;
+const RESTARTS = 4;
+
+// --- Group Sets ---
+export const createGroupSet = ({ groups, size, balanceBy = [], label, at = new Date().toISOString() }) => ({
+  id: makeId('groups'),
+  label,
+  at,
+  size,
+  balanceBy: [...balanceBy],
+  groups,
+});
+
+/** coord -> group index for the desks of `set`; empty when no set is shown. */
+export const groupIndexByDesk = (set) => {
+  const index = {};
+  set?.groups.forEach((group, i) => group.desks.forEach(coord => { index[coord] = i; }));
+  return index;
+};
+
+/** Every custom attribute name used by at least one student, sorted. */
+export const attributeKeys = (students) => [...new Set(
+  Object.values(students).flatMap(s => Object.keys(s.attributes || {}).filter(key => String(s.attributes[key]).trim()))
+)].sort((a, b) => a.localeCompare(b));
+
+// --- Desk Clustering ---
+const chebyshev = (a, b) => {
+  const pa = parseCoord(a), pb = parseCoord(b);
+  return Math.max(Math.abs(pa.r - pb.r), Math.abs(pa.c - pb.c));
+};
+
+/**
+ * Splits `count` students into groups near `size` whose sizes differ by at most one.
+ * A remainder too small to make a group is merged into the others (5 at size 4 is one
+ * group of 5, not 3 + 2); only a class smaller than MIN_GROUP_SIZE gets a smaller group.
+ */
+export const groupSizes = (count, size) => {
+  if (count <= 0) return [];
+  let n = Math.max(1, Math.ceil(count / size));
+  if (Math.floor(count / n) < MIN_GROUP_SIZE) n = Math.max(1, Math.floor(count / MIN_GROUP_SIZE));
+  return Array.from({ length: n }, (_, i) => Math.floor(count / n) + (i < count % n ? 1 : 0));
+};
+
+/**
+ * Grows each cluster from the front-most free desk, always taking the free desk closest to
+ * the cluster so far (ties go to the most compact, then front-to-back). Returns [[coord]].
+ */
+export const clusterDesks = (desks, sizes) => {
+  const free = sortCoords(desks);
+  return sizes.map(size => {
+    const cluster = free.length ? [free.shift()] : [];
+    while (cluster.length < size && free.length) {
+      let best = 0, bestKey = null;
+      free.forEach((coord, i) => {
+        const distances = cluster.map(member => chebyshev(coord, member));
+        const key = [Math.min(...distances), distances.reduce((a, b) => a + b, 0)];
+        if (!bestKey || key[0] < bestKey[0] || (key[0] === bestKey[0] && key[1] < bestKey[1])) { best = i; bestKey = key; }
+      });
+      cluster.push(free.splice(best, 1)[0]);
+    }
+    return sortCoords(cluster);
+  });
+};
+
+// --- Balanced Assignment ---
+const numericValue = (value) => (String(value ?? '').trim() !== '' && Number.isFinite(Number(value)) ? Number(value) : null);
+
+/** Per-attribute scoring data: numeric attributes balance group means, others spread values. */
+const describeAttributes = (students, keys) => keys.map(key => {
+  const values = students.map(s => String(s.attributes?.[key] ?? '').trim()).filter(Boolean);
+  const numbers = values.map(numericValue);
+  if (values.length && numbers.every(n => n !== null)) {
+    const mean = numbers.reduce((a, b) => a + b, 0) / numbers.length;
+    const variance = numbers.reduce((sum, n) => sum + (n - mean) ** 2, 0) / numbers.length || 1;
+    return { key, numeric: true, mean, variance };
+  }
+  return { key, numeric: false, values: [...new Set(values)] };
+});
+
+/** Sum of squared differences between each group's share of `has` and its fair share. */
+const spreadCost = (groups, byId, has) => {
+  const total = groups.reduce((sum, members) => sum + members.filter(id => has(byId.get(id))).length, 0);
+  const seated = groups.reduce((sum, members) => sum + members.length, 0) || 1;
+  return groups.reduce((sum, members) => {
+    const count = members.filter(id => has(byId.get(id))).length;
+    return sum + (count - (total * members.length) / seated) ** 2;
+  }, 0);
+};
+
+// Pinned students take their own desk; the rest go accommodation students first, front-most
+// desks first. Returns { coord: id } for one cluster.
+const seatGroup = (members, desks, pins, byId) => {
+  const seats = {};
+  members.filter(id => pins.has(id)).forEach(id => { seats[pins.get(id)] = id; });
+  const open = desks.filter(coord => !seats[coord]);
+  const rest = members.filter(id => !pins.has(id));
+  [...rest.filter(id => isPriority(byId.get(id))), ...rest.filter(id => !isPriority(byId.get(id)))].forEach((id, i) => { seats[open[i]] = id; });
+  return seats;
+};
+
+/** Students a hard front-row rule wants up front who land behind its last row. */
+const frontMisses = (seats, byId, front) => Object.entries(seats).reduce((sum, [coord, id]) => {
+  const tags = byId.get(id).tags, row = parseCoord(coord).r;
+  return sum + front.filter(rule => row > rule.maxRow && tags.some(t => (rule.tags?.length ? rule.tags : ACCOMMODATION_TAGS).includes(t))).length;
+}, 0);
+
+const groupCost = (groups, byId, attributes, avoid, apart, seatingOf, front) => {
+  let balance = 0, repeats = 0, conflicts = 0, misses = 0;
+  ACCOMMODATION_TAGS.forEach(tag => { balance += spreadCost(groups, byId, s => s.tags.includes(tag)); });
+  attributes.forEach(attribute => {
+    const valueOf = (id) => String(byId.get(id).attributes?.[attribute.key] ?? '').trim();
+    if (!attribute.numeric) {
+      attribute.values.forEach(value => { balance += spreadCost(groups, byId, s => String(s.attributes?.[attribute.key] ?? '').trim() === value); });
+      return;
+    }
+    groups.forEach(members => {
+      const numbers = members.map(valueOf).filter(Boolean).map(Number);
+      if (numbers.length) balance += (numbers.reduce((a, b) => a + b, 0) / numbers.length - attribute.mean) ** 2 / attribute.variance;
+    });
+  });
+  if (front.length) groups.forEach((members, i) => { misses += frontMisses(seatingOf(members, i), byId, front); });
+  groups.forEach(members => {
+    for (let i = 0; i < members.length; i++) {
+      for (let j = i + 1; j < members.length; j++) {
+        const key = pairKey(members[i], members[j]);
+        if (avoid.has(key)) repeats++;
+        if (apart.has(key)) conflicts++;
+      }
+    }
+  });
+  return { score: (conflicts + misses) * APART_WEIGHT + balance * BALANCE_WEIGHT + repeats * REPEAT_WEIGHT, repeats, conflicts };
+};
+
+/** Pairs of students who shared a group in the last `lookback` sets. */
+export const recentGroupPairs = (groupSets, lookback = DEFAULT_LOOKBACK) => {
+  const pairs = new Set();
+  if (lookback <= 0) return pairs;
+  groupSets.slice(-lookback).forEach(set => set.groups.forEach(({ members }) => {
+    members.forEach((a, i) => members.slice(i + 1).forEach(b => pairs.add(pairKey(a, b))));
+  }));
+  return pairs;
+};
+
+// --- Roles ---
+/**
+ * Hands out `roles` in each group to whoever has held that role least often in `groupSets`,
+ * then whoever has held any role least often. Members past the number of roles get none.
+ */
+export const assignRoles = (members, groupSets, roles = GROUP_ROLES) => {
+  const held = (id, role) => groupSets.reduce((sum, set) => sum + set.groups.filter(g => g.roles?.[id] && (!role || g.roles[id] === role)).length, 0);
+  const assigned = {};
+  roles.forEach(role => {
+    const candidates = members.filter(id => !assigned[id]);
+    if (!candidates.length) return;
+    const pick = candidates.reduce((best, id) => {
+      const a = [held(id, role), held(id)], b = [held(best, role), held(best)];
+      return a[0] < b[0] || (a[0] === b[0] && a[1] < b[1]) ? id : best;
+    });
+    assigned[pick] = role;
+  });
+  return assigned;
+};
+
+/**
+ * Builds a group set for `students` ([{ id, name, tags, attributes }]) over `desks`.
+ * Seated students are grouped before unassigned ones when there are more students than desks.
+ * Options: size (3–5), balanceBy (attribute names), roles (bool), lookback (sets to avoid),
+ * rules (hard pins, front-row and "keep apart" rules are honored), groupSets (history), seed.
+ * Returns { assignments: { coord: id }, set, unseated: [id], repeats, conflicts, violations, undersized };
+ * `violations` lists pin and front-row rules still broken, as in solveSeating.
+ */
+export const buildGroups = ({ students, desks, size = DEFAULT_GROUP_SIZE, balanceBy = [], roles = true, lookback = DEFAULT_LOOKBACK, rules = [], groupSets = [], seed = 'felix', iterations = 2000 }) => {
+  const rng = createRng(`${seed}:groups-${groupSets.length + 1}`);
+  const byId = new Map(students.map(s => [s.id, s]));
+  const deskSet = new Set(desks);
+
+  // Pins claim their desks first, as in the solver, and pinned students are always placed.
+  const pins = new Map();
+  rules.filter(r => r.type === 'pin' && r.hard !== false).forEach(r => {
+    if (byId.has(r.student) && deskSet.has(r.seat) && !pins.has(r.student) && ![...pins.values()].includes(r.seat)) pins.set(r.student, r.seat);
+  });
+  const ordered = [...students.filter(s => pins.has(s.id)), ...students.filter(s => !pins.has(s.id))];
+  const placeable = ordered.slice(0, desks.length);
+  const unseated = ordered.slice(desks.length).map(s => s.id);
+  const clusters = clusterDesks(desks, groupSizes(placeable.length, size));
+  const clusterOf = new Map(clusters.flatMap((cluster, i) => cluster.map(coord => [coord, i])));
+  // With fewer students than desks some desks stay empty; a pin to one of those can't be kept.
+  pins.forEach((coord, id) => { if (!clusterOf.has(coord)) pins.delete(id); });
+
+  const attributes = describeAttributes(placeable, balanceBy);
+  const avoid = recentGroupPairs(groupSets, lookback);
+  const apart = new Set(rules.filter(r => r.type === 'apart' && r.hard !== false).map(r => pairKey(r.a, r.b)));
+  const front = rules.filter(r => r.type === 'front' && r.hard !== false);
+  const seatingOf = (members, i) => seatGroup(members, clusters[i], pins, byId);
+  const cost = (groups) => groupCost(groups, byId, attributes, avoid, apart, seatingOf, front);
+
+  let best = null;
+  for (let attempt = 0; attempt < RESTARTS && clusters.length; attempt++) {
+    const order = seededShuffle(placeable.filter(s => !pins.has(s.id)).map(s => s.id), rng);
+    const groups = clusters.map((cluster, i) => {
+      const pinned = [...pins].filter(([, coord]) => clusterOf.get(coord) === i).map(([id]) => id);
+      return [...pinned, ...order.splice(0, cluster.length - pinned.length)];
+    });
+    let score = cost(groups).score;
+
+    for (let i = 0; i < iterations && score > 0 && groups.length > 1; i++) {
+      const x = Math.floor(rng() * groups.length), y = Math.floor(rng() * groups.length);
+      if (x === y) continue;
+      const a = Math.floor(rng() * groups[x].length), b = Math.floor(rng() * groups[y].length);
+      if (pins.has(groups[x][a]) || pins.has(groups[y][b])) continue;
+      [groups[x][a], groups[y][b]] = [groups[y][b], groups[x][a]];
+      const next = cost(groups).score;
+      if (next <= score) score = next;
+      else [groups[x][a], groups[y][b]] = [groups[y][b], groups[x][a]];
+    }
+
+    if (!best || score < best.score) best = { score, groups: groups.map(g => [...g]) };
+  }
+
+  const assignments = {};
+  const groups = (best?.groups || []).map((members, i) => {
+    const seats = seatingOf(members, i);
+    Object.assign(assignments, seats);
+    const seated = sortCoords(Object.keys(seats)).map(coord => seats[coord]);
+    return { desks: clusters[i], members: seated, roles: roles ? assignRoles(seated, groupSets) : {} };
+  });
+
+  const { repeats, conflicts } = cost(groups.map(g => g.members));
+  const violations = ruleViolations({ rules: rules.filter(r => r.hard !== false && (r.type === 'pin' || r.type === 'front')), students, assignments, desks });
+  const undersized = groups.filter(g => g.members.length < MIN_GROUP_SIZE).length;
+  return { assignments, set: createGroupSet({ groups, size, balanceBy, label: `Groups ${groupSets.length + 1}` }), unseated, repeats, conflicts, violations, undersized };
+};
@@ -0,0 +1,48 @@
+/**
+ * FELIX Undo/Redo History
+ * - Snapshot stack of chart state, one labeled entry per user-visible mutation.
+ * - Rapid repeats of the same action (e.g. typing a grid size) coalesce into one entry.
+ */
+
+export const HISTORY_LIMIT = 100;
+const COALESCE_MS = 1500;
+
+export const createHistory = () => ({ past: [], future: [] });
+
+/** Records `snapshot` (the state *before* the change) under `label`; clears the redo stack. */
+export const pushEntry = (history, label, snapshot, coalesceKey = null, now = Date.now()) => {
+  const last = history.past[history.past.length - 1];
+  if (coalesceKey && last?.coalesceKey === coalesceKey && now - last.at < COALESCE_MS) {
+    return { past: [...history.past.slice(0, -1), { ...last, at: now }], future: [] };
+  }
+  const past = [...history.past, { label, snapshot, coalesceKey, at: now }].slice(-HISTORY_LIMIT);
+  return { past, future: [] };
+};
+
+/**
+ * Steps back `steps` entries. `current` is the live snapshot, which is moved onto the
+ * redo stack. Returns { history, snapshot } or null when there is nothing to undo.
+ */
+export const undoEntry = (history, current, steps = 1) => {
+  if (history.past.length === 0) return null;
+  const count = Math.min(steps, history.past.length);
+  const past = [...history.past];
+  const future = [...history.future];
+  let snapshot = current;
+  for (let i = 0; i < count; i++) {
+    const entry = past.pop();
+    future.push({ ...entry, snapshot });
+    snapshot = entry.snapshot;
+  }
+  return { history: { past, future }, snapshot };
+};
+
+export const redoEntry = (history, current) => {
+  if (history.future.length === 0) return null;
+  const future = [...history.future];
+  const entry = future.pop();
+  return {
+    history: { past: [...history.past, { ...entry, snapshot: current, coalesceKey: null }], future },
+    snapshot: entry.snapshot,
+  };
+};
@@ -0,0 +1,5 @@
+/** Collision-safe local IDs for classes, students and other records. */
+export const makeId = (prefix = 'id') => {
+  if (typeof crypto !== 'undefined' && crypto.randomUUID) return `${prefix}-${crypto.randomUUID()}`;
+  return `${prefix}-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+};
@@ -0,0 +1,191 @@
+/**
+ * FELIX Layout Files
+ * - A shareable chart is a versioned JSON document: room, seats, roster and class details.
+ * - Version 1 files (name-keyed seats plus `studentMetadata`) are migrated on import.
+ * - Every document is validated before it can become a class; bad entries are dropped with a warning.
+ * - Room-only layouts can travel in a URL fragment: no names, no seats, deflate-compressed.
+ */
+import { ACCOMMODATION_TAGS, createStudent, migrateLegacySeating } from './students.js';
+import { FIXTURE_TYPES } from './room.js';
+import { sortCoords } from './solver.js';
+
+export const LAYOUT_FORMAT = 'felix-layout';
+export const LAYOUT_VERSION = 2;
+export const MAX_GRID = 30;
+
+const ROOM_FRAGMENT_KEY = 'room';
+const ROOM_VERSION = 1;
+
+// --- Export ---
+export const createLayoutDocument = ({ gridSize, desks, fixtures, seats, students, details }) => ({
+  format: LAYOUT_FORMAT,
+  version: LAYOUT_VERSION,
+  exportedAt: new Date().toISOString(),
+  layout: {
+    gridSize: { ...gridSize },
+    desks: sortCoords(desks),
+    fixtures: { ...fixtures },
+    seats: { ...seats },
+    students,
+    details: { className: details.className, period: details.period, date: details.date },
+  },
+});
+
+// --- Validation ---
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+const COORD = /^(\d+)-(\d+)$/;
+
+const inGrid = (coord, gridSize) => {
+  const match = COORD.exec(coord);
+  return !!match && Number(match[1]) < gridSize.rows && Number(match[2]) < gridSize.cols;
+};
+
+const validGridSize = (gridSize) => isObject(gridSize)
+  && [gridSize.rows, gridSize.cols].every(n => Number.isInteger(n) && n >= 1 && n <= MAX_GRID);
+
+/** Desks and room objects shared by full documents and room links. Returns { desks, fixtures }. */
+const validateRoom = ({ gridSize, desks, fixtures = {} }, warnings) => {
+  const coords = desks.filter(coord => typeof coord === 'string' && COORD.test(coord));
+  const unique = [...new Set(coords)];
+  const kept = unique.filter(coord => inGrid(coord, gridSize));
+  const invalid = desks.length - coords.length, repeated = coords.length - unique.length, outside = unique.length - kept.length;
+  if (outside) warnings.push(`${outside} desk(s) outside the grid were skipped.`);
+  if (repeated) warnings.push(`${repeated} duplicate desk(s) were skipped.`);
+  if (invalid) warnings.push(`${invalid} desk(s) without a valid row-col position were skipped.`);
+
+  const cleanFixtures = {};
+  let dropped = 0;
+  Object.entries(isObject(fixtures) ? fixtures : {}).forEach(([coord, type]) => {
+    if (inGrid(coord, gridSize) && FIXTURE_TYPES[type] && !kept.includes(coord)) cleanFixtures[coord] = type;
+    else dropped++;
+  });
+  if (dropped) warnings.push(`${dropped} unknown or misplaced room object(s) were skipped.`);
+  return { desks: sortCoords(kept), fixtures: cleanFixtures };
+};
+
+/**
+ * Rebuilds each student through createStudent so unexpected fields never reach storage.
+ * Students get fresh IDs; returns { students, idFor } where idFor maps file IDs to new ones.
+ */
+const validateStudents = (students, warnings) => {
+  const clean = {}, idFor = new Map();
+  let dropped = 0;
+  Object.entries(isObject(students) ? students : {}).forEach(([id, s]) => {
+    if (!isObject(s) || typeof s.name !== 'string' || !s.name.trim()) { dropped++; return; }
+    const text = (value) => (typeof value === 'string' ? value : '');
+    const student = createStudent({
+      name: s.name,
+      preferredName: text(s.preferredName),
+      sisId: text(s.sisId),
+      tags: Array.isArray(s.tags) ? s.tags.filter(t => ACCOMMODATION_TAGS.includes(t)) : [],
+      notes: text(s.notes),
+      attributes: Object.fromEntries(Object.entries(isObject(s.attributes) ? s.attributes : {}).filter(([, v]) => typeof v === 'string' || typeof v === 'number').map(([k, v]) => [k, String(v)])),
+    });
+    clean[student.id] = student;
+    idFor.set(id, student.id);
+  });
+  if (dropped) warnings.push(`${dropped} student record(s) without a name were skipped.`);
+  return { students: clean, idFor };
+};
+
+// v1 files were a bare chart: { gridSize, desks, seats: { coord: name }, studentMetadata, details }.
+const migrateV1 = (doc) => {
+  const { students, seats } = migrateLegacySeating(isObject(doc.seats) ? doc.seats : {}, isObject(doc.studentMetadata) ? doc.studentMetadata : {});
+  return { gridSize: doc.gridSize, desks: doc.desks, fixtures: {}, seats, students, details: doc.details };
+};
+
+/**
+ * Checks and migrates a parsed layout file. Returns { layout, errors, warnings };
+ * `layout` is null when anything in `errors` makes the file unusable.
+ */
+export const validateLayoutDocument = (doc) => {
+  const errors = [], warnings = [];
+  if (!isObject(doc)) return { layout: null, errors: ['This file is not a Felix layout.'], warnings };
+
+  const version = doc.format === LAYOUT_FORMAT ? doc.version : 1;
+  if (doc.format !== undefined && doc.format !== LAYOUT_FORMAT) errors.push('This file is not a Felix layout.');
+  else if (!Number.isInteger(version) || version < 1) errors.push('The layout version is missing or invalid.');
+  else if (version > LAYOUT_VERSION) errors.push(`This layout was saved by a newer version of Felix (v${version}). Update Felix to open it.`);
+  if (errors.length) return { layout: null, errors, warnings };
+
+  const raw = version === 1 ? migrateV1(doc) : doc.layout;
+  if (!isObject(raw)) return { layout: null, errors: ['The layout section is missing.'], warnings };
+  if (!validGridSize(raw.gridSize)) errors.push(`Grid size must be whole numbers of rows and columns from 1 to ${MAX_GRID}.`);
+  if (!Array.isArray(raw.desks)) errors.push('The desk list is missing.');
+  if (errors.length) return { layout: null, errors, warnings };
+
+  const gridSize = { rows: raw.gridSize.rows, cols: raw.gridSize.cols };
+  const { desks, fixtures } = validateRoom({ gridSize, desks: raw.desks, fixtures: raw.fixtures }, warnings);
+  const { students, idFor } = validateStudents(raw.students, warnings);
+
+  const seats = {};
+  let unseated = 0;
+  Object.entries(isObject(raw.seats) ? raw.seats : {}).forEach(([coord, fileId]) => {
+    const id = idFor.get(fileId);
+    if (desks.includes(coord) && id && !Object.values(seats).includes(id)) seats[coord] = id;
+    else unseated++;
+  });
+  if (unseated) warnings.push(`${unseated} seat assignment(s) did not match a desk or student and were left unassigned.`);
+
+  const details = isObject(raw.details) ? raw.details : {};
+  const text = (value) => (typeof value === 'string' && value.trim() ? value.trim() : undefined);
+  return {
+    layout: {
+      gridSize, desks, fixtures, seats, students,
+      details: Object.fromEntries(Object.entries({ className: text(details.className), period: text(details.period), date: text(details.date) }).filter(([, v]) => v)),
+    },
+    errors,
+    warnings,
+  };
+};
+
+/** Parses file text; JSON syntax errors come back in `errors` like any other problem. */
+export const parseLayoutFile = (text) => {
+  try {
+    return validateLayoutDocument(JSON.parse(text));
+  } catch {
+    return { layout: null, errors: ['The file is not valid JSON.'], warnings: [] };
+  }
+};
+
+// --- Room Links ---
+// base64url so the fragment survives chat apps and email clients untouched.
+const toBase64Url = (bytes) => {
+  let binary = '';
+  bytes.forEach(b => { binary += String.fromCharCode(b); });
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+};
+
+const fromBase64Url = (text) => {
+  const binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+  return Uint8Array.from(binary, ch => ch.charCodeAt(0));
+};
+
+const pipe = async (bytes, stream) => new Uint8Array(await new Response(new Blob([bytes]).stream().pipeThrough(stream)).arrayBuffer());
+
+/** Encodes only the room (grid, desks, objects) as a URL fragment such as "room=1.eJzt...". */
+export const encodeRoomFragment = async ({ gridSize, desks, fixtures }) => {
+  const room = { rows: gridSize.rows, cols: gridSize.cols, desks: sortCoords(desks), fixtures };
+  const packed = await pipe(new TextEncoder().encode(JSON.stringify(room)), new CompressionStream('deflate-raw'));
+  return `${ROOM_FRAGMENT_KEY}=${ROOM_VERSION}.${toBase64Url(packed)}`;
+};
+
+/**
+ * Reads a room fragment (with or without the leading "#"). Resolves to { room, errors, warnings }
+ * where `room` is { gridSize, desks, fixtures } or null. Resolves to null when the hash holds no room.
+ */
+export const decodeRoomFragment = async (hash) => {
+  const match = new RegExp(`^#?${ROOM_FRAGMENT_KEY}=(\\d+)\\.([A-Za-z0-9_-]+)$`).exec(hash || '');
+  if (!match) return null;
+  const warnings = [];
+  if (Number(match[1]) > ROOM_VERSION) return { room: null, errors: ['This room link was made by a newer version of Felix.'], warnings };
+  try {
+    const json = new TextDecoder().decode(await pipe(fromBase64Url(match[2]), new DecompressionStream('deflate-raw')));
+    const raw = JSON.parse(json);
+    const gridSize = { rows: raw.rows, cols: raw.cols };
+    if (!validGridSize(gridSize) || !Array.isArray(raw.desks)) return { room: null, errors: ['This room link is incomplete.'], warnings };
+    return { room: { gridSize, ...validateRoom({ gridSize, desks: raw.desks, fixtures: raw.fixtures }, warnings) }, errors: [], warnings };
+  } catch {
+    return { room: null, errors: ['This room link is damaged or was cut off when it was copied.'], warnings };
+  }
+};
@@ -0,0 +1,135 @@
+/**
+ * FELIX Participation
+ * - Records are kept per class as { "YYYY-MM-DD": [{ id, kind, at, seat, zone }] }, one entry per event.
+ * - Kinds are "call" (chosen by the cold-call picker) plus the one-click tallies below.
+ * - The picker favors whoever was called least recently and never picks absent students.
+ * - Each event keeps the seat and zone it happened in, so later rotations never rewrite history.
+ */
+import { parseCoord } from './solver.js';
+import { toCsv } from './download.js';
+
+export const PARTICIPATION_KINDS = {
+  call: { label: 'Called on', code: 'C' },
+  participation: { label: 'Participation', code: '+' },
+  behavior: { label: 'Behavior note', code: '!' },
+};
+
+export const TALLY_KINDS = ['participation', 'behavior'];
+export const SEAT_ZONES = { front: 'Front', back: 'Back' };
+
+/** "front" for the front half of the rows that hold desks (a middle row counts as front), else "back". */
+export const seatZone = (coord, desks) => {
+  const rows = [...new Set([...desks].map(d => parseCoord(d).r))].sort((a, b) => a - b);
+  const index = rows.indexOf(parseCoord(coord).r);
+  return index >= 0 && index >= Math.ceil(rows.length / 2) ? 'back' : 'front';
+};
+
+// --- Recording ---
+export const addEvent = (participation, day, event) => ({ ...participation, [day]: [...(participation[day] || []), event] });
+
+/** Removes the most recent `kind` event for `studentId` on `day`; unchanged when there is none. */
+export const removeLastEvent = (participation, day, studentId, kind) => {
+  const events = participation[day] || [];
+  const index = events.findLastIndex(e => e.id === studentId && e.kind === kind);
+  if (index < 0) return participation;
+  const next = { ...participation, [day]: events.filter((_, i) => i !== index) };
+  if (next[day].length === 0) delete next[day];
+  return next;
+};
+
+/** { studentId: { call, participation, behavior } } for one day's events. */
+export const tallyEvents = (events = []) => {
+  const tallies = {};
+  events.forEach(({ id, kind }) => {
+    if (!PARTICIPATION_KINDS[kind]) return;
+    tallies[id] = tallies[id] || { call: 0, participation: 0, behavior: 0 };
+    tallies[id][kind] += 1;
+  });
+  return tallies;
+};
+
+// --- Cold-Call Picker ---
+/** studentId -> ISO time of their most recent call, across every recorded day. */
+export const lastCalledAt = (participation) => {
+  const last = new Map();
+  Object.values(participation).flat().forEach(({ id, kind, at }) => {
+    if (kind === 'call' && (!last.has(id) || at > last.get(id))) last.set(id, at);
+  });
+  return last;
+};
+
+/**
+ * Picks one of `candidates` (student IDs). Students are ranked from least to most recently
+ * called (never called first) and weighted by the square of their distance from the end of
+ * that list, so everyone stays possible but the overlooked are far likelier. The student
+ * called last is skipped when anyone else is available. Returns null for an empty list.
+ */
+export const pickStudent = (candidates, participation, rng = Math.random) => {
+  if (candidates.length === 0) return null;
+  const last = lastCalledAt(participation);
+  const latest = [...last.entries()].sort((a, b) => (a[1] < b[1] ? 1 : -1))[0]?.[0];
+  const pool = candidates.length > 1 ? candidates.filter(id => id !== latest) : candidates;
+  const ranked = [...pool].sort((a, b) => (last.get(a) || '').localeCompare(last.get(b) || ''));
+  // Students called at the same moment (or never) share a weight.
+  const weights = ranked.map((id, i) => {
+    const first = ranked.findIndex(other => (last.get(other) || '') === (last.get(id) || ''));
+    return (ranked.length - (first < 0 ? i : first)) ** 2;
+  });
+  let roll = rng() * weights.reduce((a, b) => a + b, 0);
+  for (let i = 0; i < ranked.length; i++) {
+    roll -= weights[i];
+    if (roll < 0) return ranked[i];
+  }
+  return ranked[ranked.length - 1];
+};
+
+// --- Report ---
+/**
+ * Summarizes every event between `from` and `to` (inclusive, YYYY-MM-DD).
+ * Returns { rows, zones, days } where rows are per student (least called first) and zones
+ * compare each zone's share of events with its share of the students seated there now.
+ */
+export const participationReport = ({ participation, students, seats, desks, from, to }) => {
+  const days = Object.keys(participation).filter(day => day >= from && day <= to).sort();
+  const events = days.flatMap(day => participation[day]).filter(e => students[e.id]);
+  const tallies = tallyEvents(events);
+  const seatOf = Object.fromEntries(Object.entries(seats).map(([coord, id]) => [id, coord]));
+
+  const rows = Object.values(students).map(student => {
+    const counts = tallies[student.id] || { call: 0, participation: 0, behavior: 0 };
+    return { id: student.id, student, ...counts, zone: seatOf[student.id] ? seatZone(seatOf[student.id], desks) : null };
+  }).sort((a, b) => a.call - b.call || a.participation - b.participation || a.student.name.localeCompare(b.student.name));
+
+  const seated = Object.values(seats).filter(id => students[id]);
+  const zones = Object.keys(SEAT_ZONES).map(zone => {
+    const counts = { call: 0, participation: 0, behavior: 0 };
+    events.forEach(e => { if (e.zone === zone && counts[e.kind] !== undefined) counts[e.kind] += 1; });
+    const seatedHere = seated.filter(id => seatZone(seatOf[id], desks) === zone).length;
+    return { zone, label: SEAT_ZONES[zone], seated: seatedHere, seatShare: seated.length ? seatedHere / seated.length : 0, ...counts };
+  });
+  Object.keys(PARTICIPATION_KINDS).forEach(kind => {
+    const total = zones.reduce((sum, z) => sum + z[kind], 0);
+    zones.forEach(z => { z[`${kind}Share`] = total ? z[kind] / total : 0; });
+  });
+  return { rows, zones, days };
+};
+
+// --- CSV Export ---
+/** One row per student per recorded day in the range, with each kind's count. */
+export const participationCsv = ({ participation, students, details, from, to }) => {
+  const days = Object.keys(participation).filter(day => day >= from && day <= to).sort();
+  const rows = [['Date', 'Class', 'Period', 'Student ID', 'Student Name', 'Called On', 'Participation', 'Behavior Notes', 'Front', 'Back']];
+  days.forEach(day => {
+    const byStudent = {};
+    participation[day].forEach(e => {
+      if (!students[e.id] || !PARTICIPATION_KINDS[e.kind]) return;
+      const row = byStudent[e.id] = byStudent[e.id] || { call: 0, participation: 0, behavior: 0, front: 0, back: 0 };
+      row[e.kind] += 1;
+      if (row[e.zone] !== undefined) row[e.zone] += 1;
+    });
+    Object.entries(byStudent)
+      .sort(([a], [b]) => students[a].name.localeCompare(students[b].name, undefined, { sensitivity: 'base' }))
+      .forEach(([id, c]) => rows.push([day, details.className, details.period, students[id].sisId, students[id].name, c.call, c.participation, c.behavior, c.front, c.back]));
+  });
+  return toCsv(rows);
+};
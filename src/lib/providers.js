@@ -0,0 +1,202 @@
+/**
+ * FELIX AI Provider Layer
+ * - One interface, swappable backends: Gemini, any OpenAI-compatible endpoint, and a bundled mock.
+ * - Every request has a timeout, bounded retries with backoff, and honours cancellation.
+ * - Nothing is sent or retried while the browser is offline; the mock works anywhere.
+ * - Providers receive a structured payload; text formatting happens per backend.
+ * - Payloads are pseudonymized upstream (see pseudonymize.js): models only ever see tokens.
+ */
+import { parseRosterText } from './students.js';
+import { parseCoord, sortCoords } from './solver.js';
+
+export const SEATING_SYSTEM_PROMPT = `
+      You are 'Felix', a state-aware seating assistant.
+      Students are identified only by opaque tokens such as S01. Never invent names or tokens.
+      RULES:
+      1. MERGE: Keep existing tokens in 'currentSeating' where they are.
+      2. COMPLIANCE: Tokens marked PRIORITY (in the roster or in 'metadata') must be in Row 0 or 1.
+      3. EXPAND: Create new coordinate keys in the grid if capacity exceeded, never on 'roomObjects' cells.
+      4. RETURN ONLY JSON.
+      JSON SCHEMA: { "assignments": { "row-col": "S01" }, "metadata": { "row-col": { "isPriority": true } } }
+    `;
+
+export const formatUserPrompt = ({ currentState, roster }) => `Current State: ${JSON.stringify(currentState)} \nNew Roster: ${roster}`;
+
+const trimSlash = (url) => String(url || '').replace(/\/+$/, '');
+
+const postJson = async (url, body, { headers = {}, signal }) => {
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body: JSON.stringify(body),
+    signal,
+  });
+  if (!response.ok) {
+    const error = new Error(`API: ${response.status}`);
+    error.status = response.status;
+    throw error;
+  }
+  return response.json();
+};
+
+// --- Mock Backend ---
+/**
+ * Deterministic stand-in for a model: keeps current seating, puts priority students in the
+ * front-most open desks, then everyone else, and grows into empty cells when desks run out.
+ */
+export const mockSeating = ({ currentState, roster }) => {
+  const { gridSize, activeDesks = [], roomObjects = {}, currentSeating = {} } = currentState;
+  const taken = new Set(Object.values(currentSeating).map(n => String(n).toLowerCase()));
+  const incoming = parseRosterText(roster)
+    .filter(s => !taken.has(s.name.toLowerCase()))
+    .map(s => ({ ...s, priority: s.tags.length > 0 || /priority/i.test(s.note) }));
+  const ordered = [...incoming.filter(s => s.priority), ...incoming.filter(s => !s.priority)];
+
+  const openDesks = sortCoords(activeDesks).filter(coord => !currentSeating[coord]);
+  const deskSet = new Set(activeDesks);
+  const spareCells = [];
+  for (let r = 0; r < gridSize.rows; r++) {
+    for (let c = 0; c < gridSize.cols; c++) if (!deskSet.has(`${r}-${c}`) && !roomObjects[`${r}-${c}`]) spareCells.push(`${r}-${c}`);
+  }
+  const slots = [...openDesks, ...spareCells];
+
+  const assignments = { ...currentSeating };
+  const metadata = {};
+  ordered.forEach(student => {
+    // Priority students prefer rows 0–1 (existing desks first); everyone else fills in order.
+    const frontIndex = student.priority ? slots.findIndex(coord => parseCoord(coord).r < 2) : -1;
+    const [slot] = slots.splice(Math.max(frontIndex, 0), 1);
+    if (!slot) return;
+    assignments[slot] = student.name;
+    if (student.priority) metadata[slot] = { isPriority: true };
+  });
+  return { assignments, metadata };
+};
+
+// --- Backends ---
+// buildRequest() is the single source of truth for what leaves the device; the preview panel renders it.
+export const PROVIDERS = {
+  gemini: {
+    label: 'Google Gemini',
+    defaults: { endpoint: 'https://generativelanguage.googleapis.com/v1beta', model: 'gemini-2.5-flash-preview-09-2025' },
+    buildRequest: ({ system, payload, settings }) => ({
+      url: `${trimSlash(settings.endpoint)}/models/${settings.model}:generateContent?key=${encodeURIComponent(settings.apiKey || '')}`,
+      headers: {},
+      body: {
+        contents: [{ parts: [{ text: formatUserPrompt(payload) }] }],
+        systemInstruction: { parts: [{ text: system }] },
+        generationConfig: { responseMimeType: "application/json" },
+      },
+    }),
+    readText: (result) => result.candidates?.[0]?.content?.parts?.[0]?.text,
+  },
+  openai: {
+    label: 'OpenAI-compatible / Local LLM',
+    defaults: { endpoint: 'http://localhost:11434/v1', model: 'llama3.1' },
+    buildRequest: ({ system, payload, settings }) => ({
+      url: `${trimSlash(settings.endpoint)}/chat/completions`,
+      headers: settings.apiKey ? { Authorization: `Bearer ${settings.apiKey}` } : {},
+      body: {
+        model: settings.model,
+        temperature: 0,
+        messages: [
+          { role: 'system', content: system },
+          { role: 'user', content: formatUserPrompt(payload) },
+        ],
+      },
+    }),
+    readText: (result) => result.choices?.[0]?.message?.content,
+  },
+  mock: {
+    label: 'Offline Mock (deterministic)',
+    defaults: { endpoint: '', model: 'felix-mock' },
+    offline: true,
+    buildRequest: ({ payload }) => ({ url: null, headers: {}, body: payload }),
+    complete: async ({ payload }) => JSON.stringify(mockSeating(payload)),
+  },
+};
+
+const completeWith = async (provider, { system, payload, settings, signal }) => {
+  if (provider.complete) return provider.complete({ system, payload, settings, signal });
+  const { url, headers, body } = provider.buildRequest({ system, payload, settings });
+  return provider.readText(await postJson(url, body, { headers, signal }));
+};
+
+/** The exact request a sync would make, with credentials masked, for the "what will be sent" panel. */
+export const previewRequest = ({ settings, payload }) => {
+  const provider = PROVIDERS[settings.provider] || PROVIDERS.gemini;
+  const { url, headers, body } = provider.buildRequest({ system: SEATING_SYSTEM_PROMPT, payload, settings });
+  return {
+    offline: Boolean(provider.offline),
+    url: url && url.replace(/key=[^&]*/, 'key=•••'),
+    headers: Object.fromEntries(Object.entries(headers).map(([k, v]) => [k, k === 'Authorization' ? 'Bearer •••' : v])),
+    body,
+  };
+};
+
+export const DEFAULT_AI_SETTINGS = {
+  provider: 'gemini',
+  ...PROVIDERS.gemini.defaults,
+  apiKey: '',
+  timeoutSeconds: 30,
+  retries: 2,
+};
+
+// --- Request Runner ---
+export const OFFLINE_MESSAGE = "You're offline. AI sync needs a connection; the offline solver, roster import, sort and shuffle all still work.";
+
+/** True when `settings` point at a network provider and the browser reports no connection. */
+export const isOfflineFor = (settings) => !(PROVIDERS[settings.provider] || PROVIDERS.gemini).offline
+  && typeof navigator !== 'undefined' && navigator.onLine === false;
+
+const cancelledError = () => {
+  const error = new Error('Sync cancelled.');
+  error.name = 'AbortError';
+  return error;
+};
+
+const wait = (ms, signal) => new Promise((resolve, reject) => {
+  const timer = setTimeout(() => { signal?.removeEventListener('abort', onAbort); resolve(); }, ms);
+  const onAbort = () => { clearTimeout(timer); reject(cancelledError()); };
+  signal?.addEventListener('abort', onAbort, { once: true });
+});
+
+/**
+ * Sends `payload` through the configured provider and resolves with the raw model text.
+ * Rejects with a readable Error; cancellation rejects with name === 'AbortError'.
+ */
+export const requestSeating = async ({ settings, payload, signal }) => {
+  const provider = PROVIDERS[settings.provider] || PROVIDERS.gemini;
+  const timeoutMs = Math.max(1, Number(settings.timeoutSeconds) || DEFAULT_AI_SETTINGS.timeoutSeconds) * 1000;
+  const maxRetries = Math.max(0, Number(settings.retries) || 0);
+
+  for (let attempt = 0; ; attempt++) {
+    if (signal?.aborted) throw cancelledError();
+    if (isOfflineFor(settings)) throw new Error(OFFLINE_MESSAGE);
+    const controller = new AbortController();
+    const onAbort = () => controller.abort();
+    signal?.addEventListener('abort', onAbort, { once: true });
+    const timer = setTimeout(() => controller.abort(), timeoutMs);
+
+    try {
+      const text = await completeWith(provider, { system: SEATING_SYSTEM_PROMPT, payload, settings, signal: controller.signal });
+      if (!text) throw new Error('Empty response from model.');
+      return text;
+    } catch (err) {
+      if (signal?.aborted) throw cancelledError();
+      // A dropped connection is not worth retrying: fail now with a clear message.
+      if (isOfflineFor(settings)) throw new Error(OFFLINE_MESSAGE);
+      const timedOut = controller.signal.aborted;
+      const retryable = timedOut || !err.status || err.status === 429 || err.status >= 500;
+      if (!retryable || attempt >= maxRetries) {
+        throw new Error(timedOut
+          ? `Request timed out after ${timeoutMs / 1000}s.`
+          : `Brain sync failed (${err.message}). Check the provider settings and try again.`);
+      }
+      await wait(2 ** attempt * 1000, signal);
+    } finally {
+      clearTimeout(timer);
+      signal?.removeEventListener('abort', onAbort);
+    }
+  }
+};
@@ -0,0 +1,92 @@
+/**
+ * FELIX Roster Pseudonymization
+ * - Names are replaced with opaque tokens (S01, S02…) before any AI request is built.
+ * - The only student attribute sent is the front-row PRIORITY flag the prompt rules use;
+ *   which accommodation (IEP/504/ELL) it came from never leaves the device.
+ * - The token map is kept locally and used to translate the response back to names.
+ */
+import { parseRosterText, isPriority, findStudentByName } from './students.js';
+import { sortCoords } from './solver.js';
+
+export const PRIORITY_MARK = 'PRIORITY';
+
+const normalize = (name) => String(name || '').trim().toLowerCase();
+
+/**
+ * Builds the model payload for the current chart plus the Gem Engine roster text.
+ * Returns { payload: { currentState, roster }, identities: { token: { name, tags } } }.
+ */
+export const pseudonymize = ({ students, seats, desks, fixtures = {}, gridSize, rosterText }) => {
+  const people = [];
+  const indexOfStudent = {};
+  const indexOfName = new Map();
+
+  const seatedCoords = sortCoords(Object.keys(seats)).filter(coord => students[seats[coord]]);
+  seatedCoords.forEach(coord => {
+    const student = students[seats[coord]];
+    indexOfStudent[student.id] = people.length;
+    indexOfName.set(normalize(student.name), people.length);
+    people.push({ name: student.name, tags: [...student.tags], coord, inRoster: false });
+  });
+
+  const seatedIds = seatedCoords.map(coord => seats[coord]);
+  parseRosterText(rosterText).forEach(entry => {
+    const existing = findStudentByName(students, entry.name, seatedIds);
+    const index = existing ? indexOfStudent[existing.id] : indexOfName.get(normalize(entry.name));
+    if (index !== undefined) {
+      const person = people[index];
+      person.tags = [...new Set([...person.tags, ...entry.tags])];
+      person.inRoster = true;
+      return;
+    }
+    indexOfName.set(normalize(entry.name), people.length);
+    people.push({ name: entry.name, tags: entry.tags, coord: null, inRoster: true });
+  });
+
+  const width = Math.max(2, String(people.length).length);
+  const tokens = people.map((_, i) => `S${String(i + 1).padStart(width, '0')}`);
+
+  const currentSeating = {};
+  const metadata = {};
+  people.forEach((person, i) => {
+    if (!person.coord) return;
+    currentSeating[person.coord] = tokens[i];
+    if (isPriority(person)) metadata[person.coord] = { isPriority: true };
+  });
+
+  const roster = people
+    .map((person, i) => (person.inRoster ? `${tokens[i]}${isPriority(person) ? ` - ${PRIORITY_MARK}` : ''}` : null))
+    .filter(Boolean)
+    .join('\n');
+
+  return {
+    payload: {
+      currentState: { gridSize, activeDesks: sortCoords(desks), roomObjects: fixtures, currentSeating, metadata },
+      roster,
+    },
+    identities: Object.fromEntries(people.map((person, i) => [tokens[i], { name: person.name, tags: person.tags }])),
+  };
+};
+
+/**
+ * Maps tokens in model output back to real names. Accommodation metadata is rebuilt from the
+ * local identities rather than trusted from the model. Returns { data, errors }.
+ */
+export const restoreIdentities = (data, identities) => {
+  const errors = [];
+  if (!data || typeof data !== 'object' || Array.isArray(data)) return { data, errors };
+  const { assignments } = data;
+  if (!assignments || typeof assignments !== 'object' || Array.isArray(assignments)) return { data, errors };
+
+  const restored = {};
+  const metadata = {};
+  Object.entries(assignments).forEach(([coord, token]) => {
+    if (typeof token !== 'string' || !token.trim()) { restored[coord] = token; return; }
+    const identity = identities[token.trim().toUpperCase()];
+    if (!identity) { errors.push(`Unknown student token "${token}" at ${coord}.`); return; }
+    restored[coord] = identity.name;
+    if (identity.tags.length) metadata[coord] = { isPriority: true, type: identity.tags.join('|') };
+  });
+
+  return { data: { ...data, assignments: restored, metadata }, errors };
+};
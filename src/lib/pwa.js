@@ -0,0 +1,47 @@
+/**
+ * FELIX Offline App
+ * - Registers the service worker in production builds only; the dev server is never cached.
+ * - Reports "ready" after the first install and "update" when a newer deploy is waiting.
+ * - A waiting update only takes over when the teacher chooses to reload.
+ */
+
+// Classroom laptops stay open all day, so look for a new deploy hourly and whenever Wi-Fi returns.
+const UPDATE_CHECK_MS = 60 * 60 * 1000;
+
+/**
+ * Calls onReady() once the app is cached for offline use and onUpdate(worker) when a new
+ * version is installed and waiting. Returns a cleanup function.
+ */
+export const registerServiceWorker = ({ onReady, onUpdate }) => {
+  if (!import.meta.env.PROD || !('serviceWorker' in navigator)) return () => {};
+  let registration = null, timer = null, active = true;
+
+  const track = (worker) => worker?.addEventListener('statechange', () => {
+    if (worker.state !== 'installed') return;
+    // With no controller this is the first install; otherwise an older version is still running.
+    if (navigator.serviceWorker.controller) onUpdate(worker);
+    else onReady();
+  });
+
+  navigator.serviceWorker.register('/sw.js').then(reg => {
+    if (!active) return;
+    registration = reg;
+    if (reg.waiting && navigator.serviceWorker.controller) onUpdate(reg.waiting);
+    reg.addEventListener('updatefound', () => track(reg.installing));
+    timer = setInterval(() => reg.update().catch(() => {}), UPDATE_CHECK_MS);
+  }).catch(() => {});
+
+  const check = () => registration?.update().catch(() => {});
+  window.addEventListener('online', check);
+  return () => {
+    active = false;
+    clearInterval(timer);
+    window.removeEventListener('online', check);
+  };
+};
+
+/** Lets the waiting worker take over, then reloads so the page runs the new build. */
+export const applyUpdate = (worker) => {
+  navigator.serviceWorker.addEventListener('controllerchange', () => window.location.reload(), { once: true });
+  worker.postMessage({ type: 'SKIP_WAITING' });
+};
@@ -0,0 +1,75 @@
+/**
+ * FELIX Room Objects & Layout Templates
+ * - Fixtures (door, windows, whiteboard…) occupy grid cells that can never hold a desk.
+ * - Templates generate a desk set for the current grid, stepping around any fixtures.
+ * - Proximity helpers let solver rules say "near the door" or "away from windows".
+ */
+
+export const FIXTURE_TYPES = {
+  teacherDesk: { label: 'Teacher Desk', phrase: 'the teacher desk' },
+  door: { label: 'Door', phrase: 'the door' },
+  window: { label: 'Window', phrase: 'windows' },
+  whiteboard: { label: 'Whiteboard', phrase: 'the whiteboard' },
+  labBench: { label: 'Lab Bench', phrase: 'lab benches' },
+  outlet: { label: 'Outlet', phrase: 'an outlet' },
+  blocked: { label: 'Blocked', phrase: 'blocked cells' },
+};
+
+/** Chebyshev distance that still counts as "near"; anything further is "away". */
+export const NEAR_DISTANCE = 2;
+
+const toCell = (key) => {
+  const [r, c] = key.split('-').map(Number);
+  return { r, c };
+};
+
+/** Distance from `coord` to the closest fixture of `type`, or Infinity when the room has none. */
+export const distanceToFixture = (coord, fixtures, type) => {
+  const from = toCell(coord);
+  return Object.entries(fixtures || {})
+    .filter(([, t]) => t === type)
+    .reduce((best, [key]) => {
+      const to = toCell(key);
+      return Math.min(best, Math.max(Math.abs(from.r - to.r), Math.abs(from.c - to.c)));
+    }, Infinity);
+};
+
+// --- Templates ---
+// Row 0 is left clear as teaching space in every template; `fits(r, c)` decides the rest.
+
+/** True when (r, c) sits in an h×w block (blocks separated by one-cell aisles) that fits entirely on the grid. */
+const inBlock = (r, c, h, w, { rows, cols }) => {
+  const dr = (r - 1) % (h + 1), dc = c % (w + 1);
+  return dr < h && dc < w && r - dr + h <= rows && c - dc + w <= cols;
+};
+
+export const LAYOUT_TEMPLATES = {
+  rows: { label: 'Traditional Rows', fits: (r, c) => c % 2 === 0 },
+  pairs: { label: 'Pairs', fits: (r, c, { cols }) => c % 3 < 2 && c - (c % 3) + 2 <= cols },
+  pods4: { label: 'Pods of 4', fits: (r, c, grid) => inBlock(r, c, 2, 2, grid) },
+  pods6: { label: 'Pods of 6', fits: (r, c, grid) => inBlock(r, c, 2, 3, grid) },
+  ushape: { label: 'U-Shape', fits: (r, c, { rows, cols }) => c === 0 || c === cols - 1 || r === rows - 1 },
+  horseshoe: {
+    label: 'Horseshoe',
+    // A U pulled in one cell from the walls with its back corners rounded off.
+    fits: (r, c, { rows, cols }) => {
+      if (c < 1 || c > cols - 2 || r > rows - 2) return false;
+      const corner = r === rows - 2 && (c === 1 || c === cols - 2);
+      return !corner && (c === 1 || c === cols - 2 || r === rows - 2);
+    },
+  },
+  exam: { label: 'Exam Spacing', fits: (r, c) => r % 2 === 1 && c % 2 === 0 },
+};
+
+export const generateTemplate = (templateId, gridSize, fixtures = {}) => {
+  const template = LAYOUT_TEMPLATES[templateId];
+  if (!template) return [];
+  const desks = [];
+  for (let r = 1; r < gridSize.rows; r++) {
+    for (let c = 0; c < gridSize.cols; c++) {
+      const key = `${r}-${c}`;
+      if (!fixtures[key] && template.fits(r, c, gridSize)) desks.push(key);
+    }
+  }
+  return desks;
+};
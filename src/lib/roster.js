@@ -0,0 +1,189 @@
+/**
+ * FELIX Roster Import
+ * - Parses CSV/TSV exports and spreadsheet paste (quoted fields, CRLF, "" escapes).
+ * - Guesses a column mapping from common SIS header names; teachers can override it.
+ * - Validates every row before anything touches the chart.
+ */
+import { ACCOMMODATION_TAGS, tagsFromText, createStudent } from './students.js';
+import { sortCoords } from './solver.js';
+
+export const ROSTER_FIELDS = {
+  fullName: 'Full Name',
+  firstName: 'First Name',
+  lastName: 'Last Name',
+  preferredName: 'Preferred Name',
+  sisId: 'Student ID',
+  accommodations: 'Accommodations (combined)',
+  IEP: 'IEP Flag',
+  504: '504 Flag',
+  ELL: 'ELL Flag',
+  notes: 'Notes',
+};
+
+// Checked in this order, and each column goes to the first field that claims it: the
+// per-tag flag columns ("IEP Flag", "504 Flag") must win before the combined column.
+// An array, not an object, because an object would iterate the integer key 504 first.
+const HEADER_HINTS = [
+  ['fullName', [/^(student\s*)?name$/, /full\s*name/, /^student$/]],
+  ['firstName', [/first/, /given/]],
+  ['lastName', [/last/, /surname/, /family/]],
+  ['preferredName', [/preferred/, /nick/]],
+  ['sisId', [/\bid\b/, /id$/, /^student\s*(number|no\.?|#)$/, /^(number|no\.?|#)$/, /osis/, /\bsis\b/]],
+  ['IEP', [/\biep\b/, /special\s*ed/]],
+  ['504', [/504/]],
+  ['ELL', [/\bell\b/, /\besl\b/, /\bml\b/, /english\s*learner/, /\bmll\b/]],
+  ['accommodations', [/accommodation/, /services/, /program/, /^flags?$/]],
+  ['notes', [/note/, /comment/]],
+];
+
+export const detectDelimiter = (text) => {
+  const firstLine = text.split(/\r?\n/).find(line => line.trim()) || '';
+  const counts = { '\t': 0, ',': 0, ';': 0 };
+  let inQuotes = false;
+  for (const ch of firstLine) {
+    if (ch === '"') inQuotes = !inQuotes;
+    else if (!inQuotes && ch in counts) counts[ch]++;
+  }
+  const [best, count] = Object.entries(counts).sort((a, b) => b[1] - a[1])[0];
+  return count > 0 ? best : ',';
+};
+
+/** Splits delimited text into rows of trimmed cells. Blank lines are dropped. */
+export const parseDelimited = (text, delimiter = detectDelimiter(text)) => {
+  const rows = [];
+  let row = [], cell = '', inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (inQuotes) {
+      if (ch === '"' && text[i + 1] === '"') { cell += '"'; i++; }
+      else if (ch === '"') inQuotes = false;
+      else cell += ch;
+    } else if (ch === '"' && cell.trim() === '') {
+      inQuotes = true;
+      cell = '';
+    } else if (ch === delimiter) {
+      row.push(cell.trim());
+      cell = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && text[i + 1] === '\n') i++;
+      row.push(cell.trim());
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += ch;
+    }
+  }
+  row.push(cell.trim());
+  rows.push(row);
+
+  return rows.filter(r => r.some(c => c !== ''));
+};
+
+/** Maps each roster field to a column index (or -1) from the header row. */
+export const guessMapping = (headers) => {
+  const used = new Set();
+  const mapping = {};
+  HEADER_HINTS.forEach(([field, hints]) => {
+    const index = headers.findIndex((h, i) => !used.has(i) && hints.some(re => re.test(h.trim().toLowerCase())));
+    mapping[field] = index;
+    if (index >= 0) used.add(index);
+  });
+  // A lone unrecognized column is almost always a plain list of names.
+  if (headers.length === 1 && mapping.fullName < 0 && mapping.firstName < 0) mapping.fullName = 0;
+  return mapping;
+};
+
+const isTruthyFlag = (value, tag) => {
+  const v = String(value || '').trim().toLowerCase();
+  return ['y', 'yes', 'true', '1', 'x', '✓', 'active'].includes(v) || v === tag.toLowerCase();
+};
+
+const normalize = (value) => String(value || '').trim().toLowerCase();
+
+/** Header columns not mapped to a roster field; with a header row they import as custom attributes. */
+export const attributeColumns = (headers, mapping) => {
+  const used = new Set(Object.values(mapping));
+  return headers.map((header, index) => ({ header: header.trim(), index })).filter(({ header, index }) => header && !used.has(index));
+};
+
+/**
+ * Applies a mapping to data rows and validates them.
+ * `existing` is the class registry; matches against it are flagged so they are not duplicated.
+ * Returns [{ line, name, preferredName, sisId, tags, notes, attributes, errors: [], duplicateOf }].
+ */
+export const buildRoster = (rows, mapping, { hasHeader = true, existing = {} } = {}) => {
+  const cell = (row, field) => (mapping[field] >= 0 ? row[mapping[field]] || '' : '');
+  const extras = hasHeader ? attributeColumns(rows[0] || [], mapping) : [];
+  const seenNames = new Map(), seenIds = new Map();
+  const existingList = Object.values(existing);
+
+  return rows.slice(hasHeader ? 1 : 0).map((row, i) => {
+    const line = i + (hasHeader ? 2 : 1);
+    const first = cell(row, 'firstName'), last = cell(row, 'lastName');
+    // SIS exports often write a single name column as "Last, First".
+    const full = cell(row, 'fullName').replace(/^([^,]+),\s*(.+)$/, '$2 $1');
+    const name = (full || [first, last].filter(Boolean).join(' ')).replace(/\s+/g, ' ').trim();
+    const sisId = cell(row, 'sisId').trim();
+    const tags = new Set(tagsFromText(cell(row, 'accommodations')));
+    ACCOMMODATION_TAGS.forEach(tag => { if (isTruthyFlag(cell(row, tag), tag)) tags.add(tag); });
+
+    const entry = {
+      line,
+      name,
+      preferredName: cell(row, 'preferredName').trim(),
+      sisId,
+      tags: [...tags],
+      notes: cell(row, 'notes').trim(),
+      attributes: Object.fromEntries(extras.map(({ header, index }) => [header, (row[index] || '').trim()]).filter(([, value]) => value)),
+      errors: [],
+      duplicateOf: null,
+    };
+
+    if (!name) entry.errors.push('Blank name');
+    if (sisId && seenIds.has(sisId)) entry.errors.push(`Duplicate ID (line ${seenIds.get(sisId)})`);
+    else if (name && seenNames.has(normalize(name)) && !sisId) entry.errors.push(`Duplicate name (line ${seenNames.get(normalize(name))})`);
+
+    const match = existingList.find(s => (sisId && s.sisId === sisId) || (!sisId && name && normalize(s.name) === normalize(name)));
+    if (match) entry.duplicateOf = match.id;
+
+    if (name && !seenNames.has(normalize(name))) seenNames.set(normalize(name), line);
+    if (sisId && !seenIds.has(sisId)) seenIds.set(sisId, line);
+    return entry;
+  });
+};
+
+/**
+ * Merges validated entries into a class. "replace" starts a fresh registry; "add" keeps
+ * everyone and folds matching rows into their existing records. New students fill empty
+ * desks front-to-back; anyone left over stays unassigned.
+ */
+export const mergeRoster = ({ students, seats, desks }, entries, mode = 'add') => {
+  const nextStudents = mode === 'replace' ? {} : { ...students };
+  const nextSeats = mode === 'replace' ? {} : { ...seats };
+  const added = [];
+
+  entries.filter(e => e.errors.length === 0).forEach(entry => {
+    const current = mode === 'add' && entry.duplicateOf ? nextStudents[entry.duplicateOf] : null;
+    if (current) {
+      nextStudents[current.id] = {
+        ...current,
+        preferredName: entry.preferredName || current.preferredName,
+        sisId: entry.sisId || current.sisId,
+        tags: [...new Set([...current.tags, ...entry.tags])],
+        notes: entry.notes || current.notes,
+        attributes: { ...current.attributes, ...entry.attributes },
+      };
+      return;
+    }
+    const student = createStudent(entry);
+    nextStudents[student.id] = student;
+    added.push(student.id);
+  });
+
+  const freeDesks = sortCoords(desks).filter(coord => !nextSeats[coord]);
+  added.forEach((id, i) => { if (freeDesks[i]) nextSeats[freeDesks[i]] = id; });
+
+  return { students: nextStudents, seats: nextSeats, added };
+};
@@ -0,0 +1,72 @@
+/**
+ * FELIX Rotation Planner
+ * - A rotation is a dated copy of a published chart (desks, room objects and seats) kept with the class.
+ * - "Next rotation" re-runs the solver with a cost on repeating recent neighbors or seats.
+ * - Accommodation front-row placement is always enforced, even if no rule was added for it.
+ */
+import { makeId } from './ids.js';
+import { solveSeating, sortCoords, neighborPairs, parseCoord } from './solver.js';
+
+export const DEFAULT_LOOKBACK = 3;
+
+export const createRotation = ({ seats, desks, fixtures = {}, gridSize, label, at = new Date().toISOString() }) => ({
+  id: makeId('rotation'),
+  label,
+  at,
+  gridSize: { ...gridSize },
+  desks: sortCoords(desks),
+  fixtures: { ...fixtures },
+  seats: { ...seats },
+});
+
+/**
+ * Room objects to restore with `rotation`. Rotations saved before objects were recorded keep
+ * the current objects, minus any that would sit on a restored desk or off the restored grid.
+ */
+export const rotationFixtures = (rotation, fixtures) => {
+  if (rotation.fixtures) return { ...rotation.fixtures };
+  const desks = new Set(rotation.desks);
+  return Object.fromEntries(Object.entries(fixtures).filter(([coord]) => {
+    const { r, c } = parseCoord(coord);
+    return !desks.has(coord) && r < rotation.gridSize.rows && c < rotation.gridSize.cols;
+  }));
+};
+
+/** True when `seats` is exactly the seating stored in `rotation`. */
+export const matchesRotation = (rotation, seats) => {
+  if (!rotation) return false;
+  const a = Object.entries(rotation.seats).filter(([, id]) => id);
+  const b = Object.entries(seats).filter(([, id]) => id);
+  return a.length === b.length && a.every(([coord, id]) => seats[coord] === id);
+};
+
+/** Neighbor pairs and seats used in the last `lookback` rotations, in the shape solveSeating expects. */
+export const buildAvoidance = (rotations, lookback = DEFAULT_LOOKBACK) => {
+  const neighbors = new Set();
+  const seats = new Map();
+  rotations.slice(-Math.max(1, lookback)).forEach(rotation => {
+    neighborPairs(rotation.seats).forEach(key => neighbors.add(key));
+    Object.entries(rotation.seats).forEach(([coord, id]) => {
+      if (!seats.has(id)) seats.set(id, new Set());
+      seats.get(id).add(coord);
+    });
+  });
+  return { neighbors, seats };
+};
+
+export const withFrontRowRule = (rules) => (rules.some(r => r.type === 'front')
+  ? rules
+  : [...rules, { id: 'rotation-front-row', type: 'front', tags: [], maxRow: 1, hard: true }]);
+
+/**
+ * Solves the next chart for `students` ([{ id, name, tags }]). The seed is advanced per
+ * rotation so consecutive plans differ even when nothing else has changed.
+ */
+export const planNextRotation = ({ students, desks, rules, fixtures, rotations, lookback, seed }) => solveSeating({
+  students,
+  desks,
+  rules: withFrontRowRule(rules),
+  fixtures,
+  avoid: buildAvoidance(rotations, lookback),
+  seed: `${seed}:rotation-${rotations.length + 1}`,
+});
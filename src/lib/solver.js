@@ -0,0 +1,233 @@
+/**
+ * FELIX Offline Seating Solver
+ * - Deterministic: the same roster, desks, rules and seed always give the same chart.
+ * - Hard rules are weighted far above soft preferences, then refined by seeded swap search.
+ * - Every rule that could not be met is reported back instead of failing silently.
+ */
+import { ACCOMMODATION_TAGS } from './students.js';
+import { FIXTURE_TYPES, NEAR_DISTANCE, distanceToFixture } from './room.js';
+
+export const RULE_TYPES = {
+  front: 'Accommodations up front',
+  apart: 'Keep apart',
+  together: 'Keep together',
+  pin: 'Pin to seat',
+  zone: 'Seat preference',
+  fixture: 'Near / away from object',
+};
+
+const HARD_WEIGHT = 1000;
+const SOFT_WEIGHT = 10;
+// Repeats from past rotations matter less than any explicit preference.
+const REPEAT_WEIGHT = 3;
+const RESTARTS = 4;
+
+// --- Seeded RNG (mulberry32 over a string hash) ---
+const hashSeed = (seed) => {
+  let h = 1779033703 ^ String(seed).length;
+  for (const ch of String(seed)) {
+    h = Math.imul(h ^ ch.charCodeAt(0), 3432918353);
+    h = (h << 13) | (h >>> 19);
+  }
+  return h >>> 0;
+};
+
+export const createRng = (seed) => {
+  let a = hashSeed(seed);
+  return () => {
+    a = (a + 0x6D2B79F5) | 0;
+    let t = Math.imul(a ^ (a >>> 15), 1 | a);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+export const seededShuffle = (items, rng) => {
+  const out = [...items];
+  for (let i = out.length - 1; i > 0; i--) {
+    const j = Math.floor(rng() * (i + 1));
+    [out[i], out[j]] = [out[j], out[i]];
+  }
+  return out;
+};
+
+// --- Geometry ---
+export const parseCoord = (key) => {
+  const [r, c] = key.split('-').map(Number);
+  return { r, c };
+};
+
+const compareCoords = (a, b) => {
+  const pa = parseCoord(a), pb = parseCoord(b);
+  return pa.r - pb.r || pa.c - pb.c;
+};
+
+export const sortCoords = (coords) => [...coords].sort(compareCoords);
+
+export const areNeighbors = (a, b) => {
+  const pa = parseCoord(a), pb = parseCoord(b);
+  return Math.max(Math.abs(pa.r - pb.r), Math.abs(pa.c - pb.c)) === 1;
+};
+
+export const pairKey = (a, b) => (a < b ? `${a}|${b}` : `${b}|${a}`);
+
+/** Every pair of seated students who are neighbors in `assignments` ({ coord: id }), each listed once. */
+export const neighborPairs = (assignments) => {
+  const pairs = [];
+  Object.entries(assignments).forEach(([coord, id]) => {
+    if (!id) return;
+    const { r, c } = parseCoord(coord);
+    [[0, 1], [1, -1], [1, 0], [1, 1]].forEach(([dr, dc]) => {
+      const other = assignments[`${r + dr}-${c + dc}`];
+      if (other) pairs.push(pairKey(id, other));
+    });
+  });
+  return pairs;
+};
+
+const zoneRows = (desks) => {
+  const rows = [...new Set(desks.map(d => parseCoord(d).r))].sort((a, b) => a - b);
+  const half = Math.ceil(rows.length / 2);
+  return { front: new Set(rows.slice(0, half)), back: new Set(rows.slice(rows.length - half)) };
+};
+
+// --- Rule Description & Evaluation ---
+export const describeRule = (rule, nameOf = (id) => id) => {
+  switch (rule.type) {
+    case 'front': return `${(rule.tags?.length ? rule.tags : ACCOMMODATION_TAGS).join('/')} in row ${rule.maxRow === 0 ? '0' : `0–${rule.maxRow}`}`;
+    case 'apart': return `Keep ${nameOf(rule.a)} and ${nameOf(rule.b)} apart`;
+    case 'together': return `Keep ${nameOf(rule.a)} and ${nameOf(rule.b)} together`;
+    case 'pin': return `Pin ${nameOf(rule.student)} to ${rule.seat.replace('-', ':')}`;
+    case 'zone': return `${nameOf(rule.student)} prefers the ${rule.zone}`;
+    case 'fixture': return `${nameOf(rule.student)} ${rule.relation === 'away' ? 'away from' : 'near'} ${FIXTURE_TYPES[rule.fixture]?.phrase || 'room object'}`;
+    default: return 'Unknown rule';
+  }
+};
+
+/**
+ * Returns one entry per broken rule (or per student for tag-based rules).
+ * `seatOf` maps student id -> coord for everyone currently seated.
+ */
+const evaluateRules = (rules, students, seatOf, zones, fixtures) => {
+  const broken = [];
+  const byId = new Map(students.map(s => [s.id, s]));
+  const nameOf = (id) => byId.get(id)?.name || 'removed student';
+
+  rules.forEach(rule => {
+    const fail = (detail) => {
+      const label = describeRule(rule, nameOf);
+      broken.push({ rule, hard: rule.hard !== false, message: detail ? `${label} (${detail})` : label });
+    };
+
+    if (rule.type === 'front') {
+      const tags = rule.tags?.length ? rule.tags : ACCOMMODATION_TAGS;
+      students.forEach(s => {
+        if (!s.tags.some(t => tags.includes(t))) return;
+        const seat = seatOf.get(s.id);
+        if (seat && parseCoord(seat).r > rule.maxRow) fail(`${s.name} is in row ${parseCoord(seat).r}`);
+      });
+    } else if (rule.type === 'apart' || rule.type === 'together') {
+      if (!byId.has(rule.a) || !byId.has(rule.b)) return fail('student not on roster');
+      const a = seatOf.get(rule.a), b = seatOf.get(rule.b);
+      if (!a || !b) return fail('student not seated');
+      if (rule.type === 'apart' && areNeighbors(a, b)) fail();
+      if (rule.type === 'together' && !areNeighbors(a, b)) fail();
+    } else if (rule.type === 'pin') {
+      if (seatOf.get(rule.student) !== rule.seat) fail();
+    } else if (rule.type === 'zone') {
+      const seat = seatOf.get(rule.student);
+      if (seat && !zones[rule.zone]?.has(parseCoord(seat).r)) fail();
+    } else if (rule.type === 'fixture') {
+      const seat = seatOf.get(rule.student);
+      if (!seat) return;
+      const distance = distanceToFixture(seat, fixtures, rule.fixture);
+      if (distance === Infinity) return fail(`no ${FIXTURE_TYPES[rule.fixture]?.label.toLowerCase() || 'object'} placed`);
+      if (rule.relation === 'away' ? distance <= NEAR_DISTANCE : distance > NEAR_DISTANCE) fail();
+    }
+  });
+  return broken;
+};
+
+/** Broken rules for a finished chart ({ coord: id }), for tools that seat students without the solver. */
+export const ruleViolations = ({ rules, students, assignments, desks, fixtures = {} }) => evaluateRules(
+  rules, students, new Map(Object.entries(assignments).map(([coord, id]) => [id, coord])), zoneRows(sortCoords(desks)), fixtures,
+);
+
+const scoreOf = (broken) => broken.reduce((sum, v) => sum + (v.hard ? HARD_WEIGHT : SOFT_WEIGHT), 0);
+
+/** Neighbor pairs and seats that `avoid` ({ neighbors: Set<pairKey>, seats: Map<id, Set<coord>> }) has seen before. */
+const repeatsOf = (seatOf, avoid) => {
+  if (!avoid) return { neighbors: [], seats: [] };
+  const assignments = Object.fromEntries([...seatOf].map(([id, coord]) => [coord, id]));
+  return {
+    neighbors: neighborPairs(assignments).filter(key => avoid.neighbors.has(key)),
+    seats: [...seatOf].filter(([id, coord]) => avoid.seats.get(id)?.has(coord)).map(([id]) => id),
+  };
+};
+
+/**
+ * Seats `students` ([{ id, name, tags }]) into `desks` (["row-col"]) honoring `rules`.
+ * `fixtures` ({ coord: type }) is only needed for near/away-from-object rules.
+ * `avoid` (see repeatsOf) adds a small cost for repeating past neighbors or seats.
+ * Returns { assignments: { coord: id }, violations: [{ rule, hard, message }], unseated: [id], repeats }.
+ */
+export const solveSeating = ({ students, desks, rules = [], fixtures = {}, avoid = null, seed = 'felix', iterations = 3000 }) => {
+  const rng = createRng(seed);
+  const orderedDesks = sortCoords(desks);
+  const deskSet = new Set(orderedDesks);
+  const zones = zoneRows(orderedDesks);
+
+  // Pins claim their seats before anyone else is placed.
+  const pinned = new Map();
+  rules.filter(r => r.type === 'pin' && r.hard !== false).forEach(r => {
+    const known = students.some(s => s.id === r.student);
+    const taken = [...pinned.values()].includes(r.seat);
+    if (known && deskSet.has(r.seat) && !taken && !pinned.has(r.student)) pinned.set(r.student, r.seat);
+  });
+
+  const lockedSeats = new Set(pinned.values());
+  const openDesks = orderedDesks.filter(d => !lockedSeats.has(d));
+  const movable = students.filter(s => !pinned.has(s.id));
+  const unseated = movable.slice(openDesks.length).map(s => s.id);
+  const placeable = movable.slice(0, openDesks.length);
+
+  const evaluate = (slots) => {
+    const seatOf = new Map(pinned);
+    slots.forEach((id, i) => { if (id) seatOf.set(id, openDesks[i]); });
+    const repeats = repeatsOf(seatOf, avoid);
+    return scoreOf(evaluateRules(rules, students, seatOf, zones, fixtures))
+      + (repeats.neighbors.length + repeats.seats.length) * REPEAT_WEIGHT;
+  };
+
+  let best = null;
+  for (let attempt = 0; attempt < RESTARTS; attempt++) {
+    // Slots mirror openDesks; empty desks are null so students can move into them.
+    const slots = seededShuffle([...placeable.map(s => s.id), ...Array(openDesks.length - placeable.length).fill(null)], rng);
+    let score = evaluate(slots);
+
+    for (let i = 0; i < iterations && score > 0 && slots.length > 1; i++) {
+      const x = Math.floor(rng() * slots.length);
+      const y = Math.floor(rng() * slots.length);
+      if (x === y || (!slots[x] && !slots[y])) continue;
+      [slots[x], slots[y]] = [slots[y], slots[x]];
+      const next = evaluate(slots);
+      if (next <= score) score = next;
+      else [slots[x], slots[y]] = [slots[y], slots[x]];
+    }
+
+    if (!best || score < best.score) best = { score, slots: [...slots] };
+    if (score === 0) break;
+  }
+
+  const assignments = {};
+  pinned.forEach((seat, id) => { assignments[seat] = id; });
+  (best?.slots || []).forEach((id, i) => { if (id) assignments[openDesks[i]] = id; });
+
+  const seatOf = new Map(Object.entries(assignments).map(([coord, id]) => [id, coord]));
+  return {
+    assignments,
+    violations: evaluateRules(rules, students, seatOf, zones, fixtures),
+    unseated,
+    repeats: repeatsOf(seatOf, avoid),
+  };
+};
@@ -0,0 +1,148 @@
+/**
+ * FELIX Local Workspace Store
+ * - Every class/period is a self-contained record: room, roster and details.
+ * - Records are kept in localStorage so a refresh never wipes a chart.
+ * - The last open class is remembered and restored on load.
+ * - Older saves are migrated forward when they are read.
+ * - Failed saves and unreadable data are reported to the app, never silently dropped.
+ */
+import { makeId } from './ids.js';
+import { migrateLegacySeating } from './students.js';
+import { DEFAULT_AI_SETTINGS } from './providers.js';
+
+const STORAGE_KEY = 'felix.workspace';
+const SCHEMA_VERSION = 2;
+
+export const DEFAULT_GRID = { rows: 7, cols: 9 };
+export const DEFAULT_DESKS = ['1-2', '1-3', '1-5', '1-6', '3-2', '3-3', '3-5', '3-6'];
+
+export const createClassRecord = (overrides = {}) => ({
+  id: makeId('class'),
+  gridSize: { ...DEFAULT_GRID },
+  desks: [...DEFAULT_DESKS],
+  fixtures: {},
+  seats: {},
+  students: {},
+  rules: [],
+  solverSeed: 'felix',
+  rotations: [],
+  subNotes: '',
+  attendance: {},
+  participation: {},
+  groupSets: [],
+  activeGroupSetId: null,
+  ...overrides,
+  details: {
+    className: 'Class Layout',
+    period: 'Section 001',
+    date: new Date().toLocaleDateString(),
+    ...(overrides.details || {}),
+  },
+});
+
+export const duplicateClassRecord = (record) => {
+  const copy = JSON.parse(JSON.stringify(record));
+  return createClassRecord({
+    ...copy,
+    id: makeId('class'),
+    // Attendance and participation belong to the period that recorded them, not to the copy.
+    attendance: {},
+    participation: {},
+    details: { ...copy.details, className: `${copy.details.className} (Copy)` },
+  });
+};
+
+// v1 kept names and accommodations by coordinate; v2 keys both by student ID.
+const migrateRecord = (record) => {
+  if (record.students) return record;
+  const { studentMetadata, ...rest } = record;
+  const { students, seats, idForName } = migrateLegacySeating(record.seats, studentMetadata);
+  const remap = (name) => idForName[name] || name;
+  const rules = (record.rules || []).map(rule => ({
+    ...rule,
+    ...(rule.a ? { a: remap(rule.a) } : {}),
+    ...(rule.b ? { b: remap(rule.b) } : {}),
+    ...(rule.student ? { student: remap(rule.student) } : {}),
+  }));
+  return { ...rest, students, seats, rules };
+};
+
+const freshWorkspace = (extra = {}) => {
+  const first = createClassRecord();
+  return { activeClassId: first.id, classes: [first], notice: null, canSave: true, ...extra };
+};
+
+// Unreadable saves are copied aside before starting fresh, so the next autosave can't destroy them.
+const BACKUP_PREFIX = 'felix.workspace.unreadable-';
+
+const backUpUnreadable = (raw) => {
+  const key = `${BACKUP_PREFIX}${new Date().toISOString()}`;
+  try {
+    window.localStorage.setItem(key, raw);
+    return key;
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Reads the saved workspace. Returns { activeClassId, classes, notice, canSave }:
+ * `notice` is a message for the teacher when saved data could not be used, and `canSave`
+ * is false when unreadable data could not be backed up, so autosave must not replace it yet.
+ */
+export const loadWorkspace = () => {
+  let raw;
+  try {
+    raw = window.localStorage.getItem(STORAGE_KEY);
+  } catch {
+    return freshWorkspace({ notice: 'This browser is blocking storage, so charts will not be kept after Felix is closed.' });
+  }
+  if (!raw) return freshWorkspace();
+
+  try {
+    const parsed = JSON.parse(raw);
+    if (!Array.isArray(parsed?.classes) || parsed.classes.length === 0) throw new Error('No classes in saved workspace');
+    const classes = parsed.classes.map(record => createClassRecord(migrateRecord(record)));
+    const activeClassId = classes.some(c => c.id === parsed.activeClassId) ? parsed.activeClassId : classes[0].id;
+    return { activeClassId, classes, notice: null, canSave: true };
+  } catch {
+    const backupKey = backUpUnreadable(raw);
+    return backupKey
+      ? freshWorkspace({ notice: `Your saved classes could not be read, so Felix started fresh. The unreadable copy is kept in this browser's storage as "${backupKey}".` })
+      : freshWorkspace({ notice: 'Your saved classes could not be read or backed up. Saving is paused so they are not overwritten.', canSave: false });
+  }
+};
+
+/** Returns null once saved, or a message for the teacher when the browser refused the save. */
+export const saveWorkspace = ({ activeClassId, classes }) => {
+  try {
+    window.localStorage.setItem(STORAGE_KEY, JSON.stringify({ version: SCHEMA_VERSION, activeClassId, classes }));
+    return null;
+  } catch (e) {
+    return e?.name === 'QuotaExceededError'
+      ? 'Browser storage is full, so recent changes are not being saved. Delete old classes, or download a layout file (Export → Share / Import Layout) to keep a copy.'
+      : 'Changes could not be saved in this browser. Download a layout file (Export → Share / Import Layout) to keep a copy.';
+  }
+};
+
+// --- AI Provider Settings ---
+// Device-level, not per class: one teacher, one endpoint. Keys never leave this browser except to the provider.
+const AI_SETTINGS_KEY = 'felix.ai';
+
+export const loadAiSettings = () => {
+  try {
+    const raw = window.localStorage.getItem(AI_SETTINGS_KEY);
+    return { ...DEFAULT_AI_SETTINGS, ...(raw ? JSON.parse(raw) : {}) };
+  } catch {
+    return { ...DEFAULT_AI_SETTINGS };
+  }
+};
+
+export const saveAiSettings = (settings) => {
+  try {
+    window.localStorage.setItem(AI_SETTINGS_KEY, JSON.stringify(settings));
+    return true;
+  } catch {
+    return false;
+  }
+};
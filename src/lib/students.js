@@ -0,0 +1,96 @@
+/**
+ * FELIX Student Registry
+ * - Students are keyed by stable IDs; seats only reference those IDs.
+ * - Accommodation tags, notes and preferred names live on the student record,
+ *   so moving, sorting or shuffling can never leave a badge on the wrong child.
+ */
+import { makeId } from './ids.js';
+
+export const ACCOMMODATION_TAGS = ['IEP', '504', 'ELL'];
+
+export const createStudent = ({ name = '', preferredName = '', sisId = '', tags = [], notes = '', attributes = {} } = {}) => ({
+  id: makeId('stu'),
+  name: name.trim(),
+  preferredName: preferredName.trim(),
+  sisId: sisId.trim(),
+  tags: [...new Set(tags)],
+  notes,
+  // Teacher-defined columns such as "Reading level"; used to balance cooperative groups.
+  attributes: { ...attributes },
+});
+
+export const displayName = (student) => student?.preferredName || student?.name || '';
+
+export const isPriority = (student) => (student?.tags || []).some(t => ACCOMMODATION_TAGS.includes(t));
+
+// Whole tokens only (an optional plural "s" allowed), so "Mitchell" is not ELL and "Room 504B" is not 504.
+const TAG_PATTERNS = Object.fromEntries(ACCOMMODATION_TAGS.map(tag => [tag, new RegExp(`(^|[^A-Z0-9])${tag}S?([^A-Z0-9]|$)`)]));
+
+/** Pulls known accommodation tags out of free text such as "IEP|504" or "ell". */
+export const tagsFromText = (text = '') => {
+  const upper = String(text ?? '').toUpperCase();
+  return ACCOMMODATION_TAGS.filter(tag => TAG_PATTERNS[tag].test(upper));
+};
+
+/** Splits Gem Engine free text ("John Doe - IEP, Jane Smith (504)") into { name, tags } entries. */
+export const parseRosterText = (text) => String(text || '')
+  .split(/[\n,;]+/)
+  .map(entry => entry.trim())
+  .filter(Boolean)
+  .map(entry => {
+    const [name, ...rest] = entry.split(/\s+-\s+|\s*\(/);
+    return { name: name.replace(/[()]/g, '').trim(), tags: tagsFromText(rest.join(' ')), note: rest.join(' ').replace(/[()]/g, '').trim() };
+  })
+  .filter(entry => entry.name);
+
+const normalize = (name) => String(name || '').trim().toLowerCase();
+
+export const findStudentByName = (students, name, candidates = Object.keys(students)) => {
+  const target = normalize(name);
+  if (!target) return null;
+  const id = candidates.find(sid => normalize(students[sid]?.name) === target || normalize(students[sid]?.preferredName) === target);
+  return id ? students[id] : null;
+};
+
+export const seatedIds = (seats) => new Set(Object.values(seats).filter(Boolean));
+
+export const unassignedIds = (students, seats) => {
+  const seated = seatedIds(seats);
+  return Object.keys(students).filter(id => !seated.has(id));
+};
+
+/** Inverse of `seats`: student ID -> coordinate. */
+export const seatIndex = (seats) => Object.fromEntries(Object.entries(seats).filter(([, id]) => id).map(([coord, id]) => [id, coord]));
+
+/**
+ * Converts the legacy coordinate-keyed model ({ coord: name } + { coord: { type } })
+ * into a registry plus ID-based seats. Returns { students, seats, idForName }.
+ */
+export const migrateLegacySeating = (legacySeats = {}, legacyMetadata = {}) => {
+  const students = {}, seats = {}, idForName = {};
+  Object.entries(legacySeats).forEach(([coord, name]) => {
+    if (!name || !String(name).trim()) return;
+    const student = createStudent({ name: String(name), tags: tagsFromText(legacyMetadata[coord]?.type) });
+    students[student.id] = student;
+    seats[coord] = student.id;
+    idForName[student.name] = idForName[student.name] || student.id;
+  });
+  return { students, seats, idForName };
+};
+
+/**
+ * Puts a student on `target`: swaps with the occupant when the student came from another
+ * desk, otherwise (coming from the unassigned tray) the occupant becomes unassigned.
+ */
+export const moveStudentToSeat = (seats, studentId, target) => {
+  const from = Object.keys(seats).find(coord => seats[coord] === studentId);
+  if (from === target) return seats;
+  const next = { ...seats };
+  const occupant = next[target];
+  if (from) {
+    if (occupant) next[from] = occupant;
+    else delete next[from];
+  }
+  next[target] = studentId;
+  return next;
+};
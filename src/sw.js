@@ -0,0 +1,38 @@
+/**
+ * FELIX Service Worker
+ * - Precaches the whole Vite build, so every non-AI feature works with no connection at all.
+ * - Page loads get the cached app shell; other same-origin files are served cache-first.
+ * - A new deploy installs alongside the old one and waits until the app asks it to take over.
+ * - Requests to other origins (AI providers, ads) are never intercepted.
+ *
+ * Built by the service worker plugin in vite.config.js, which fills in the file list below.
+ */
+const BUILD = self.__FELIX_BUILD__;
+const CACHE = `felix-${BUILD.version}`;
+const SHELL = '/index.html';
+
+self.addEventListener('install', (event) => {
+  // "reload" skips the HTTP cache so a deploy never precaches a stale copy of a file.
+  event.waitUntil(caches.open(CACHE).then(cache => cache.addAll(BUILD.files.map(url => new Request(url, { cache: 'reload' })))));
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(keys.filter(key => key.startsWith('felix-') && key !== CACHE).map(key => caches.delete(key))))
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener('message', (event) => {
+  if (event.data?.type === 'SKIP_WAITING') self.skipWaiting();
+});
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET' || new URL(request.url).origin !== self.location.origin) return;
+  const cached = request.mode === 'navigate'
+    ? caches.match(SHELL, { cacheName: CACHE })
+    : caches.match(request, { cacheName: CACHE });
+  event.respondWith(cached.then(response => response || fetch(request)));
+});
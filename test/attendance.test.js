@@ -0,0 +1,44 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { nextStatus, setStatus, summarize, dateKey, attendanceCsv } from '../src/lib/attendance.js';
+
+test('clicking cycles unmarked → present → absent → tardy → excused → unmarked', () => {
+  const seen = [];
+  let status;
+  for (let i = 0; i < 5; i++) seen.push(status = nextStatus(status));
+  assert.deepEqual(seen, ['present', 'absent', 'tardy', 'excused', undefined]);
+});
+
+test('setStatus clears a mark and drops days with no marks left', () => {
+  let attendance = setStatus({}, '2026-09-01', 's1', 'present');
+  attendance = setStatus(attendance, '2026-09-01', 's2', 'absent');
+  assert.deepEqual(attendance, { '2026-09-01': { s1: 'present', s2: 'absent' } });
+  attendance = setStatus(attendance, '2026-09-01', 's1', undefined);
+  assert.deepEqual(attendance, { '2026-09-01': { s2: 'absent' } });
+  assert.deepEqual(setStatus(attendance, '2026-09-01', 's2', null), {});
+  assert.deepEqual(summarize(attendance['2026-09-01'], ['s1', 's2']), { present: 0, absent: 1, tardy: 0, excused: 0, unmarked: 1 });
+});
+
+test('dateKey uses the local calendar date', () => {
+  assert.equal(dateKey(new Date(2026, 0, 5, 23, 30)), '2026-01-05');
+});
+
+test('CSV export covers only recorded days in the range, one row per student', () => {
+  const attendance = {
+    '2026-09-01': { s1: 'present' },
+    '2026-09-02': { s1: 'tardy', s2: 'excused' },
+    '2026-09-08': { s2: 'absent' },
+  };
+  const students = {
+    s1: { id: 's1', name: 'Ben, Jr.', sisId: '1002' },
+    s2: { id: 's2', name: 'Ada', sisId: '1001' },
+  };
+  const csv = attendanceCsv({ attendance, students, details: { className: 'Algebra', period: '3' }, from: '2026-09-01', to: '2026-09-07' });
+  assert.deepEqual(csv.split('\r\n'), [
+    'Date,Class,Period,Student ID,Student Name,Status,Code',
+    '2026-09-01,Algebra,3,1001,Ada,Unmarked,',
+    '2026-09-01,Algebra,3,1002,"Ben, Jr.",Present,P',
+    '2026-09-02,Algebra,3,1001,Ada,Excused,E',
+    '2026-09-02,Algebra,3,1002,"Ben, Jr.",Tardy,T',
+  ]);
+});
@@ -0,0 +1,23 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { csvCell, toCsv } from '../src/lib/download.js';
+
+test('csvCell quotes commas, quotes and line breaks', () => {
+  assert.equal(csvCell('Biology, Honors'), '"Biology, Honors"');
+  assert.equal(csvCell('Says "hi"'), '"Says ""hi"""');
+  assert.equal(csvCell('two\nlines'), '"two\nlines"');
+  assert.equal(csvCell(undefined), '');
+  assert.equal(csvCell(3), '3');
+});
+
+test('csvCell keeps spreadsheets from reading free text as a formula', () => {
+  assert.equal(csvCell('=HYPERLINK("http://x")'), '"\'=HYPERLINK(""http://x"")"');
+  assert.equal(csvCell('+1 extra credit'), "'+1 extra credit");
+  assert.equal(csvCell('-tired today'), "'-tired today");
+  assert.equal(csvCell('@home'), "'@home");
+  assert.equal(csvCell(-1), '-1');
+});
+
+test('toCsv joins rows with CRLF', () => {
+  assert.equal(toCsv([['Name', 'Seat'], ['Ana', 1]]), 'Name,Seat\r\nAna,1');
+});
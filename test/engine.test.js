@@ -0,0 +1,111 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as engine from '../src/lib/engine.js';
+import { createStudent } from '../src/lib/students.js';
+import { buildChartScene, pdfUnsupportedText } from '../src/lib/chartExport.js';
+
+const student = (name, tags = []) => createStudent({ name, tags });
+
+/** 2×3 room, desks on the front row, Cara/Ana/Ben seated left to right. */
+const sampleChart = () => {
+  const cara = student('Cara'), ana = student('Ana', ['IEP']), ben = student('Ben');
+  return {
+    gridSize: { rows: 2, cols: 3 },
+    desks: ['0-0', '0-1', '0-2', '1-1'],
+    fixtures: { '1-0': 'door' },
+    seats: { '0-0': cara.id, '0-1': ana.id, '0-2': ben.id },
+    students: { [cara.id]: cara, [ana.id]: ana, [ben.id]: ben },
+    details: { className: 'Biology', period: '3' },
+  };
+};
+
+const seatedNames = (chart) => Object.fromEntries(Object.entries(chart.seats).map(([coord, id]) => [coord, chart.students[id].name]));
+
+test('toggleDesk adds a desk, and removing one unseats its student', () => {
+  const chart = sampleChart();
+  const added = engine.toggleDesk(chart, '1-2');
+  assert.deepEqual(added.desks, ['0-0', '0-1', '0-2', '1-1', '1-2']);
+
+  const removed = engine.toggleDesk(chart, '0-1');
+  assert.deepEqual(removed.desks, ['0-0', '0-2', '1-1']);
+  assert.deepEqual(seatedNames(removed), { '0-0': 'Cara', '0-2': 'Ben' });
+  assert.equal(Object.keys(removed.students).length, 3);
+  assert.equal(Object.keys(chart.seats).length, 3, 'input chart is not mutated');
+});
+
+test('sortAlpha seats students A–Z front-to-back', () => {
+  assert.deepEqual(seatedNames(engine.sortAlpha(sampleChart())), { '0-0': 'Ana', '0-1': 'Ben', '0-2': 'Cara' });
+});
+
+test('shuffleSeats is repeatable for a seed and keeps everyone seated', () => {
+  const chart = sampleChart();
+  const first = engine.shuffleSeats(chart, 'period-3');
+  assert.deepEqual(engine.shuffleSeats(chart, 'period-3').seats, first.seats);
+  assert.deepEqual(Object.values(first.seats).sort(), Object.values(chart.seats).sort());
+  Object.keys(first.seats).forEach(coord => assert.ok(chart.desks.includes(coord)));
+});
+
+test('mergeGemResponse applies a valid response and rejects an invalid one', () => {
+  const chart = sampleChart();
+  const merged = engine.mergeGemResponse(chart, '```json\n{"assignments": {"0-0": "Ben", "0-2": "Cara", "1-2": "Dana"}, "metadata": {"1-2": {"type": "ELL"}}}\n```');
+  assert.deepEqual(merged.errors, []);
+  assert.deepEqual(seatedNames(merged.chart), { '0-0': 'Ben', '0-1': 'Ana', '0-2': 'Cara', '1-2': 'Dana' });
+  assert.ok(merged.chart.desks.includes('1-2'), 'a placement off the desks adds the desk');
+  assert.deepEqual(Object.values(merged.chart.students).find(s => s.name === 'Dana').tags, ['ELL']);
+
+  const offGrid = engine.mergeGemResponse(chart, { assignments: { '5-5': 'Ana' } });
+  assert.equal(offGrid.chart, chart);
+  assert.equal(offGrid.errors.length, 1);
+  assert.deepEqual(engine.mergeGemResponse(chart, 'not json').errors, ['Response is not valid JSON.']);
+});
+
+test('row and column transforms move desks, objects and seats together', () => {
+  const chart = sampleChart();
+  const inserted = engine.applyTransform(chart, engine.insertRow(chart.gridSize, 0));
+  assert.deepEqual(inserted.chart.gridSize, { rows: 3, cols: 3 });
+  assert.deepEqual(inserted.chart.desks, ['1-0', '1-1', '1-2', '2-1']);
+  assert.deepEqual(inserted.chart.fixtures, { '2-0': 'door' });
+  assert.deepEqual(inserted.displaced, []);
+
+  const deleted = engine.applyTransform(chart, engine.deleteColumn(chart.gridSize, 1));
+  assert.deepEqual(deleted.chart.gridSize, { rows: 2, cols: 2 });
+  assert.deepEqual(seatedNames(deleted.chart), { '0-0': 'Cara', '0-1': 'Ben' });
+  assert.deepEqual(deleted.displaced.map(id => chart.students[id].name), ['Ana']);
+});
+
+test('flip, rotate, shift and resize map coordinates onto the new grid', () => {
+  const gridSize = { rows: 2, cols: 3 };
+  assert.equal(engine.flipLayout(gridSize, 'horizontal').map('0-0'), '0-2');
+  assert.equal(engine.flipLayout(gridSize, 'vertical').map('0-0'), '1-0');
+
+  const cw = engine.rotateLayout(gridSize, 'cw');
+  assert.deepEqual(cw.gridSize, { rows: 3, cols: 2 });
+  assert.equal(cw.map('0-0'), '0-1');
+  assert.equal(engine.rotateLayout(cw.gridSize, 'ccw').map(cw.map('1-2')), '1-2');
+
+  assert.equal(engine.shiftLayout(gridSize, 0, 1).map('0-1'), '0-2');
+  assert.equal(engine.shiftLayout(gridSize, 0, 1).map('0-2'), null);
+  assert.equal(engine.resizeLayout(gridSize, { cols: 2 }).map('1-2'), null);
+});
+
+test('chartToCsv lists every desk front-to-back and quotes awkward cells', () => {
+  const chart = sampleChart();
+  chart.details = { className: 'Biology, Honors', period: '3' };
+  const lines = engine.chartToCsv(chart).split('\r\n');
+  assert.equal(lines[0], 'Class,Period,Row,Seat,Coordinate,Student Name,Preferred Name,Student ID,Accommodations');
+  assert.equal(lines.length, 5);
+  assert.equal(lines[2], '"Biology, Honors",3,1,2,0-1,Ana,,,IEP');
+  assert.equal(lines[4], '"Biology, Honors",3,2,2,1-1,,,,');
+});
+
+test('pdfUnsupportedText flags names the PDF fonts cannot print', () => {
+  const chart = sampleChart();
+  const ana = Object.values(chart.students).find(s => s.name === 'Ana');
+  chart.students[ana.id] = { ...ana, name: 'Łucja Nguyễn' };
+  const unsupported = pdfUnsupportedText(buildChartScene(chart));
+  assert.ok(unsupported.some(text => text.includes('ŁUCJA')));
+  assert.ok(!unsupported.some(text => text.includes('CARA')));
+
+  chart.students[ana.id] = { ...ana, name: 'José Müller' };
+  assert.deepEqual(pdfUnsupportedText(buildChartScene(chart)), []);
+});
@@ -0,0 +1,61 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseGemText, validateGemResponse, buildProposal, applyProposal } from '../src/lib/gemReview.js';
+
+const gridSize = { rows: 3, cols: 3 };
+const chart = {
+  students: {
+    s1: { id: 's1', name: 'Ada', tags: [] },
+    s2: { id: 's2', name: 'Ben', tags: [] },
+    s3: { id: 's3', name: 'Cara', tags: ['ELL'] },
+  },
+  seats: { '0-0': 's1', '0-1': 's2', '1-0': 's3' },
+  desks: ['0-0', '0-1', '1-0', '1-1'],
+};
+
+test('malformed JSON is rejected before validation', () => {
+  assert.throws(() => parseGemText('{"assignments": {"0-0": "Ada"'), SyntaxError);
+  assert.deepEqual(parseGemText('```json\n{"assignments": {}}\n```'), { assignments: {} });
+  assert.deepEqual(validateGemResponse([], gridSize), ['Response is not a JSON object.']);
+  assert.equal(validateGemResponse({ assignments: ['Ada'] }, gridSize).length, 1);
+});
+
+test('out-of-grid, non-coordinate and room-object cells are rejected', () => {
+  const errors = validateGemResponse({ assignments: { '3-0': 'Ada', 'front-left': 'Ben', '2-2': 'Cara' } }, gridSize, { '2-2': 'door' });
+  assert.equal(errors.length, 3);
+  assert.match(errors[0], /outside the 3×3 grid/);
+  assert.match(errors[1], /not a row-col coordinate/);
+  assert.match(errors[2], /door/);
+});
+
+test('duplicate and dropped students are rejected', () => {
+  const expected = ['Ada', 'Ben', 'Cara'];
+  const duplicate = validateGemResponse({ assignments: { '0-0': 'Ada', '0-1': 'ada ', '1-0': 'Ben', '1-1': 'Cara' } }, gridSize, {}, expected);
+  assert.deepEqual(duplicate, ['ada is assigned to both 0-0 and 0-1.']);
+  const dropped = validateGemResponse({ assignments: { '0-0': 'Ada', '0-1': 'Ben' } }, gridSize, {}, expected);
+  assert.deepEqual(dropped, ['Cara was dropped from the output.']);
+  assert.deepEqual(validateGemResponse({ assignments: { '0-0': 'Ada', '0-1': 'Ben', '1-1': 'Cara' } }, gridSize, {}, expected), []);
+});
+
+test('changes are classified as new desks, adds, moves, removals and tag changes', () => {
+  const data = {
+    assignments: { '0-0': 'Ada', '2-0': 'Ben', '0-1': 'Dev', '1-0': 'Eli' },
+    metadata: { '0-0': { isPriority: true, type: 'IEP' }, '1-0': { isPriority: true, type: '504' } },
+  };
+  const { changes, newStudents } = buildProposal(chart, data);
+  const byType = (type) => changes.filter(c => c.type === type);
+  assert.deepEqual(byType('newDesk').map(c => c.coord), ['2-0']);
+  assert.deepEqual(byType('add').map(c => newStudents[c.studentId].name).sort(), ['Dev', 'Eli']);
+  assert.deepEqual(newStudents[byType('add').find(c => c.to === '1-0').studentId].tags, ['504']);
+  assert.deepEqual(byType('move').map(c => [c.studentId, c.from, c.to]), [['s2', '0-1', '2-0']]);
+  assert.deepEqual(byType('remove').map(c => [c.studentId, c.from]), [['s3', '1-0']]);
+  assert.deepEqual(byType('tags').map(c => [c.studentId, c.after]), [['s1', ['IEP']]]);
+});
+
+test('only accepted changes are applied and removed students stay on the roster', () => {
+  const proposal = buildProposal(chart, { assignments: { '0-0': 'Ada', '1-1': 'Ben', '0-1': 'Dev', '1-0': 'Eli' } });
+  const accepted = new Set(proposal.changes.filter(c => c.type !== 'add').map(c => c.id));
+  const result = applyProposal(chart, proposal, accepted);
+  assert.deepEqual(result.seats, { '0-0': 's1', '1-1': 's2' });
+  assert.deepEqual(Object.keys(result.students), ['s1', 's2', 's3']);
+});
@@ -0,0 +1,43 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildGroups, groupSizes } from '../src/lib/groups.js';
+
+const grid = (rows, cols) => Array.from({ length: rows * cols }, (_, i) => `${Math.floor(i / cols)}-${i % cols}`);
+const roster = (count, tagged = 0) => Array.from({ length: count }, (_, i) => ({ id: `s${i}`, name: `Student ${i}`, tags: i < tagged ? ['IEP'] : [], attributes: {} }));
+
+test('groupSizes merges a remainder too small to be a group', () => {
+  assert.deepEqual(groupSizes(5, 4), [5]);
+  assert.deepEqual(groupSizes(7, 3), [4, 3]);
+  assert.deepEqual(groupSizes(13, 4), [4, 3, 3, 3]);
+  assert.deepEqual(groupSizes(12, 4), [4, 4, 4]);
+  assert.deepEqual(groupSizes(2, 4), [2]);
+});
+
+test('buildGroups keeps hard pins and front-row rules', () => {
+  const rules = [
+    { type: 'pin', student: 's7', seat: '3-3', hard: true },
+    { type: 'front', tags: [], maxRow: 1, hard: true },
+  ];
+  const result = buildGroups({ students: roster(16, 4), desks: grid(4, 4), rules });
+  assert.equal(result.assignments['3-3'], 's7');
+  ['s0', 's1', 's2', 's3'].forEach(id => {
+    const coord = Object.keys(result.assignments).find(key => result.assignments[key] === id);
+    assert.ok(Number(coord.split('-')[0]) <= 1, `${id} is up front`);
+  });
+  assert.deepEqual(result.violations, []);
+  assert.ok(result.set.groups.some(g => g.desks.includes('3-3') && g.members.includes('s7')));
+});
+
+test('buildGroups reports a pin it cannot keep', () => {
+  // 14 students fill the 14 front-most desks, so a pin to the last desk cannot hold.
+  const result = buildGroups({ students: roster(14), desks: grid(4, 4), rules: [{ type: 'pin', student: 's2', seat: '3-3', hard: true }] });
+  assert.equal(result.violations.length, 1);
+  assert.equal(result.violations[0].rule.type, 'pin');
+  assert.equal(Object.keys(result.assignments).length, 14);
+});
+
+test('buildGroups reports a class too small for a full group', () => {
+  const result = buildGroups({ students: roster(2), desks: grid(2, 2) });
+  assert.equal(result.undersized, 1);
+  assert.equal(result.set.groups.length, 1);
+});
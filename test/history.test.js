@@ -0,0 +1,56 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createHistory, pushEntry, undoEntry, redoEntry, HISTORY_LIMIT } from '../src/lib/history.js';
+
+test('undo returns the snapshot from before the change and redo returns the change', () => {
+  let history = pushEntry(createHistory(), 'Move student', { seats: { '0-0': 's1' } });
+  const undone = undoEntry(history, { seats: { '0-1': 's1' } });
+  assert.deepEqual(undone.snapshot, { seats: { '0-0': 's1' } });
+  assert.equal(undone.history.past.length, 0);
+  assert.equal(undone.history.future[0].label, 'Move student');
+
+  const redone = redoEntry(undone.history, undone.snapshot);
+  assert.deepEqual(redone.snapshot, { seats: { '0-1': 's1' } });
+  history = redone.history;
+  assert.deepEqual(undoEntry(history, redone.snapshot).snapshot, { seats: { '0-0': 's1' } });
+  assert.equal(redoEntry(history, redone.snapshot), null);
+  assert.equal(undoEntry(createHistory(), {}), null);
+});
+
+test('undoing several steps at once lands on the oldest of them', () => {
+  let history = createHistory();
+  ['a', 'b', 'c'].forEach((snapshot, i) => { history = pushEntry(history, `Step ${i + 1}`, snapshot); });
+  const undone = undoEntry(history, 'd', 2);
+  assert.equal(undone.snapshot, 'b');
+  assert.deepEqual(undone.history.past.map(e => e.label), ['Step 1']);
+  assert.equal(redoEntry(undone.history, 'b').snapshot, 'c');
+});
+
+test('a new change clears the redo stack', () => {
+  let history = pushEntry(createHistory(), 'Shuffle', 'a');
+  history = undoEntry(history, 'b').history;
+  assert.equal(history.future.length, 1);
+  history = pushEntry(history, 'Sort', 'a');
+  assert.deepEqual(history.future, []);
+});
+
+test('history keeps only the most recent entries', () => {
+  let history = createHistory();
+  for (let i = 0; i < HISTORY_LIMIT + 5; i++) history = pushEntry(history, `Step ${i}`, i);
+  assert.equal(history.past.length, HISTORY_LIMIT);
+  assert.equal(history.past[0].snapshot, 5);
+});
+
+test('repeats of the same action within 1.5 seconds coalesce into one entry', () => {
+  let history = pushEntry(createHistory(), 'Resize grid', 'rows 5', 'grid-size', 0);
+  history = pushEntry(history, 'Resize grid', 'rows 6', 'grid-size', 1000);
+  history = pushEntry(history, 'Resize grid', 'rows 7', 'grid-size', 2400);
+  assert.equal(history.past.length, 1);
+  assert.equal(history.past[0].snapshot, 'rows 5');
+
+  history = pushEntry(history, 'Resize grid', 'rows 8', 'grid-size', 3900);
+  history = pushEntry(history, 'Rename class', 'Period 1', 'class-name', 4000);
+  history = pushEntry(history, 'Toggle desk', 'desks', null, 4100);
+  history = pushEntry(history, 'Toggle desk', 'desks', null, 4200);
+  assert.deepEqual(history.past.map(e => e.snapshot), ['rows 5', 'rows 8', 'Period 1', 'desks', 'desks']);
+});
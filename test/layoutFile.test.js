@@ -0,0 +1,21 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { validateLayoutDocument, LAYOUT_FORMAT, LAYOUT_VERSION } from '../src/lib/layoutFile.js';
+
+const documentWith = (desks) => ({ format: LAYOUT_FORMAT, version: LAYOUT_VERSION, layout: { gridSize: { rows: 2, cols: 2 }, desks } });
+
+test('a clean desk list imports without warnings', () => {
+  const { layout, warnings } = validateLayoutDocument(documentWith(['1-1', '0-0']));
+  assert.deepEqual(layout.desks, ['0-0', '1-1']);
+  assert.deepEqual(warnings, []);
+});
+
+test('skipped desks are counted by reason', () => {
+  const { layout, warnings } = validateLayoutDocument(documentWith(['0-0', '0-0', '0-1', '5-5', 'desk', 7]));
+  assert.deepEqual(layout.desks, ['0-0', '0-1']);
+  assert.deepEqual(warnings, [
+    '1 desk(s) outside the grid were skipped.',
+    '1 duplicate desk(s) were skipped.',
+    '2 desk(s) without a valid row-col position were skipped.',
+  ]);
+});
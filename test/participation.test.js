@@ -0,0 +1,47 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { pickStudent, seatZone, addEvent, removeLastEvent, tallyEvents } from '../src/lib/participation.js';
+import { createRng } from '../src/lib/solver.js';
+
+const participation = {
+  '2026-09-01': [{ id: 's2', kind: 'call', at: '2026-09-01T09:00:00.000Z' }],
+  '2026-09-02': [{ id: 's3', kind: 'call', at: '2026-09-02T09:00:00.000Z' }, { id: 's1', kind: 'participation', at: '2026-09-02T09:05:00.000Z' }],
+  '2026-09-03': [{ id: 's4', kind: 'call', at: '2026-09-03T09:00:00.000Z' }],
+};
+const candidates = ['s4', 's3', 's2', 's1'];
+
+test('the seeded picker favors the never-called, then whoever was called longest ago', () => {
+  const rng = createRng('cold-call');
+  const counts = { s1: 0, s2: 0, s3: 0, s4: 0 };
+  for (let i = 0; i < 600; i++) counts[pickStudent(candidates, participation, rng)] += 1;
+  assert.equal(counts.s4, 0);
+  assert.ok(counts.s1 > counts.s2 && counts.s2 > counts.s3 && counts.s3 > 0, JSON.stringify(counts));
+});
+
+test('the same seed picks the same students and the extremes of the roll pick the ends of the ranking', () => {
+  const run = () => { const rng = createRng('period-2'); return Array.from({ length: 10 }, () => pickStudent(candidates, participation, rng)); };
+  assert.deepEqual(run(), run());
+  assert.equal(pickStudent(candidates, participation, () => 0), 's1');
+  assert.equal(pickStudent(candidates, participation, () => 0.999), 's3');
+  assert.equal(pickStudent(['s4'], participation, () => 0), 's4');
+  assert.equal(pickStudent([], participation), null);
+});
+
+test('seatZone splits desk rows in half and counts a middle row as front', () => {
+  const threeRows = ['0-0', '0-1', '1-0', '2-0', '2-1'];
+  assert.deepEqual(['0-1', '1-0', '2-1'].map(coord => seatZone(coord, threeRows)), ['front', 'front', 'back']);
+  const fourRows = ['0-0', '1-0', '2-0', '3-0'];
+  assert.deepEqual(fourRows.map(coord => seatZone(coord, fourRows)), ['front', 'front', 'back', 'back']);
+  // Only rows that hold desks count, so empty rows in between do not shift the split.
+  assert.deepEqual(['1-0', '6-0'].map(coord => seatZone(coord, ['1-0', '6-0'])), ['front', 'back']);
+});
+
+test('removing a tally takes back only the latest matching event', () => {
+  let day = addEvent({}, '2026-09-04', { id: 's1', kind: 'participation', at: 'a' });
+  day = addEvent(day, '2026-09-04', { id: 's1', kind: 'behavior', at: 'b' });
+  day = addEvent(day, '2026-09-04', { id: 's1', kind: 'participation', at: 'c' });
+  const next = removeLastEvent(day, '2026-09-04', 's1', 'participation');
+  assert.deepEqual(next['2026-09-04'].map(e => e.at), ['a', 'b']);
+  assert.deepEqual(tallyEvents(next['2026-09-04']), { s1: { call: 0, participation: 1, behavior: 1 } });
+  assert.equal(removeLastEvent(next, '2026-09-04', 's2', 'call'), next);
+});
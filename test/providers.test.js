@@ -0,0 +1,62 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { requestSeating, DEFAULT_AI_SETTINGS } from '../src/lib/providers.js';
+
+const realFetch = globalThis.fetch;
+afterEach(() => { globalThis.fetch = realFetch; });
+
+const payload = {
+  currentState: { gridSize: { rows: 2, cols: 3 }, activeDesks: ['0-0', '0-1', '1-0'], roomObjects: { '1-2': 'door' }, currentSeating: { '0-0': 'S01' }, metadata: {} },
+  roster: 'S02\nS03 - PRIORITY\nS04',
+};
+const settings = (patch) => ({ ...DEFAULT_AI_SETTINGS, provider: 'openai', endpoint: 'http://llm.test/v1', ...patch });
+
+// A fetch that never answers on its own, only rejects when its signal is aborted.
+const hangingFetch = (calls) => (url, { signal }) => {
+  calls.push(url);
+  return new Promise((_, reject) => signal.addEventListener('abort', () => reject(new Error('aborted')), { once: true }));
+};
+
+test('a request that outlives the timeout ends with a timeout error', async () => {
+  const calls = [];
+  globalThis.fetch = hangingFetch(calls);
+  const started = Date.now();
+  await assert.rejects(requestSeating({ settings: settings({ timeoutSeconds: 1, retries: 0 }), payload }), /timed out after 1s/);
+  assert.equal(calls.length, 1);
+  assert.ok(Date.now() - started < 3000);
+});
+
+test('cancelling stops the request and any retries still to come', async () => {
+  const calls = [];
+  globalThis.fetch = async (url) => {
+    calls.push(url);
+    return { ok: false, status: 503, json: async () => ({}) };
+  };
+  const controller = new AbortController();
+  setTimeout(() => controller.abort(), 50);
+  await assert.rejects(requestSeating({ settings: settings({ retries: 5 }), payload, signal: controller.signal }), { name: 'AbortError' });
+  assert.equal(calls.length, 1);
+});
+
+test('client errors are not retried', async () => {
+  const calls = [];
+  globalThis.fetch = async (url) => {
+    calls.push(url);
+    return { ok: false, status: 401, json: async () => ({}) };
+  };
+  await assert.rejects(requestSeating({ settings: settings({ retries: 3 }), payload }), /API: 401/);
+  assert.equal(calls.length, 1);
+});
+
+test('the mock backend answers the same way every run without touching the network', async () => {
+  globalThis.fetch = () => assert.fail('the mock must not call fetch');
+  const first = await requestSeating({ settings: settings({ provider: 'mock' }), payload });
+  const second = await requestSeating({ settings: settings({ provider: 'mock' }), payload });
+  assert.equal(second, first);
+  const { assignments, metadata } = JSON.parse(first);
+  assert.equal(assignments['0-0'], 'S01');
+  assert.equal(assignments['0-1'], 'S03');
+  assert.deepEqual(metadata, { '0-1': { isPriority: true } });
+  assert.deepEqual(Object.values(assignments).sort(), ['S01', 'S02', 'S03', 'S04']);
+  assert.equal(Object.keys(assignments).includes('1-2'), false);
+});
@@ -0,0 +1,54 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { pseudonymize, restoreIdentities, PRIORITY_MARK } from '../src/lib/pseudonymize.js';
+
+const students = {
+  s1: { id: 's1', name: 'Robert Nowak', preferredName: 'Bobby', tags: ['IEP'], notes: 'Hearing aid, sits near the board' },
+  s2: { id: 's2', name: 'Ada Lovelace', preferredName: '', tags: [], notes: 'Allergic to peanuts' },
+  s3: { id: 's3', name: 'Cara Diaz', preferredName: '', tags: ['ELL'], notes: '' },
+};
+const seats = { '0-0': 's1', '0-1': 's2', '1-0': 's3' };
+const rosterText = 'Bobby - IEP\nZed Quinn (504 plan - wears glasses)\nZed Quinn - 504\nAda Lovelace';
+
+const build = () => pseudonymize({
+  students, seats, desks: ['0-0', '0-1', '1-0', '1-1'], fixtures: { '2-0': 'door' }, gridSize: { rows: 3, cols: 2 }, rosterText,
+});
+
+test('the payload carries tokens and the priority flag but no names, notes or tag types', () => {
+  const text = JSON.stringify(build().payload);
+  ['Robert', 'Nowak', 'Bobby', 'Ada', 'Lovelace', 'Cara', 'Zed', 'Quinn', 'Hearing', 'peanuts', 'glasses', 'IEP', 'ELL', '504'].forEach(word => {
+    assert.equal(text.includes(word), false, `${word} leaked into the payload`);
+  });
+  const { currentState, roster } = build().payload;
+  assert.deepEqual(currentState.metadata, { '0-0': { isPriority: true }, '1-0': { isPriority: true } });
+  assert.ok(roster.split('\n').every(line => /^S\d+( - PRIORITY)?$/.test(line)));
+  assert.ok(roster.includes(PRIORITY_MARK));
+});
+
+test('preferred names and repeated roster lines resolve to one token per student', () => {
+  const { payload, identities } = build();
+  assert.equal(Object.keys(identities).length, 4);
+  const bobby = payload.currentState.currentSeating['0-0'];
+  assert.equal(identities[bobby].name, 'Robert Nowak');
+  const zed = Object.keys(identities).find(token => identities[token].name === 'Zed Quinn');
+  assert.deepEqual(identities[zed].tags, ['504']);
+  assert.equal(payload.roster.split('\n').filter(line => line.startsWith(zed)).length, 1);
+  assert.equal(payload.roster.split('\n').length, 3);
+});
+
+test('tokens in the response map back to the right names and accommodations', () => {
+  const { payload, identities } = build();
+  const [bobby, ada, cara] = ['0-0', '0-1', '1-0'].map(coord => payload.currentState.currentSeating[coord]);
+  const zed = Object.keys(identities).find(token => identities[token].name === 'Zed Quinn');
+  const response = { assignments: { '0-0': ada, '0-1': bobby.toLowerCase(), '1-0': zed, '1-1': cara } };
+  const { data, errors } = restoreIdentities(response, identities);
+  assert.deepEqual(errors, []);
+  assert.deepEqual(data.assignments, { '0-0': 'Ada Lovelace', '0-1': 'Robert Nowak', '1-0': 'Zed Quinn', '1-1': 'Cara Diaz' });
+  assert.deepEqual(data.metadata['1-0'], { isPriority: true, type: '504' });
+  assert.equal(data.metadata['0-0'], undefined);
+});
+
+test('unknown tokens are reported instead of guessed', () => {
+  const { errors } = restoreIdentities({ assignments: { '0-0': 'S99' } }, build().identities);
+  assert.equal(errors.length, 1);
+});
@@ -0,0 +1,29 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseDelimited, guessMapping, buildRoster } from '../src/lib/roster.js';
+
+test('per-tag flag columns map to their tags, not the combined column', () => {
+  const rows = parseDelimited('Student Number,Last Name,First Name,Phone Number,IEP Flag,504 Flag,ELL Flag\n1001,Doe,John,555-0100,Y,N,N\n1002,Roe,Jane,555-0101,N,Y,Y\n');
+  const mapping = guessMapping(rows[0]);
+  assert.equal(mapping.IEP, 4);
+  assert.equal(mapping['504'], 5);
+  assert.equal(mapping.ELL, 6);
+  assert.equal(mapping.accommodations, -1);
+
+  const [john, jane] = buildRoster(rows, mapping);
+  assert.deepEqual(john.tags, ['IEP']);
+  assert.deepEqual(jane.tags.sort(), ['504', 'ELL']);
+});
+
+test('only an ID column is taken as the student ID', () => {
+  const mapping = guessMapping(['Name', 'Phone Number', 'Student ID']);
+  assert.equal(mapping.sisId, 2);
+  assert.equal(guessMapping(['Student Number', 'Name']).sisId, 0);
+  assert.equal(guessMapping(['Name', 'Phone Number']).sisId, -1);
+});
+
+test('a combined accommodations column still reads every tag', () => {
+  const rows = parseDelimited('Name\tAccommodations\nAna Li\tIEP; ELL\n');
+  const [ana] = buildRoster(rows, guessMapping(rows[0]));
+  assert.deepEqual(ana.tags, ['IEP', 'ELL']);
+});
@@ -0,0 +1,13 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createRotation, rotationFixtures } from '../src/lib/rotations.js';
+
+test('a rotation restores the room objects it was published with', () => {
+  const rotation = createRotation({ seats: { '0-0': 's1' }, desks: ['0-0'], fixtures: { '2-2': 'door' }, gridSize: { rows: 3, cols: 3 }, label: 'Rotation 1' });
+  assert.deepEqual(rotationFixtures(rotation, { '1-1': 'window' }), { '2-2': 'door' });
+});
+
+test('an older rotation keeps current objects that do not clash with it', () => {
+  const rotation = { gridSize: { rows: 3, cols: 3 }, desks: ['0-0', '1-1'], seats: { '1-1': 's1' } };
+  assert.deepEqual(rotationFixtures(rotation, { '1-1': 'teacherDesk', '2-2': 'door', '4-0': 'window' }), { '2-2': 'door' });
+});
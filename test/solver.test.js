@@ -0,0 +1,55 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { areNeighbors, parseCoord, solveSeating } from '../src/lib/solver.js';
+
+const desks = ['0-0', '0-1', '0-2', '0-3', '1-0', '1-1', '1-2', '1-3', '2-0', '2-1', '2-2', '2-3'];
+const students = ['Ada', 'Ben', 'Cara', 'Dev', 'Eli', 'Fay', 'Gus', 'Hana'].map((name, i) => ({
+  id: `s${i + 1}`, name, tags: i === 6 || i === 7 ? ['IEP'] : [],
+}));
+const seatOf = (assignments, id) => Object.keys(assignments).find(coord => assignments[coord] === id);
+
+test('the same roster, desks, rules and seed give the same chart', () => {
+  const rules = [{ id: 'r1', type: 'apart', a: 's1', b: 's2', hard: true }];
+  const first = solveSeating({ students, desks, rules, seed: 'period-1' });
+  const second = solveSeating({ students, desks, rules, seed: 'period-1' });
+  assert.deepEqual(second, first);
+  assert.equal(Object.keys(first.assignments).length, students.length);
+});
+
+test('hard front-row, apart, together and pin rules are all met when they can be', () => {
+  const rules = [
+    { id: 'r1', type: 'front', tags: [], maxRow: 0, hard: true },
+    { id: 'r2', type: 'apart', a: 's1', b: 's2', hard: true },
+    { id: 'r3', type: 'together', a: 's3', b: 's4', hard: true },
+    { id: 'r4', type: 'pin', student: 's5', seat: '2-3', hard: true },
+  ];
+  const { assignments, violations, unseated } = solveSeating({ students, desks, rules, seed: 'rules' });
+  assert.deepEqual(violations, []);
+  assert.deepEqual(unseated, []);
+  assert.equal(parseCoord(seatOf(assignments, 's7')).r, 0);
+  assert.equal(parseCoord(seatOf(assignments, 's8')).r, 0);
+  assert.equal(areNeighbors(seatOf(assignments, 's1'), seatOf(assignments, 's2')), false);
+  assert.equal(areNeighbors(seatOf(assignments, 's3'), seatOf(assignments, 's4')), true);
+  assert.equal(assignments['2-3'], 's5');
+});
+
+test('rules that cannot all hold are reported instead of dropped', () => {
+  const rules = [
+    { id: 'r1', type: 'apart', a: 's1', b: 's2', hard: true },
+    { id: 'r2', type: 'together', a: 's1', b: 's2', hard: true },
+    { id: 'r3', type: 'front', tags: [], maxRow: 0, hard: true },
+  ];
+  // One front-row desk for two IEP students.
+  const { violations } = solveSeating({ students, desks: ['0-0', ...desks.slice(4)], rules, seed: 'conflict' });
+  assert.equal(violations.filter(v => v.rule.id === 'r1' || v.rule.id === 'r2').length, 1);
+  const front = violations.filter(v => v.rule.id === 'r3');
+  assert.equal(front.length, 1);
+  assert.equal(front[0].hard, true);
+  assert.match(front[0].message, /in row [12]/);
+});
+
+test('students beyond the desk count are listed as unseated', () => {
+  const { assignments, unseated } = solveSeating({ students, desks: desks.slice(0, 6), seed: 'overflow' });
+  assert.equal(Object.keys(assignments).length, 6);
+  assert.deepEqual(unseated, ['s7', 's8']);
+});
@@ -0,0 +1,54 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadWorkspace, saveWorkspace } from '../src/lib/storage.js';
+
+let store, failWrites;
+beforeEach(() => {
+  store = new Map();
+  failWrites = null;
+  globalThis.window = {
+    localStorage: {
+      getItem: (key) => store.get(key) ?? null,
+      setItem: (key, value) => {
+        if (failWrites) throw Object.assign(new Error('write failed'), { name: failWrites });
+        store.set(key, String(value));
+      },
+    },
+  };
+});
+
+test('saved classes load back', () => {
+  const workspace = loadWorkspace();
+  assert.equal(saveWorkspace(workspace), null);
+  const loaded = loadWorkspace();
+  assert.equal(loaded.activeClassId, workspace.activeClassId);
+  assert.equal(loaded.notice, null);
+  assert.equal(loaded.canSave, true);
+});
+
+test('unreadable data is backed up before starting fresh', () => {
+  store.set('felix.workspace', '{"classes": [');
+  const loaded = loadWorkspace();
+  assert.equal(loaded.classes.length, 1);
+  assert.equal(loaded.canSave, true);
+  const backupKey = [...store.keys()].find(key => key.startsWith('felix.workspace.unreadable-'));
+  assert.equal(store.get(backupKey), '{"classes": [');
+  assert.match(loaded.notice, /could not be read/);
+  assert.ok(loaded.notice.includes(backupKey));
+});
+
+test('saving pauses when unreadable data cannot be backed up', () => {
+  store.set('felix.workspace', 'not json');
+  failWrites = 'QuotaExceededError';
+  const loaded = loadWorkspace();
+  assert.equal(loaded.canSave, false);
+  assert.equal(store.get('felix.workspace'), 'not json');
+});
+
+test('a failed save is reported', () => {
+  const workspace = loadWorkspace();
+  failWrites = 'QuotaExceededError';
+  assert.match(saveWorkspace(workspace), /storage is full/);
+  failWrites = 'SecurityError';
+  assert.match(saveWorkspace(workspace), /could not be saved/);
+});
@@ -0,0 +1,29 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { tagsFromText, parseRosterText, migrateLegacySeating } from '../src/lib/students.js';
+
+test('tagsFromText finds tags written as separate tokens', () => {
+  assert.deepEqual(tagsFromText('IEP|504'), ['IEP', '504']);
+  assert.deepEqual(tagsFromText('ell'), ['ELL']);
+  assert.deepEqual(tagsFromText('504 plan, ELLs'), ['504', 'ELL']);
+  assert.deepEqual(tagsFromText('IEP/ELL'), ['IEP', 'ELL']);
+  assert.deepEqual(tagsFromText(undefined), []);
+});
+
+test('tagsFromText ignores tags buried inside other words and numbers', () => {
+  assert.deepEqual(tagsFromText('Spelling support'), []);
+  assert.deepEqual(tagsFromText('Mitchell'), []);
+  assert.deepEqual(tagsFromText('Room 504B'), []);
+  assert.deepEqual(tagsFromText('Ext. 15040'), []);
+  assert.deepEqual(tagsFromText('Sleepy after lunch'), []);
+});
+
+test('roster text and legacy charts use the same tag matching', () => {
+  assert.deepEqual(parseRosterText('Ana Li - IEP, Ben Mitchell (spelling support), Cara Diaz (504)').map(e => [e.name, e.tags]), [
+    ['Ana Li', ['IEP']],
+    ['Ben Mitchell', []],
+    ['Cara Diaz', ['504']],
+  ]);
+  const { students } = migrateLegacySeating({ '0-0': 'Dana' }, { '0-0': { type: 'Room 504B' } });
+  assert.deepEqual(Object.values(students)[0].tags, []);
+});
@@ -1,11 +1,47 @@
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
 import tailwindcss from '@tailwindcss/vite'
+import { createHash } from 'node:crypto'
+import { readFileSync, readdirSync, statSync } from 'node:fs'
+import { join } from 'node:path'
+
+// Emits dist/sw.js from src/sw.js with the list of files to precache. The version is a hash of
+// that list and the public files, so every deploy that changes anything ships a new worker.
+function serviceWorker() {
+  let publicDir
+  return {
+    name: 'felix-service-worker',
+    apply: 'build',
+    enforce: 'post',
+    configResolved(config) {
+      publicDir = config.publicDir
+    },
+    generateBundle(_, bundle) {
+      const hash = createHash('sha256')
+      const publicFiles = readdirSync(publicDir, { recursive: true })
+        .filter(file => statSync(join(publicDir, file)).isFile())
+        .map(file => {
+          hash.update(readFileSync(join(publicDir, file)))
+          return file.split('\\').join('/')
+        })
+      const files = [...Object.keys(bundle), ...publicFiles]
+        .filter(file => !file.endsWith('.map') && file !== 'ads.txt')
+        .map(file => `/${file}`)
+        .sort()
+      hash.update(files.join('\n'))
+      const build = { version: hash.digest('hex').slice(0, 12), files }
+      const source = readFileSync(new URL('./src/sw.js', import.meta.url), 'utf8')
+        .replace('self.__FELIX_BUILD__', JSON.stringify(build))
+      this.emitFile({ type: 'asset', fileName: 'sw.js', source })
+    },
+  }
+}
 
 // [https://vitejs.dev/config/](https://vitejs.dev/config/)
 export default defineConfig({
   plugins: [
     react(),
     tailwindcss(),
+    serviceWorker(),
   ],
-})
\ No newline at end of file
+})